@@ -1,67 +1,392 @@
 require("dotenv").config();
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { DeploymentStore } = require("../lib/deployments");
+const { readIntEnv } = require("../lib/env");
+const { logger } = require("../lib/logger");
 
-// Chain configurations
-const activatedChains = process.env.ACTIVATED_CHAINS
-  ? process.env.ACTIVATED_CHAINS.split(",")
-  : [];
+// Single registry of every chain the project deploys to, relays from or submits proofs on.
+// hardhat.config.js, the deploy scripts, the relayer and the CLI all derive from it.
+//
+// Per chain, values can be overridden in .env using the chain's envPrefix:
+//   <PREFIX>_RPC (or CHAIN_<chainId>_RPC)   RPC URLs, comma separated, tried in order
+//   <PREFIX>_RPC_QUORUM                     endpoints that must agree on a block (default 1)
+//   <PREFIX>_POLYMER_PROVER_ADDRESS         Polymer prover on that chain
+//   <PREFIX>_ORDER_PROCESSOR_ADDRESS        OrderProcessor on that chain when
+//                                           deployments/<network>.json has no record of it
+//   <PREFIX>_CONTRACT_ADDRESS               source contract the relayer listens to
+//   <PREFIX>_CONFIRMATIONS / <PREFIX>_FINALITY
+//   <PREFIX>_MAX_FEE_GWEI                   cap on the max fee per gas of every transaction sent
+//   <PREFIX>_PRIORITY_FEE_GWEI              fixed priority fee, instead of the node's suggestion
 
-if (activatedChains.length === 0) {
-  console.error(
-    "No chains are activated. Please set the ACTIVATED_CHAINS environment variable."
-  );
-  process.exit(1);
-}
+// Blocks an event must be buried under before the relayer requests its proof
+const DEFAULT_CONFIRMATIONS = 5;
+
+// Block tags that can be used instead of a confirmation depth
+const FINALITY_TAGS = ["safe", "finalized"];
+
+// Polymer's testnet prover, deployed at the same address on every supported testnet
+const POLYMER_TESTNET_PROVER = "0xcDa03d74DEc5B24071D1799899B2e0653C24e5Fa";
 
-const CHAINS = {
-  "optimism-sepolia": {
+// Chain hosting the OrderProcessor that orders are opened and completed on
+const ORDER_PROCESSOR_CHAIN_SLUG = "t3rn";
+
+const CHAIN_REGISTRY = [
+  {
+    slug: "optimism-sepolia",
     name: "Optimism Sepolia",
-    rpcUrl: process.env.OPTIMISM_SEPOLIA_RPC,
-    contractAddress: process.env.OPTIMISM_SEPOLIA_CONTRACT_ADDRESS,
     chainId: 11155420,
+    network: "optimismSepolia",
+    envPrefix: "OPTIMISM_SEPOLIA",
+    rpcUrls: ["https://sepolia.optimism.io", "https://optimism-sepolia-rpc.publicnode.com"],
+    explorer: "https://sepolia-optimism.etherscan.io",
+    proverAddress: POLYMER_TESTNET_PROVER,
+    legacyEnv: { proverAddress: ["POLYMER_PROVER_OPTIMISM_TESTNET_CONTRACT_ADDRESS"] },
   },
-  "base-sepolia": {
+  {
+    slug: "base-sepolia",
     name: "Base Sepolia",
-    rpcUrl: process.env.BASE_SEPOLIA_RPC,
-    contractAddress: process.env.BASE_SEPOLIA_CONTRACT_ADDRESS,
     chainId: 84532,
+    network: "baseSepolia",
+    envPrefix: "BASE_SEPOLIA",
+    rpcUrls: ["https://sepolia.base.org", "https://base-sepolia-rpc.publicnode.com"],
+    explorer: "https://sepolia.basescan.org",
+    proverAddress: POLYMER_TESTNET_PROVER,
+    legacyEnv: { proverAddress: ["POLYMER_PROVER_BASE_TESTNET_CONTRACT_ADDRESS"] },
   },
-  "mode-sepolia": {
+  {
+    slug: "mode-sepolia",
     name: "Mode Sepolia",
-    rpcUrl: process.env.MODE_SEPOLIA_RPC,
-    contractAddress: process.env.MODE_SEPOLIA_CONTRACT_ADDRESS,
     chainId: 919,
+    network: "modeSepolia",
+    envPrefix: "MODE_SEPOLIA",
+    rpcUrls: ["https://sepolia.mode.network"],
+    explorer: "https://sepolia.explorer.mode.network",
+    proverAddress: POLYMER_TESTNET_PROVER,
+    legacyEnv: { proverAddress: ["POLYMER_PROVER_MODE_TESTNET_CONTRACT_ADDRESS"] },
   },
-  "bob-sepolia": {
+  {
+    slug: "bob-sepolia",
     name: "Bob Sepolia",
-    rpcUrl: process.env.BOB_SEPOLIA_RPC,
-    contractAddress: process.env.BOB_SEPOLIA_CONTRACT_ADDRESS,
     chainId: 808813,
+    network: "bobSepolia",
+    envPrefix: "BOB_SEPOLIA",
+    rpcUrls: ["https://testnet.rpc.gobob.xyz"],
+    explorer: "https://testnet-explorer.gobob.xyz",
+    proverAddress: POLYMER_TESTNET_PROVER,
+    legacyEnv: { proverAddress: ["POLYMER_PROVER_BOB_TESTNET_CONTRACT_ADDRESS"] },
   },
-  "ink-sepolia": {
+  {
+    slug: "ink-sepolia",
     name: "Ink Sepolia",
-    rpcUrl: process.env.INK_SEPOLIA_RPC,
-    contractAddress: process.env.INK_SEPOLIA_CONTRACT_ADDRESS,
     chainId: 763373,
+    network: "inkSepolia",
+    envPrefix: "INK_SEPOLIA",
+    rpcUrls: ["https://sepolia.rpc.ink"],
+    explorer: "https://explorer-sepolia.inkonchain.com",
+    proverAddress: POLYMER_TESTNET_PROVER,
+    legacyEnv: { proverAddress: ["POLYMER_PROVER_INK_TESTNET_CONTRACT_ADDRESS"] },
   },
-  "unichain-sepolia": {
-    name: "UniChain Sepolia",
-    rpcUrl: process.env.UNICHAIN_SEPOLIA_RPC,
-    contractAddress: process.env.UNICHAIN_SEPOLIA_CONTRACT_ADDRESS,
+  {
+    slug: "unichain-sepolia",
+    name: "Unichain Sepolia",
     chainId: 1301,
+    network: "unichainSepolia",
+    envPrefix: "UNICHAIN_SEPOLIA",
+    rpcUrls: ["https://sepolia.unichain.org"],
+    explorer: "https://sepolia.uniscan.xyz",
+    proverAddress: POLYMER_TESTNET_PROVER,
+    legacyEnv: { proverAddress: ["POLYMER_PROVER_UNICHAIN_TESTNET_CONTRACT_ADDRESS"] },
   },
-  "mantle-sepolia": {
+  {
+    slug: "mantle-sepolia",
     name: "Mantle Sepolia",
-    rpcUrl: process.env.MANTLE_SEPOLIA_RPC,
-    contractAddress: process.env.MANTLE_TESTNET_CONTRACT_ADDRESS,
     chainId: 5003,
+    network: "mantleSepolia",
+    envPrefix: "MANTLE_SEPOLIA",
+    rpcUrls: ["https://rpc.sepolia.mantle.xyz"],
+    explorer: "https://sepolia.mantlescan.xyz",
+    proverAddress: POLYMER_TESTNET_PROVER,
+    legacyEnv: { contractAddress: ["MANTLE_TESTNET_CONTRACT_ADDRESS"] },
   },
-};
+  {
+    slug: "t3rn",
+    name: "t3rn",
+    chainId: 334,
+    network: "t3rn",
+    envPrefix: "T3RN",
+    rpcUrls: ["https://b2n.rpc.caldera.xyz/http"],
+    explorer: "https://b2n.explorer.caldera.xyz",
+    proverAddress: POLYMER_TESTNET_PROVER,
+    orderProcessorAddress: "0xBf822582b24a0227Dda5d665c1F56B5268D04444",
+    legacyEnv: { proverAddress: ["POLYMER_PROVER_T3RN_TESTNET_CONTRACT_ADDRESS"] },
+  },
+  {
+    // Local Hardhat node (npm run node:local); Hardhat defines the localhost network itself
+    slug: "localhost",
+    name: "Localhost",
+    chainId: 31337,
+    network: "localhost",
+    envPrefix: "LOCALHOST",
+    rpcUrls: ["http://127.0.0.1:8545"],
+    local: true,
+    confirmations: 0,
+  },
+];
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const RPC_URL_PATTERN = /^(https?|wss?):\/\/\S+$/;
+
+// Catch mistakes in the registry itself as soon as it is loaded
+function validateRegistry(registry) {
+  const seen = { slug: new Set(), chainId: new Set(), network: new Set(), envPrefix: new Set() };
+  for (const chain of registry) {
+    for (const field of ["slug", "name", "network", "envPrefix"]) {
+      if (!chain[field]) {
+        throw new Error(`Chain registry entry ${chain.slug || chain.name} is missing ${field}`);
+      }
+    }
+    if (!Array.isArray(chain.rpcUrls) || chain.rpcUrls.length === 0) {
+      throw new Error(`Chain registry entry ${chain.slug} is missing rpcUrls`);
+    }
+    if (!Number.isInteger(chain.chainId) || chain.chainId <= 0) {
+      throw new Error(`Chain registry entry ${chain.slug} has an invalid chainId`);
+    }
+    for (const field of Object.keys(seen)) {
+      if (seen[field].has(chain[field])) {
+        throw new Error(`Duplicate ${field} ${chain[field]} in the chain registry`);
+      }
+      seen[field].add(chain[field]);
+    }
+  }
+}
+
+validateRegistry(CHAIN_REGISTRY);
+
+// First environment variable in names that is set, as { name, value }
+function readEnv(names) {
+  for (const name of names) {
+    if (process.env[name]) return { name, value: process.env[name].trim() };
+  }
+  return undefined;
+}
+
+// Comma separated env value as a list, e.g. several RPC URLs
+function splitList(value) {
+  return value.split(",").map((item) => item.trim()).filter(Boolean);
+}
+
+// Address from the first env variable set, or the fallback
+function resolveAddress(chain, names, fallback) {
+  const env = readEnv(names);
+  if (!env) return fallback;
+  if (!ADDRESS_PATTERN.test(env.value)) {
+    throw new Error(`Invalid ${env.name} for ${chain.name}: ${env.value} is not an address`);
+  }
+  return env.value;
+}
+
+// Env overrides already warned about; chains are resolved again on every lookup
+const warnedOverrides = new Set();
+
+// OrderProcessor address from the deployment manifest, so a redeploy takes effect even when an
+// older deploy left its address in .env. <PREFIX>_ORDER_PROCESSOR_ADDRESS is only used for
+// chains without a manifest record, e.g. t3rn in offline development.
+function resolveOrderProcessorAddress(chain, deployments) {
+  const name = `${chain.envPrefix}_ORDER_PROCESSOR_ADDRESS`;
+  const envAddress = resolveAddress(chain, [name], undefined);
+  const deployed = deployments.get(chain.network, "OrderProcessor");
+  if (!deployed) return envAddress || chain.orderProcessorAddress;
+
+  const warning = envAddress && `${name}:${envAddress}:${deployed.address}`;
+  if (warning && envAddress.toLowerCase() !== deployed.address.toLowerCase()) {
+    if (!warnedOverrides.has(warning)) {
+      warnedOverrides.add(warning);
+      logger.warn(
+        chalk.yellow(
+          `⚠️ Ignoring ${name}=${envAddress}: ${deployments.filePath(
+            chain.network
+          )} records the OrderProcessor on ${chain.name} at ${deployed.address}`
+        )
+      );
+    }
+  }
+  return deployed.address;
+}
+
+// Fee in gwei from an env variable (or the registry entry), as wei
+function resolveGwei(chain, name, fallback) {
+  const value = process.env[name] ? process.env[name].trim() : fallback;
+  if (value === undefined) return undefined;
+  let wei;
+  try {
+    wei = ethers.parseUnits(String(value), "gwei");
+  } catch (error) {
+    wei = undefined;
+  }
+  if (wei === undefined || wei <= BigInt(0)) {
+    throw new Error(`Invalid ${name} for ${chain.name}: ${value} is not a positive gwei amount`);
+  }
+  return wei;
+}
+
+// Registry entry merged with its .env overrides and deployment manifest, validated
+function resolveChain(chain) {
+  const prefix = chain.envPrefix;
+  const legacy = chain.legacyEnv || {};
+
+  const rpcEnv = readEnv([`CHAIN_${chain.chainId}_RPC`, `${prefix}_RPC`]);
+  const rpcUrls = rpcEnv ? splitList(rpcEnv.value) : chain.rpcUrls;
+  for (const rpcUrl of rpcUrls) {
+    if (!RPC_URL_PATTERN.test(rpcUrl)) {
+      throw new Error(`Invalid ${rpcEnv ? rpcEnv.name : "RPC URL"} for ${chain.name}: ${rpcUrl}`);
+    }
+  }
+  if (rpcUrls.length === 0) {
+    throw new Error(`${rpcEnv.name} for ${chain.name} has no RPC URL`);
+  }
+  const rpcQuorum = readIntEnv(`${prefix}_RPC_QUORUM`, 1, 1);
+  if (rpcQuorum > rpcUrls.length) {
+    throw new Error(
+      `Invalid ${prefix}_RPC_QUORUM for ${chain.name}: use 1 to ${rpcUrls.length}, the number of RPC URLs`
+    );
+  }
+
+  // An empty value keeps the default depth rather than turning the finality gate off
+  const confirmations = readIntEnv(
+    `${prefix}_CONFIRMATIONS`,
+    chain.confirmations ?? DEFAULT_CONFIRMATIONS,
+    0
+  );
+  const finality = process.env[`${prefix}_FINALITY`] || chain.finality;
+  if (finality && !FINALITY_TAGS.includes(finality)) {
+    throw new Error(
+      `Invalid ${prefix}_FINALITY for ${chain.name}: use ${FINALITY_TAGS.join(" or ")}`
+    );
+  }
+
+  return {
+    slug: chain.slug,
+    name: chain.name,
+    chainId: chain.chainId,
+    network: chain.network,
+    envPrefix: prefix,
+    explorer: chain.explorer,
+    local: Boolean(chain.local),
+    // The first URL is the primary one, and the only one Hardhat uses
+    rpcUrl: rpcUrls[0],
+    rpcUrls,
+    rpcQuorum,
+    proverAddress: resolveAddress(
+      chain,
+      [
+        `${prefix}_POLYMER_PROVER_ADDRESS`,
+        ...(legacy.proverAddress || []),
+        // Older deployOrderProcessor.js name, e.g. BASESEPOLIA_POLYMER_PROVER_ADDRESS
+        `${chain.network.toUpperCase()}_POLYMER_PROVER_ADDRESS`,
+      ],
+      chain.proverAddress
+    ),
+    orderProcessorAddress: resolveOrderProcessorAddress(chain, new DeploymentStore()),
+    contractAddress: resolveAddress(
+      chain,
+      [`${prefix}_CONTRACT_ADDRESS`, ...(legacy.contractAddress || [])],
+      chain.contractAddress
+    ),
+    confirmations,
+    finality,
+    maxFeePerGas: resolveGwei(chain, `${prefix}_MAX_FEE_GWEI`, chain.maxFeeGwei),
+    priorityFeePerGas: resolveGwei(chain, `${prefix}_PRIORITY_FEE_GWEI`, chain.priorityFeeGwei),
+  };
+}
+
+function getChains() {
+  return CHAIN_REGISTRY.map(resolveChain);
+}
+
+// Look a chain up by slug, Hardhat network name or chain ID
+function findChain(ref) {
+  const key = String(ref);
+  const chain = CHAIN_REGISTRY.find(
+    (candidate) =>
+      candidate.slug === key ||
+      candidate.network === key ||
+      String(candidate.chainId) === key
+  );
+  return chain ? resolveChain(chain) : undefined;
+}
+
+function getChain(ref) {
+  const chain = findChain(ref);
+  if (!chain) {
+    throw new Error(
+      `Unknown chain ${ref}. Known chains: ${CHAIN_REGISTRY.map((c) => c.slug).join(", ")}`
+    );
+  }
+  return chain;
+}
+
+// Chains named in ACTIVATED_CHAINS (comma separated slugs), in that order
+function getActivatedChains() {
+  const slugs = (process.env.ACTIVATED_CHAINS || "")
+    .split(",")
+    .map((slug) => slug.trim())
+    .filter(Boolean);
+  return slugs.map((slug) => {
+    const chain = CHAIN_REGISTRY.find((candidate) => candidate.slug === slug);
+    if (!chain) {
+      throw new Error(
+        `Unknown chain "${slug}" in ACTIVATED_CHAINS. Known chains: ${CHAIN_REGISTRY.map((c) => c.slug).join(", ")}`
+      );
+    }
+    return resolveChain(chain);
+  });
+}
+
+function getOrderProcessorChain() {
+  return getChain(ORDER_PROCESSOR_CHAIN_SLUG);
+}
+
+function getChainName(chainId) {
+  const chain = findChain(chainId);
+  return chain ? chain.name : "Unknown";
+}
+
+// RPC URLs for any chain ID: the registry, or CHAIN_<chainId>_RPC for chains it does not list
+function getRpcUrls(chainId) {
+  const chain = findChain(chainId);
+  if (chain) return chain.rpcUrls;
+
+  const envVar = `CHAIN_${chainId}_RPC`;
+  if (process.env[envVar]) return splitList(process.env[envVar]);
+  throw new Error(
+    `Unknown chain ID: ${chainId}. Add it to config/chains.js or set ${envVar} in your .env file.`
+  );
+}
+
+// Hardhat `networks` entries for every non-local chain
+function getHardhatNetworks(accounts) {
+  return Object.fromEntries(
+    getChains()
+      .filter((chain) => !chain.local)
+      .map((chain) => [
+        chain.network,
+        { url: chain.rpcUrl, accounts, chainId: chain.chainId },
+      ])
+  );
+}
 
 module.exports = {
-  CHAINS: Object.fromEntries(
-    Object.entries(CHAINS).filter(
-      ([key]) => activatedChains.length === 0 || activatedChains.includes(key)
-    )
-  ),
-  activatedChains,
+  CHAIN_REGISTRY,
+  DEFAULT_CONFIRMATIONS,
+  FINALITY_TAGS,
+  ORDER_PROCESSOR_CHAIN_SLUG,
+  getChains,
+  findChain,
+  getChain,
+  getActivatedChains,
+  getOrderProcessorChain,
+  getChainName,
+  getRpcUrls,
+  getHardhatNetworks,
 };
@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @notice Minimal source-chain contract emitting the events the OrderProcessor consumes
+ * @dev For local development only: lets OrderCreated and Confirmation events be produced
+ *      on a local chain so scripts and the relayer can run against the mock Polymer server.
+ */
+contract MockOrderSource {
+    event OrderCreated(
+        bytes32 indexed id,
+        bytes4 indexed destination,
+        uint32 asset,
+        bytes32 targetAccount,
+        uint256 amount,
+        address rewardAsset,
+        uint256 insurance,
+        uint256 maxReward,
+        uint32 nonce,
+        address sourceAccount,
+        uint256 orderTimestamp
+    );
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+
+    event Confirmation(
+        bytes32 indexed id,
+        address indexed target,
+        uint256 amount,
+        address asset,
+        address indexed sender,
+        bytes32 confirmationId,
+        uint256 timestamp
+    );
+
+    /**
+     * @notice Emit an OrderCreated event
+     * @param id Order ID
+     * @param destination Destination network ID
+     * @param amount Order amount
+     * @param nonce Order nonce
+     */
+    function createOrder(bytes32 id, bytes4 destination, uint256 amount, uint32 nonce) external {
+        _emitOrderCreated(id, destination, amount, nonce);
+    }
+
+    /**
+     * @notice Emit a Transfer event followed by one OrderCreated event per ID, like a batch
+     *         order that pulls tokens first, so the orders are not the first logs of the transaction
+     * @param ids Order IDs
+     * @param destination Destination network ID
+     * @param amount Amount of each order
+     * @param nonce Nonce of the first order, incremented for each following one
+     */
+    function createOrders(bytes32[] calldata ids, bytes4 destination, uint256 amount, uint32 nonce) external {
+        emit Transfer(msg.sender, address(this), amount * ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            _emitOrderCreated(ids[i], destination, amount, nonce + uint32(i));
+        }
+    }
+
+    /**
+     * @notice Emit a Confirmation event
+     * @param id Order ID
+     * @param target Target address
+     * @param amount Confirmed amount
+     * @param asset Asset address
+     */
+    function confirmOrder(bytes32 id, address target, uint256 amount, address asset) external {
+        bytes32 confirmationId = keccak256(abi.encode(id, target, amount, asset, msg.sender));
+        emit Confirmation(id, target, amount, asset, msg.sender, confirmationId, block.timestamp);
+    }
+
+    function _emitOrderCreated(bytes32 id, bytes4 destination, uint256 amount, uint32 nonce) internal {
+        emit OrderCreated(
+            id,
+            destination,
+            0,
+            bytes32(uint256(uint160(msg.sender))),
+            amount,
+            address(0),
+            0,
+            0,
+            nonce,
+            msg.sender,
+            block.timestamp
+        );
+    }
+}
@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @notice Stand-in for Polymer's prover for local development and tests
+ * @dev By default it accepts proofs produced by the local Polymer API server (scripts/mockPolymerServer.js),
+ *      which are abi.encode(uint32 chainId, address emittingContract, bytes topics, bytes data).
+ *      Tests can instead configure the values returned for any proof with setEvent.
+ *      It performs no verification at all and must never be deployed to a live network.
+ */
+contract MockPolymerProver {
+    bool public configured;
+    uint32 public chainId;
+    address public emittingContract;
+    bytes public topics;
+    bytes public data;
+
+    /**
+     * @notice Return fixed values from validateEvent, whatever the proof
+     * @param _chainId Source chain ID to return
+     * @param _emittingContract Emitting contract to return
+     * @param _topics Concatenated event topics to return
+     * @param _data Unindexed event data to return
+     */
+    function setEvent(
+        uint32 _chainId,
+        address _emittingContract,
+        bytes calldata _topics,
+        bytes calldata _data
+    ) external {
+        configured = true;
+        chainId = _chainId;
+        emittingContract = _emittingContract;
+        topics = _topics;
+        data = _data;
+    }
+
+    /**
+     * @notice Go back to decoding the proof itself
+     */
+    function clearEvent() external {
+        configured = false;
+        delete chainId;
+        delete emittingContract;
+        delete topics;
+        delete data;
+    }
+
+    /**
+     * @notice Return the configured event, or decode a mock proof into the values the real prover returns
+     * @param proof ABI-encoded (chainId, emittingContract, topics, data), ignored once setEvent was called
+     * @return Source chain ID
+     * @return Contract that emitted the event
+     * @return Concatenated event topics
+     * @return Unindexed event data
+     */
+    function validateEvent(
+        bytes calldata proof
+    )
+        external
+        view
+        returns (uint32, address, bytes memory, bytes memory)
+    {
+        if (configured) {
+            return (chainId, emittingContract, topics, data);
+        }
+        return abi.decode(proof, (uint32, address, bytes, bytes));
+    }
+}
@@ -0,0 +1,159 @@
+const http = require("http");
+
+const DEFAULT_HTTP_PORT = 9464;
+const DEFAULT_HTTP_HOST = "127.0.0.1";
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Listener relaying events from the chain in an event key ("<chainId>:<txHash>:<logIndex>")
+function findListener(listeners, key) {
+  const chainId = key.split(":")[0];
+  const listener = listeners.find((candidate) => String(candidate.config.chainId) === chainId);
+  if (!listener) throw new HttpError(404, `Not listening on chain ${chainId}`);
+  return listener;
+}
+
+// In-flight relays (queued for finality or being relayed), relays waiting for a retry, dead
+// letters and relays that failed before retries existed, as stored in the state
+function listRelays(listeners, state) {
+  const inFlight = [];
+  for (const listener of listeners) {
+    for (const key of listener.inFlight.keys()) {
+      inFlight.push({
+        key,
+        ...state.getEvent(key),
+        waitingForFinality: listener.pendingEvents.has(key),
+      });
+    }
+  }
+  const inFlightKeys = new Set(inFlight.map((event) => event.key));
+  const withStatus = (status) =>
+    state.listEvents((event) => event.status === status && !inFlightKeys.has(event.key));
+  return {
+    inFlight,
+    retrying: withStatus("retry_scheduled"),
+    deadLetters: withStatus("dead_letter"),
+    failed: withStatus("failed"),
+  };
+}
+
+// Retry every dead letter with fresh attempts, e.g. once an outage is over
+async function replayDeadLetters(listeners, state) {
+  const replayed = [];
+  const errors = [];
+  for (const { key } of state.listEvents((event) => event.status === "dead_letter")) {
+    try {
+      await findListener(listeners, key).retry(key);
+      replayed.push(key);
+    } catch (error) {
+      errors.push({ key, error: error.message });
+    }
+  }
+  return { replayed, errors };
+}
+
+// Embedded HTTP server for operators:
+//   GET  /healthz                 the process is up
+//   GET  /readyz                  every listener's RPC answers and its subscriptions are alive
+//   GET  /metrics                 Prometheus metrics
+//   GET  /relays                  in-flight and failed relays with their proof job IDs
+//   GET  /relays/<key>            one event's relay state
+//   GET  /dead-letters            relays that used up their retries
+//   POST /relays/<key>/retry      relay an event again now (dead letters with fresh attempts)
+//   POST /relays/<key>/skip       never relay an event
+//   POST /dead-letters/replay     retry every dead letter
+// POST requests need "Authorization: Bearer <token>" when a token is set.
+function createAdminServer({ listeners, state, metrics, token }) {
+  const startedAt = Date.now();
+
+  async function handle(req) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const parts = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+
+    if (req.method === "POST") {
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        throw new HttpError(401, "Unauthorized");
+      }
+      if (parts.length === 3 && parts[0] === "relays" && parts[2] === "retry") {
+        const listener = findListener(listeners, parts[1]);
+        await listener.retry(parts[1]);
+        return { status: 202, body: { key: parts[1], status: "queued" } };
+      }
+      if (parts.length === 3 && parts[0] === "relays" && parts[2] === "skip") {
+        const listener = findListener(listeners, parts[1]);
+        return { status: 200, body: { key: parts[1], ...listener.skip(parts[1]) } };
+      }
+      if (pathname === "/dead-letters/replay") {
+        return { status: 202, body: await replayDeadLetters(listeners, state) };
+      }
+      throw new HttpError(404, "Not found");
+    }
+    if (req.method !== "GET") throw new HttpError(405, "Method not allowed");
+
+    if (pathname === "/healthz") {
+      return {
+        status: 200,
+        body: { status: "ok", uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) },
+      };
+    }
+    if (pathname === "/readyz") {
+      const chains = await Promise.all(listeners.map((listener) => listener.getHealth()));
+      const ready = chains.length > 0 && chains.every((chain) => chain.ready);
+      return { status: ready ? 200 : 503, body: { ready, chains } };
+    }
+    if (pathname === "/metrics") {
+      return {
+        status: 200,
+        contentType: metrics.registry.contentType,
+        body: await metrics.registry.metrics(),
+      };
+    }
+    if (pathname === "/dead-letters") {
+      return {
+        status: 200,
+        body: state.listEvents((event) => event.status === "dead_letter"),
+      };
+    }
+    if (parts.length === 1 && parts[0] === "relays") {
+      return { status: 200, body: listRelays(listeners, state) };
+    }
+    if (parts.length === 2 && parts[0] === "relays") {
+      const event = state.getEvent(parts[1]);
+      if (!event) throw new HttpError(404, `Unknown event ${parts[1]}`);
+      return { status: 200, body: { key: parts[1], ...event } };
+    }
+    throw new HttpError(404, "Not found");
+  }
+
+  return http.createServer(async (req, res) => {
+    let response;
+    try {
+      response = await handle(req);
+    } catch (error) {
+      response = {
+        status: error instanceof HttpError ? error.status : 500,
+        body: { error: error.message },
+      };
+    }
+
+    if (typeof response.body === "string") {
+      res.writeHead(response.status, { "Content-Type": response.contentType });
+      res.end(response.body);
+    } else {
+      res.writeHead(response.status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(response.body, null, 2));
+    }
+  });
+}
+
+module.exports = {
+  createAdminServer,
+  HttpError,
+  DEFAULT_HTTP_PORT,
+  DEFAULT_HTTP_HOST,
+};
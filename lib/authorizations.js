@@ -0,0 +1,141 @@
+const fs = require("fs");
+const path = require("path");
+const ethers = require("ethers");
+const { findChain } = require("../config/chains");
+const { createProvider } = require("./rpcProvider");
+
+// Declarative list of source contracts every OrderProcessor should accept, per source chain
+const DEFAULT_AUTHORIZED_SOURCES_FILE = path.join(
+  __dirname,
+  "..",
+  "config",
+  "authorized-sources.json"
+);
+
+const AUTHORIZATION_ABI = [
+  "function authorizedContracts(uint32 chainId, address contractAddress) view returns (bool)",
+  "function authorizeSourceContract(uint32 chainId, address contractAddress, bool authorized) external",
+];
+
+function sourceKey({ sourceChainId, contract }) {
+  return `${sourceChainId}:${contract.toLowerCase()}`;
+}
+
+// Read the list: { "<chain slug or chain ID>": ["0x...", ...] }
+function loadAuthorizedSources(
+  file = process.env.AUTHORIZED_SOURCES_FILE || DEFAULT_AUTHORIZED_SOURCES_FILE
+) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Authorized sources file not found: ${file}`);
+  }
+  const content = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  const sources = [];
+  for (const [chainRef, contracts] of Object.entries(content)) {
+    const chain = findChain(chainRef);
+    if (!chain && !/^\d+$/.test(chainRef)) {
+      throw new Error(`Unknown source chain "${chainRef}" in ${file}`);
+    }
+    if (!Array.isArray(contracts)) {
+      throw new Error(`Source contracts for ${chainRef} in ${file} must be an array`);
+    }
+    for (const contract of contracts) {
+      if (!ethers.isAddress(contract)) {
+        throw new Error(`Invalid source contract ${contract} for ${chainRef} in ${file}`);
+      }
+      const source = {
+        sourceChainId: chain ? chain.chainId : Number(chainRef),
+        sourceChain: chain ? chain.name : chainRef,
+        contract: ethers.getAddress(contract),
+      };
+      if (!sources.some((existing) => sourceKey(existing) === sourceKey(source))) {
+        sources.push(source);
+      }
+    }
+  }
+  return { file, sources };
+}
+
+function connect(deployment, runner) {
+  return new ethers.Contract(deployment.address, AUTHORIZATION_ABI, runner);
+}
+
+// Compare the wanted sources with the authorizedContracts mapping on one OrderProcessor.
+// The mapping cannot be enumerated, so the sources this command authorized before
+// (kept in the deployment manifest) are checked as well, to find ones to revoke.
+async function diffAuthorizations(deployment, desired, deployments) {
+  const previous = deployments.getAuthorizations(deployment.network, deployment.address);
+  const candidates = [...desired];
+  for (const source of previous) {
+    if (!candidates.some((candidate) => sourceKey(candidate) === sourceKey(source))) {
+      candidates.push(source);
+    }
+  }
+
+  const provider = createProvider(deployment);
+  try {
+    const orderProcessor = connect(deployment, provider);
+    return await Promise.all(
+      candidates.map(async (source) => {
+        const wanted = desired.some((entry) => sourceKey(entry) === sourceKey(source));
+        const onChain = await orderProcessor.authorizedContracts(
+          source.sourceChainId,
+          source.contract
+        );
+        let action = null;
+        if (wanted && !onChain) action = "authorize";
+        if (!wanted && onChain) action = "revoke";
+        return { ...source, wanted, onChain, action };
+      })
+    );
+  } finally {
+    provider.destroy();
+  }
+}
+
+// Estimate the authorizeSourceContract calls for the rows that need a change,
+// priced with the sender's fee policy
+async function estimateChanges(sender, orderProcessor, changes) {
+  let estimatedGas = BigInt(0);
+  let gasLimit = BigInt(0);
+  let estimatedCost = BigInt(0);
+  let maxCost = BigInt(0);
+  const calls = [];
+  for (const change of changes) {
+    const estimate = await sender.estimate(
+      {
+        to: await orderProcessor.getAddress(),
+        data: orderProcessor.interface.encodeFunctionData("authorizeSourceContract", [
+          change.sourceChainId,
+          change.contract,
+          change.action === "authorize",
+        ]),
+      },
+      "authorizeSourceContract"
+    );
+    calls.push({ ...change, estimate });
+    estimatedGas += estimate.estimatedGas;
+    gasLimit += estimate.gasLimit;
+    estimatedCost += estimate.estimatedCost;
+    maxCost += estimate.maxCost;
+  }
+
+  return {
+    method: `${changes.length} authorizeSourceContract call(s)`,
+    calls,
+    estimatedGas,
+    gasLimit,
+    fees: calls[0].estimate.fees,
+    estimatedCost,
+    maxCost,
+  };
+}
+
+module.exports = {
+  AUTHORIZATION_ABI,
+  DEFAULT_AUTHORIZED_SOURCES_FILE,
+  loadAuthorizedSources,
+  diffAuthorizations,
+  estimateChanges,
+  connect,
+};
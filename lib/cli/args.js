@@ -0,0 +1,116 @@
+// Exit codes shared by every CLI command
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+  PROOF: 3,
+  TRANSACTION: 4,
+  CANCELLED: 5,
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function coerce(option, value) {
+  if (option.type === "number") {
+    const number = Number(value);
+    if (value === undefined || value === "" || !Number.isFinite(number)) {
+      throw new UsageError(`--${option.name} expects a number, got "${value}"`);
+    }
+    return number;
+  }
+  if (value === undefined) {
+    throw new UsageError(`--${option.name} expects a value`);
+  }
+  return value;
+}
+
+// Parse argv against a list of options ({ name, alias, type, default, required })
+function parseArgs(argv, options = []) {
+  const flags = {};
+  const positionals = [];
+  const byName = new Map();
+  for (const option of options) {
+    byName.set(option.name, option);
+    if (option.alias) byName.set(option.alias, option);
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [rawName, inlineValue] = arg.replace(/^--?/, "").split(/=(.*)/s);
+    const option = byName.get(rawName);
+    if (!option) {
+      throw new UsageError(`Unknown option ${arg}`);
+    }
+
+    const key = toCamelCase(option.name);
+    if (option.type === "boolean") {
+      flags[key] = inlineValue === undefined ? true : inlineValue !== "false";
+    } else if (inlineValue !== undefined) {
+      flags[key] = coerce(option, inlineValue);
+    } else {
+      flags[key] = coerce(option, argv[++i]);
+    }
+  }
+
+  for (const option of options) {
+    const key = toCamelCase(option.name);
+    if (flags[key] === undefined && option.default !== undefined) {
+      flags[key] = option.default;
+    }
+  }
+
+  return { flags, positionals };
+}
+
+// Throw a UsageError naming every required option that is missing
+function requireFlags(flags, names) {
+  const missing = names.filter((name) => flags[toCamelCase(name)] === undefined);
+  if (missing.length > 0) {
+    throw new UsageError(
+      `Missing required option${missing.length > 1 ? "s" : ""}: ${missing
+        .map((name) => `--${name}`)
+        .join(", ")}`
+    );
+  }
+}
+
+function formatOptions(options) {
+  const rows = options.map((option) => {
+    const names = [
+      option.alias ? `-${option.alias}` : null,
+      `--${option.name}${option.type === "boolean" ? "" : ` <${option.type === "number" ? "n" : "value"}>`}`,
+    ]
+      .filter(Boolean)
+      .join(", ");
+    return [names, option.description];
+  });
+  const width = Math.max(0, ...rows.map(([names]) => names.length));
+  return rows.map(([names, description]) => `  ${names.padEnd(width)}  ${description}`).join("\n");
+}
+
+module.exports = {
+  EXIT_CODES,
+  UsageError,
+  parseArgs,
+  requireFlags,
+  formatOptions,
+  toCamelCase,
+};
@@ -0,0 +1,217 @@
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { UsageError, EXIT_CODES } = require("../args");
+const { formatTable } = require("../table");
+const { TRANSACTION_OPTIONS } = require("../options");
+const { assertCanConfirm, confirmTransaction } = require("../confirm");
+const { findChain } = require("../../../config/chains");
+const { getDeployedOrderProcessors } = require("../../orderStatus");
+const { DeploymentStore } = require("../../deployments");
+const { TransactionSender, describeFees } = require("../../transactionSender");
+const { createProvider } = require("../../rpcProvider");
+const {
+  loadAuthorizedSources,
+  diffAuthorizations,
+  estimateChanges,
+  connect,
+} = require("../../authorizations");
+const { logger } = require("../../logger");
+
+const ACTIONS = ["diff", "apply"];
+
+const TABLE_COLUMNS = [
+  { key: "sourceChain", label: "Source Chain" },
+  { key: "sourceChainId", label: "Chain ID" },
+  { key: "contract", label: "Contract" },
+  { key: "wanted", label: "Wanted" },
+  { key: "onChain", label: "On Chain" },
+  { key: "action", label: "Action" },
+];
+
+// Deployed OrderProcessors, or only those on the chains in --network
+function selectDeployments(flags) {
+  const deployments = getDeployedOrderProcessors();
+  if (flags.network === undefined) return deployments;
+
+  return flags.network
+    .split(",")
+    .map((ref) => ref.trim())
+    .filter(Boolean)
+    .map((ref) => {
+      const chain = findChain(ref);
+      if (!chain) throw new UsageError(`Unknown network ${ref}`);
+      const deployment = deployments.find((candidate) => candidate.chainId === chain.chainId);
+      if (!deployment) {
+        throw new UsageError(`No OrderProcessor deployed on ${chain.name}`);
+      }
+      return deployment;
+    });
+}
+
+function printDiff(deployment, rows) {
+  console.log(
+    chalk.blue(
+      `\n📋 OrderProcessor on ${chalk.bold(deployment.name)} (${deployment.address})`
+    )
+  );
+  if (rows.length === 0) {
+    console.log(chalk.cyan(">  No source contracts listed or previously authorized"));
+    return;
+  }
+  console.log(formatTable(rows, TABLE_COLUMNS));
+
+  const changes = rows.filter((row) => row.action).length;
+  if (changes === 0) {
+    console.log(chalk.green("✅ In sync"));
+  } else {
+    console.log(chalk.yellow(`>  ${changes} change(s) needed`));
+  }
+}
+
+// Sources authorized on chain after a reconcile, remembered to find revocations next time
+function recordAuthorizations(deployments, deployment, rows) {
+  deployments.setAuthorizations(
+    deployment.network,
+    deployment.chainId,
+    deployment.address,
+    rows
+      .filter((row) => row.onChain)
+      .map(({ sourceChainId, sourceChain, contract }) => ({
+        sourceChainId,
+        sourceChain,
+        contract,
+      }))
+  );
+}
+
+// Send the authorizeSourceContract calls one OrderProcessor needs
+async function applyChanges(deployment, rows, deployments, flags) {
+  const changes = rows.filter((row) => row.action);
+  if (changes.length === 0) {
+    recordAuthorizations(deployments, deployment, rows);
+    return EXIT_CODES.SUCCESS;
+  }
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error("Missing PRIVATE_KEY in environment variables. Cannot execute transaction.");
+  }
+
+  const provider = createProvider(deployment);
+  try {
+    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    const orderProcessor = connect(deployment, wallet);
+    const sender = new TransactionSender(wallet, findChain(deployment.chainId));
+
+    logger.info(chalk.yellow(">  Estimating gas..."));
+    const estimate = await estimateChanges(sender, orderProcessor, changes);
+    logger.info(chalk.cyan(`>  Estimated gas: ${estimate.estimatedGas.toString()} (limit ${estimate.gasLimit.toString()})`));
+    logger.info(chalk.cyan(`>  Fees: ${describeFees(estimate.fees)}`));
+    logger.info(chalk.cyan(`>  Estimated cost: ${chalk.bold(ethers.formatEther(estimate.estimatedCost))} (native token)`));
+    logger.info(chalk.cyan(`>  Maximum cost: ${ethers.formatEther(estimate.maxCost)} (native token)`));
+    logger.info(chalk.cyan(`>  From: ${wallet.address}`));
+
+    if (flags.dryRun) {
+      logger.info(chalk.yellow(`\n⏭️  Dry run, not sending ${estimate.method}`));
+      return EXIT_CODES.SUCCESS;
+    }
+    if (!(await confirmTransaction(estimate, flags))) {
+      logger.info(chalk.yellow(`\n⏭️  Not sending ${estimate.method}`));
+      return EXIT_CODES.CANCELLED;
+    }
+
+    try {
+      for (const [i, call] of estimate.calls.entries()) {
+        await sender.send(call.estimate.request, {
+          label: `${call.action} ${call.contract} (${call.sourceChain})`,
+          estimate: call.estimate,
+          onSent: (hash) =>
+            logger.info(
+              chalk.green(
+                `⏳ ${call.action} ${call.contract} (${call.sourceChain}): ${chalk.bold(hash)}`
+              )
+            ),
+        });
+        changes[i].onChain = call.action === "authorize";
+      }
+    } finally {
+      // Record what was applied, even when a later call failed
+      recordAuthorizations(deployments, deployment, rows);
+    }
+    logger.info(chalk.green(`✅ ${deployment.name} reconciled`));
+    return EXIT_CODES.SUCCESS;
+  } finally {
+    provider.destroy();
+  }
+}
+
+module.exports = {
+  name: "authorize",
+  summary: "Reconcile authorized source contracts on every deployed OrderProcessor",
+  usage: "authorize <diff|apply> [--file <path>] [--network <chain,...>] [--dry-run] [--yes]",
+  maxPositionals: 1,
+  options: [
+    {
+      name: "file",
+      alias: "f",
+      type: "string",
+      description: "Authorized sources file (default config/authorized-sources.json)",
+    },
+    {
+      name: "network",
+      alias: "n",
+      type: "string",
+      description: "Only these OrderProcessor chains (slugs, network names or chain IDs)",
+    },
+    {
+      name: "json",
+      type: "boolean",
+      description: "Print the diff as JSON",
+    },
+    ...TRANSACTION_OPTIONS,
+  ],
+
+  async run(flags, [action]) {
+    if (!ACTIONS.includes(action)) {
+      throw new UsageError(`Pass one of: ${ACTIONS.join(", ")}`);
+    }
+    if (action === "apply") assertCanConfirm(flags, "authorizeSourceContract");
+
+    const { file, sources } = loadAuthorizedSources(flags.file);
+    const targets = selectDeployments(flags);
+    if (targets.length === 0) {
+      throw new Error(
+        "No OrderProcessor deployments configured. Deploy one with the deploy command first"
+      );
+    }
+    if (!flags.json) {
+      logger.info(chalk.cyan(`>  ${sources.length} source contract(s) listed in ${file}`));
+    }
+
+    const deployments = new DeploymentStore();
+    const diffs = [];
+    const errors = [];
+    let status = EXIT_CODES.SUCCESS;
+    for (const deployment of targets) {
+      const diff = { chain: deployment.name, orderProcessor: deployment.address };
+      diffs.push(diff);
+      try {
+        const rows = await diffAuthorizations(deployment, sources, deployments);
+        diff.sources = rows;
+        if (!flags.json) printDiff(deployment, rows);
+        if (action === "apply") {
+          status = Math.max(status, await applyChanges(deployment, rows, deployments, flags));
+        }
+      } catch (error) {
+        errors.push(error);
+        diff.error = error.shortMessage || error.message;
+        logger.error(chalk.red(`❌ ${deployment.name}:`), { error });
+      }
+    }
+
+    if (flags.json) console.log(JSON.stringify(diffs, null, 2));
+    if (errors.length > 0) {
+      logger.error(chalk.red(`\n❌ ${errors.length} of ${targets.length} OrderProcessor(s) failed`));
+      throw errors[0];
+    }
+    return status;
+  },
+};
@@ -0,0 +1,65 @@
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { UsageError } = require("../args");
+
+const ROOT = path.join(__dirname, "../../..");
+
+module.exports = {
+  name: "deploy",
+  summary: "Deploy the OrderProcessor to one network or to all of them",
+  usage: "deploy --network <hardhat network> | deploy --all [--concurrency <n>] [--only-failed] [--force]",
+  options: [
+    {
+      name: "network",
+      alias: "n",
+      type: "string",
+      description: "Hardhat network name (e.g. baseSepolia, t3rn)",
+    },
+    {
+      name: "all",
+      type: "boolean",
+      description: "Deploy to every chain in ACTIVATED_CHAINS (or all chains)",
+    },
+    {
+      name: "concurrency",
+      type: "number",
+      description: "With --all, chains deployed at the same time (default 3)",
+    },
+    {
+      name: "only-failed",
+      type: "boolean",
+      description: "With --all, retry only the chains that failed in the last run",
+    },
+    {
+      name: "force",
+      type: "boolean",
+      description: "With --all, redeploy even where the recorded deployment is up to date",
+    },
+  ],
+
+  async run(flags) {
+    if (Boolean(flags.network) === Boolean(flags.all)) {
+      throw new UsageError("Pass either --network <name> or --all");
+    }
+
+    const allFlags = [
+      ...(flags.concurrency !== undefined ? ["--concurrency", String(flags.concurrency)] : []),
+      ...(flags.onlyFailed ? ["--only-failed"] : []),
+      ...(flags.force ? ["--force"] : []),
+    ];
+    if (!flags.all && allFlags.length > 0) {
+      throw new UsageError("--concurrency, --only-failed and --force only apply to --all");
+    }
+
+    const [command, args] = flags.all
+      ? ["node", ["scripts/deploy-all-order-processor.js", ...allFlags]]
+      : [
+          "npx",
+          ["hardhat", "run", "scripts/deployOrderProcessor.js", "--network", flags.network],
+        ];
+
+    const result = spawnSync(command, args, { cwd: ROOT, stdio: "inherit" });
+    if (result.error) throw result.error;
+    return result.status;
+  },
+};
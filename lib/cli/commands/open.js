@@ -0,0 +1,57 @@
+const chalk = require("chalk");
+const { requireFlags, UsageError, EXIT_CODES } = require("../args");
+const {
+  SOURCE_LOG_OPTIONS,
+  SOURCE_LOG_FLAGS,
+  TRANSACTION_OPTIONS,
+} = require("../options");
+const { assertCanConfirm, confirmTransaction } = require("../confirm");
+const { resolveLogIndexes, forEachLogIndex } = require("../sourceLogs");
+const {
+  fetchProof,
+  validateProof,
+  decodeProvenEvent,
+  submitToOrderProcessor,
+} = require("../../orderProof");
+const { logger } = require("../../logger");
+
+module.exports = {
+  name: "open",
+  summary: "Prove an OrderCreated event and open the order on t3rn",
+  usage: "open --chain <id> --tx <hash> [--log-index <n>] [--contract <address>] [--dry-run] [--yes]",
+  options: [...SOURCE_LOG_OPTIONS, ...TRANSACTION_OPTIONS],
+
+  async run(flags) {
+    requireFlags(flags, SOURCE_LOG_FLAGS);
+    assertCanConfirm(flags, "openOrder");
+
+    const indexes = await resolveLogIndexes(flags, ["OrderCreated"]);
+
+    return forEachLogIndex(indexes, async (localLogIndex) => {
+      const proof = await fetchProof({
+        chainId: flags.chain,
+        txHash: flags.tx,
+        localLogIndex,
+        useCache: !flags.noCache,
+      });
+      const event = decodeProvenEvent(
+        await validateProof(proof.proofHex, { cacheKey: proof.cacheKey })
+      );
+      if (event.name !== "OrderCreated") {
+        throw new UsageError(
+          `Log ${localLogIndex} of ${flags.tx} is not an OrderCreated event (${event.name})`
+        );
+      }
+
+      const result = await submitToOrderProcessor("openOrder", proof.proofHex, "OrderOpened", {
+        dryRun: flags.dryRun,
+        confirm: (estimate) => confirmTransaction(estimate, flags),
+        cacheKey: proof.cacheKey,
+      });
+      if (result.dryRun) return EXIT_CODES.SUCCESS;
+      if (!result.sent) return EXIT_CODES.CANCELLED;
+
+      logger.info(chalk.green(`\n✅ Order ${chalk.bold(event.args.id)} opened.`));
+    });
+  },
+};
@@ -0,0 +1,64 @@
+const chalk = require("chalk");
+const { requireFlags } = require("../args");
+const { SOURCE_LOG_OPTIONS, SOURCE_LOG_FLAGS } = require("../options");
+const { resolveLogIndexes, forEachLogIndex } = require("../sourceLogs");
+const {
+  fetchProof,
+  validateProof,
+  decodeProvenEvent,
+} = require("../../orderProof");
+const { logger } = require("../../logger");
+
+module.exports = {
+  name: "proof",
+  summary: "Request a Polymer proof for a log, validate and decode it",
+  usage: "proof --chain <id> --tx <hash> [--log-index <n>] [--contract <address>]",
+  options: [
+    ...SOURCE_LOG_OPTIONS,
+    {
+      name: "skip-validation",
+      type: "boolean",
+      description: "Do not call validateEvent on the t3rn prover",
+    },
+  ],
+
+  async run(flags) {
+    requireFlags(flags, SOURCE_LOG_FLAGS);
+
+    const indexes = await resolveLogIndexes(flags, ["OrderCreated", "Confirmation"]);
+
+    const proofs = [];
+    await forEachLogIndex(indexes, async (localLogIndex) => {
+      const proof = await fetchProof({
+        chainId: flags.chain,
+        txHash: flags.tx,
+        localLogIndex,
+        useCache: !flags.noCache,
+      });
+
+      if (!flags.skipValidation) {
+        const validated = await validateProof(proof.proofHex, { cacheKey: proof.cacheKey });
+        decodeProvenEvent(validated);
+      }
+
+      logger.info(chalk.green(`\n✅ Success! Proof retrieved.`));
+      proofs.push({
+        chainId: proof.chainId,
+        txHash: proof.txHash,
+        blockNumber: proof.blockNumber,
+        positionInBlock: proof.positionInBlock,
+        localLogIndex: proof.localLogIndex,
+        jobId: proof.jobId,
+        cached: proof.cached,
+        cacheKey: proof.cacheKey,
+        proofBase64: proof.proofBase64,
+        proofHex: proof.proofHex,
+      });
+    });
+
+    // Output original proof data for reference: one object for --log-index, else one per log found
+    console.log(
+      JSON.stringify(flags.logIndex !== undefined ? proofs[0] : proofs, null, 2)
+    );
+  },
+};
@@ -0,0 +1,166 @@
+const fs = require("fs");
+const chalk = require("chalk");
+const { UsageError, EXIT_CODES } = require("../args");
+const { formatTable } = require("../table");
+const { ProofCache } = require("../../proofCache");
+const { logger } = require("../../logger");
+
+const ACTIONS = ["list", "inspect", "export", "purge"];
+const EXPORT_FORMATS = ["json", "hex", "base64"];
+
+const TABLE_COLUMNS = [
+  { key: "shortKey", label: "Key" },
+  { key: "chainId", label: "Chain" },
+  { key: "blockNumber", label: "Block" },
+  { key: "positionInBlock", label: "Position" },
+  { key: "localLogIndex", label: "Log" },
+  { key: "jobId", label: "Job" },
+  { key: "event", label: "Validated Event" },
+  { key: "fetchedAt", label: "Fetched At" },
+];
+
+// Entries matching --chain and --older-than
+function selectEntries(cache, flags) {
+  const cutoff =
+    flags.olderThan === undefined
+      ? undefined
+      : Date.now() - flags.olderThan * 24 * 60 * 60 * 1000;
+  return cache.list(
+    (entry) =>
+      (flags.chain === undefined || entry.chainId === flags.chain) &&
+      (cutoff === undefined || Date.parse(entry.fetchedAt) < cutoff)
+  );
+}
+
+function findEntry(cache, key) {
+  if (!key) throw new UsageError("Pass the cache key (or a unique prefix of it)");
+  const entry = cache.find(key);
+  if (!entry) throw new UsageError(`No cached proof with key ${key}`);
+  return entry;
+}
+
+function list(cache, flags) {
+  const entries = selectEntries(cache, flags);
+  if (flags.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  console.log(chalk.blue(`📦 ${entries.length} cached proof(s) in ${cache.dir}`));
+  if (entries.length === 0) return;
+  console.log(
+    formatTable(
+      entries.map((entry) => ({
+        ...entry,
+        shortKey: entry.key.substring(0, 12),
+        event: entry.validation ? entry.validation.event || "unknown" : null,
+      })),
+      TABLE_COLUMNS
+    )
+  );
+}
+
+function inspect(cache, key) {
+  console.log(JSON.stringify(findEntry(cache, key), null, 2));
+}
+
+// Write one entry (or every selected entry, as JSON) to --out or stdout
+function exportEntries(cache, key, flags) {
+  const format = flags.format || "json";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new UsageError(`--format must be one of ${EXPORT_FORMATS.join(", ")}`);
+  }
+
+  let content;
+  if (key) {
+    const entry = findEntry(cache, key);
+    if (format === "hex") content = entry.proofHex;
+    else if (format === "base64") content = entry.proofBase64;
+    else content = JSON.stringify(entry, null, 2);
+  } else {
+    if (format !== "json") {
+      throw new UsageError(`--format ${format} needs a single cache key`);
+    }
+    content = JSON.stringify(selectEntries(cache, flags), null, 2);
+  }
+
+  if (flags.out) {
+    fs.writeFileSync(flags.out, `${content}\n`);
+    logger.info(chalk.green(`✅ Exported to ${flags.out}`));
+  } else {
+    console.log(content);
+  }
+}
+
+// Remove one entry, or the entries matching the filters; --all is required to empty the cache
+function purge(cache, key, flags) {
+  let entries;
+  if (key) {
+    entries = [findEntry(cache, key)];
+  } else {
+    if (flags.chain === undefined && flags.olderThan === undefined && !flags.all) {
+      throw new UsageError("Pass a cache key, --chain, --older-than or --all");
+    }
+    entries = selectEntries(cache, flags);
+  }
+
+  for (const entry of entries) {
+    cache.remove(entry.key);
+  }
+  logger.info(chalk.green(`✅ Purged ${entries.length} cached proof(s)`));
+}
+
+module.exports = {
+  name: "proofs",
+  summary: "List, inspect, export or purge cached Polymer proofs",
+  usage: "proofs <list|inspect|export|purge> [key] [options]",
+  maxPositionals: 2,
+  options: [
+    {
+      name: "chain",
+      alias: "c",
+      type: "number",
+      description: "Only proofs for logs on this source chain ID (list, export, purge)",
+    },
+    {
+      name: "older-than",
+      type: "number",
+      description: "Only proofs fetched more than this many days ago (list, export, purge)",
+    },
+    {
+      name: "all",
+      type: "boolean",
+      description: "Purge every cached proof",
+    },
+    {
+      name: "format",
+      type: "string",
+      description: "Export format: json (default), hex or base64",
+    },
+    {
+      name: "out",
+      alias: "o",
+      type: "string",
+      description: "Export to this file instead of stdout",
+    },
+    {
+      name: "json",
+      type: "boolean",
+      description: "List as JSON",
+    },
+  ],
+
+  async run(flags, [action, key]) {
+    if (!ACTIONS.includes(action)) {
+      throw new UsageError(`Pass one of: ${ACTIONS.join(", ")}`);
+    }
+
+    const cache = new ProofCache();
+    if (action === "list") list(cache, flags);
+    else if (action === "inspect") inspect(cache, key);
+    else if (action === "export") exportEntries(cache, key, flags);
+    else purge(cache, key, flags);
+
+    return EXIT_CODES.SUCCESS;
+  },
+};
@@ -0,0 +1,43 @@
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { logger } = require("../../logger");
+
+const RELAYER = path.join(__dirname, "../../../scripts/relayerV2.js");
+
+module.exports = {
+  name: "relay",
+  summary: "Run the relayer (listen, or backfill a block range)",
+  usage: "relay [--mode values,orders,confirmations] [--from-block <n> [--to-block <n>]]",
+  options: [
+    {
+      name: "mode",
+      alias: "m",
+      type: "string",
+      description: "Relay modes, comma separated (default RELAYER_MODE or values)",
+    },
+    {
+      name: "from-block",
+      type: "number",
+      description: "Backfill from this block and exit",
+    },
+    {
+      name: "to-block",
+      type: "number",
+      description: "Last block to backfill (default latest final block)",
+    },
+  ],
+
+  async run(flags) {
+    const args = [];
+    if (flags.mode) args.push(`--mode=${flags.mode}`);
+    if (flags.fromBlock !== undefined) args.push("--from-block", String(flags.fromBlock));
+    if (flags.toBlock !== undefined) args.push("--to-block", String(flags.toBlock));
+
+    const result = spawnSync(process.execPath, [RELAYER, ...args], {
+      stdio: "inherit",
+      env: { ...process.env, ...logger.toEnv() },
+    });
+    if (result.error) throw result.error;
+    return result.status;
+  },
+};
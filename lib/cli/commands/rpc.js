@@ -0,0 +1,73 @@
+const chalk = require("chalk");
+const { UsageError, EXIT_CODES } = require("../args");
+const { formatTable } = require("../table");
+const { getChains, findChain } = require("../../../config/chains");
+const { createProvider } = require("../../rpcProvider");
+
+const TABLE_COLUMNS = [
+  { key: "endpoint", label: "Endpoint" },
+  { key: "healthy", label: "Healthy" },
+  { key: "blockNumber", label: "Block" },
+  { key: "latencyMs", label: "Latency (ms)" },
+  { key: "lastError", label: "Error" },
+];
+
+// Block number, latency and health of every RPC endpoint of a chain
+async function checkChain(chain) {
+  const provider = createProvider(chain);
+  try {
+    const endpoints = await provider.checkHealth();
+    return { chain: chain.name, chainId: chain.chainId, quorum: chain.rpcQuorum, endpoints };
+  } finally {
+    provider.destroy();
+  }
+}
+
+function printChain(result) {
+  console.log(
+    chalk.blue(`\n🌐 ${chalk.bold(result.chain)} (${result.chainId}), quorum ${result.quorum}`)
+  );
+  console.log(formatTable(result.endpoints, TABLE_COLUMNS));
+}
+
+module.exports = {
+  name: "rpc",
+  summary: "Check the health and latency of every chain's RPC endpoints",
+  usage: "rpc [--chain <id>] [--json]",
+  options: [
+    {
+      name: "chain",
+      alias: "c",
+      type: "number",
+      description: "Only this chain ID",
+    },
+    {
+      name: "json",
+      type: "boolean",
+      description: "Print the results as JSON",
+    },
+  ],
+
+  async run(flags) {
+    let chains = getChains();
+    if (flags.chain !== undefined) {
+      const chain = findChain(flags.chain);
+      if (!chain) throw new UsageError(`Unknown chain ID ${flags.chain}`);
+      chains = [chain];
+    }
+
+    const results = await Promise.all(chains.map(checkChain));
+
+    if (flags.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      results.forEach(printChain);
+    }
+
+    // Fail when a chain has no endpoint left in rotation
+    const unreachable = results.some((result) =>
+      result.endpoints.every((endpoint) => !endpoint.healthy)
+    );
+    return unreachable ? EXIT_CODES.ERROR : EXIT_CODES.SUCCESS;
+  },
+};
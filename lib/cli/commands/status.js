@@ -0,0 +1,123 @@
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { UsageError, EXIT_CODES } = require("../args");
+const { formatTable } = require("../table");
+const {
+  getDeployedOrderProcessors,
+  getOrderStatusEverywhere,
+  getOrderIdsFromTransaction,
+} = require("../../orderStatus");
+
+const TABLE_COLUMNS = [
+  { key: "chain", label: "Chain" },
+  { key: "state", label: "State" },
+  { key: "isOpen", label: "Open" },
+  { key: "isCompleted", label: "Completed" },
+  { key: "amount", label: "Amount" },
+  { key: "nonce", label: "Nonce" },
+  { key: "network", label: "Network ID" },
+  { key: "sourceAccount", label: "Source Account" },
+  { key: "time", label: "Timestamp" },
+];
+
+// Details only worth printing for chains that know the order
+const DETAIL_FIELDS = [
+  ["orderProcessor", "OrderProcessor"],
+  ["targetAccount", "Target Account"],
+  ["rewardAsset", "Reward Asset"],
+  ["confirmationId", "Confirmation ID"],
+];
+
+function printStatus(orderId, results) {
+  console.log(chalk.blue(`\n📋 Order ${chalk.bold(orderId)}`));
+  console.log(formatTable(results, TABLE_COLUMNS));
+
+  for (const result of results) {
+    if (result.error) {
+      console.log(chalk.red(`❌ ${result.chain}: ${result.error}`));
+    } else if (result.state !== "NONEXISTENT") {
+      console.log(chalk.yellow(`\n${result.chain}:`));
+      for (const [key, label] of DETAIL_FIELDS) {
+        console.log(chalk.cyan(`>  ${label}: ${result[key]}`));
+      }
+    }
+  }
+}
+
+module.exports = {
+  name: "status",
+  summary: "Show an order's state on every deployed OrderProcessor",
+  usage: "status --order-id <bytes32> | status --chain <id> --tx <hash> [--json]",
+  options: [
+    {
+      name: "order-id",
+      alias: "o",
+      type: "string",
+      description: "Order ID (bytes32)",
+    },
+    {
+      name: "chain",
+      alias: "c",
+      type: "number",
+      description: "Source chain ID of --tx",
+    },
+    {
+      name: "tx",
+      alias: "t",
+      type: "string",
+      description: "Source transaction with OrderCreated or Confirmation events, instead of --order-id",
+    },
+    {
+      name: "json",
+      type: "boolean",
+      description: "Print the results as JSON",
+    },
+  ],
+
+  async run(flags) {
+    let orderIds;
+    if (flags.orderId !== undefined) {
+      if (!ethers.isHexString(flags.orderId, 32)) {
+        throw new UsageError(`--order-id must be a 32-byte hex string, got ${flags.orderId}`);
+      }
+      orderIds = [flags.orderId];
+    } else if (flags.tx !== undefined) {
+      if (flags.chain === undefined) {
+        throw new UsageError("--tx needs --chain, the source chain ID of the transaction");
+      }
+      orderIds = await getOrderIdsFromTransaction(flags.chain, flags.tx);
+      if (orderIds.length === 0) {
+        throw new UsageError(`No OrderCreated or Confirmation events in ${flags.tx}`);
+      }
+    } else {
+      throw new UsageError("Pass --order-id, or --chain and --tx");
+    }
+
+    const deployments = getDeployedOrderProcessors();
+    if (deployments.length === 0) {
+      throw new Error(
+        "No OrderProcessor deployments configured. Deploy one with the deploy command first"
+      );
+    }
+
+    const statuses = [];
+    for (const orderId of orderIds) {
+      statuses.push({
+        orderId,
+        chains: await getOrderStatusEverywhere(orderId, deployments),
+      });
+    }
+
+    if (flags.json) {
+      console.log(JSON.stringify(statuses, null, 2));
+    } else {
+      for (const { orderId, chains } of statuses) {
+        printStatus(orderId, chains);
+      }
+    }
+
+    // Fail only when no OrderProcessor could be read at all
+    const results = statuses.flatMap(({ chains }) => chains);
+    return results.every((result) => result.error) ? EXIT_CODES.ERROR : EXIT_CODES.SUCCESS;
+  },
+};
@@ -0,0 +1,165 @@
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { UsageError, EXIT_CODES } = require("../args");
+const { formatTable } = require("../table");
+const { TRANSACTION_OPTIONS } = require("../options");
+const { assertCanConfirm, confirmTransaction } = require("../confirm");
+const { findChain } = require("../../../config/chains");
+const { TransactionStore, FINAL_TX_STATUSES } = require("../../transactionStore");
+const { TransactionSender, describeFees, feesOf } = require("../../transactionSender");
+const { createProvider } = require("../../rpcProvider");
+const { logger } = require("../../logger");
+
+const ACTIONS = ["list", "inspect", "speed-up", "cancel"];
+
+const TABLE_COLUMNS = [
+  { key: "shortId", label: "ID" },
+  { key: "chain", label: "Chain" },
+  { key: "nonce", label: "Nonce" },
+  { key: "label", label: "Label" },
+  { key: "status", label: "Status" },
+  { key: "attemptCount", label: "Attempts" },
+  { key: "fees", label: "Latest Fees" },
+  { key: "createdAt", label: "Sent At" },
+];
+
+function findRecord(store, id) {
+  if (!id) throw new UsageError("Pass the transaction ID (or a unique prefix of it)");
+  const record = store.find(id);
+  if (!record) throw new UsageError(`No logged transaction with ID ${id}`);
+  return record;
+}
+
+function list(store, flags) {
+  const records = store.list(
+    (record) =>
+      (flags.chain === undefined || record.chainId === flags.chain) &&
+      (flags.status === undefined || record.status === flags.status)
+  );
+  if (flags.json) {
+    console.log(JSON.stringify(records, null, 2));
+    return;
+  }
+
+  console.log(chalk.blue(`📋 ${records.length} transaction(s) in ${store.filePath}`));
+  if (records.length === 0) return;
+  console.log(
+    formatTable(
+      records.map((record) => ({
+        ...record,
+        shortId: record.id.substring(0, 12),
+        attemptCount: record.attempts.length,
+        fees: describeFees(feesOf(record.attempts[record.attempts.length - 1])),
+      })),
+      TABLE_COLUMNS
+    )
+  );
+}
+
+// Speed up or cancel a pending transaction with a same-nonce replacement
+async function replace(store, action, id, flags) {
+  const record = findRecord(store, id);
+  if (FINAL_TX_STATUSES.includes(record.status)) {
+    throw new UsageError(`Transaction ${record.id} is already ${record.status}`);
+  }
+  const chain = findChain(record.chainId);
+  if (!chain) throw new Error(`Unknown chain ${record.chainId} for transaction ${record.id}`);
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error("Missing PRIVATE_KEY in environment variables. Cannot execute transaction.");
+  }
+
+  const provider = createProvider(chain);
+  try {
+    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    const sender = new TransactionSender(wallet, chain, { store });
+
+    logger.info(
+      chalk.blue(`\n🔎 ${record.label || "Transaction"} on ${chalk.bold(chain.name)}, nonce ${record.nonce}`)
+    );
+    logger.info(
+      chalk.cyan(`>  Latest fees: ${describeFees(feesOf(record.attempts[record.attempts.length - 1]))}`)
+    );
+    const estimate = await sender.estimateReplacement(record, action);
+    if (!estimate.fees) {
+      throw new Error(
+        `Fees on ${chain.name} are at the ${ethers.formatUnits(chain.maxFeePerGas, "gwei")} gwei cap; raise ${chain.envPrefix}_MAX_FEE_GWEI to replace it`
+      );
+    }
+    logger.info(chalk.cyan(`>  Replacement fees: ${describeFees(estimate.fees)}`));
+    logger.info(chalk.cyan(`>  Maximum cost: ${ethers.formatEther(estimate.maxCost)} (native token)`));
+
+    if (flags.dryRun) {
+      logger.info(chalk.yellow(`\n⏭️  Dry run, not sending ${estimate.method}`));
+      return EXIT_CODES.SUCCESS;
+    }
+    if (!(await confirmTransaction(estimate, flags))) {
+      logger.info(chalk.yellow(`\n⏭️  Not sending ${estimate.method}`));
+      return EXIT_CODES.CANCELLED;
+    }
+
+    const { record: settled, receipt } =
+      action === "cancel"
+        ? await sender.cancel(record, { estimate })
+        : await sender.speedUp(record, { estimate });
+
+    if (settled.status === "cancelled") {
+      logger.info(chalk.green(`✅ Cancelled in block ${receipt.blockNumber} (${receipt.hash})`));
+    } else if (settled.status === "reverted") {
+      logger.error(chalk.red(`❌ Transaction reverted in block ${receipt.blockNumber} (${receipt.hash})`));
+      return EXIT_CODES.TRANSACTION;
+    } else {
+      logger.info(chalk.green(`✅ Transaction confirmed in block ${receipt.blockNumber} (${receipt.hash})`));
+      if (action === "cancel") {
+        logger.info(chalk.yellow(">  The original transaction was mined before the cancel"));
+      }
+    }
+    return EXIT_CODES.SUCCESS;
+  } finally {
+    provider.destroy();
+  }
+}
+
+module.exports = {
+  name: "tx",
+  summary: "List logged transactions, or speed up or cancel a stuck one",
+  usage: "tx <list|inspect|speed-up|cancel> [id] [options]",
+  maxPositionals: 2,
+  options: [
+    {
+      name: "chain",
+      alias: "c",
+      type: "number",
+      description: "Only transactions on this chain ID (list)",
+    },
+    {
+      name: "status",
+      type: "string",
+      description: "Only transactions with this status, e.g. pending or stuck (list)",
+    },
+    {
+      name: "json",
+      type: "boolean",
+      description: "List as JSON",
+    },
+    ...TRANSACTION_OPTIONS,
+  ],
+
+  async run(flags, [action, id]) {
+    if (!ACTIONS.includes(action)) {
+      throw new UsageError(`Pass one of: ${ACTIONS.join(", ")}`);
+    }
+
+    const store = new TransactionStore();
+    if (action === "list") {
+      list(store, flags);
+      return EXIT_CODES.SUCCESS;
+    }
+    if (action === "inspect") {
+      console.log(JSON.stringify(findRecord(store, id), null, 2));
+      return EXIT_CODES.SUCCESS;
+    }
+
+    assertCanConfirm(flags, action);
+    return replace(store, action, id, flags);
+  },
+};
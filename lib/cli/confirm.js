@@ -0,0 +1,30 @@
+const inquirer = require("inquirer");
+const ethers = require("ethers");
+const { UsageError } = require("./args");
+
+// Sending needs --yes, --dry-run or a terminal to ask on; checked before any proof is requested
+function assertCanConfirm(flags = {}, method = "the transaction") {
+  if (!flags.yes && !flags.dryRun && !process.stdin.isTTY) {
+    throw new UsageError(
+      `Not sending ${method} without confirmation: pass --yes to send, or --dry-run to only simulate`
+    );
+  }
+}
+
+// Ask before broadcasting a transaction, unless --yes was passed
+async function confirmTransaction(estimate, flags = {}) {
+  if (flags.yes) return true;
+  assertCanConfirm(flags, estimate.method);
+
+  const { confirmed } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "confirmed",
+      message: `Send ${estimate.method} for up to ${ethers.formatEther(estimate.maxCost)} (native token)?`,
+      default: false,
+    },
+  ]);
+  return confirmed;
+}
+
+module.exports = { assertCanConfirm, confirmTransaction };
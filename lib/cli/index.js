@@ -0,0 +1,138 @@
+const chalk = require("chalk");
+const {
+  EXIT_CODES,
+  UsageError,
+  parseArgs,
+  formatOptions,
+} = require("./args");
+const { LOG_OPTIONS } = require("./options");
+const { PolymerApiError } = require("../polymerClient");
+const { logger } = require("../logger");
+
+const COMMANDS = [
+  require("./commands/proof"),
+  require("./commands/open"),
+  require("./commands/complete"),
+  require("./commands/status"),
+  require("./commands/deploy"),
+  require("./commands/relay"),
+  require("./commands/proofs"),
+  require("./commands/authorize"),
+  require("./commands/tx"),
+  require("./commands/rpc"),
+];
+
+const HELP_OPTION = {
+  name: "help",
+  alias: "h",
+  type: "boolean",
+  description: "Show help",
+};
+
+function printHelp() {
+  const width = Math.max(...COMMANDS.map((command) => command.name.length));
+  console.log(`Usage: order-processor <command> [options]
+
+Commands:
+${COMMANDS.map((command) => `  ${command.name.padEnd(width)}  ${command.summary}`).join("\n")}
+
+Options:
+  -i, --interactive  Pick a command, chain and transaction interactively
+  -h, --help         Show help (also: order-processor <command> --help)
+  --log-format       Log output: pretty or json (default LOG_FORMAT or pretty)
+  --log-level        Lowest level logged: debug, info, warn or error (default info)
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  success
+  ${EXIT_CODES.ERROR}  unexpected error
+  ${EXIT_CODES.USAGE}  invalid usage or arguments
+  ${EXIT_CODES.PROOF}  Polymer proof could not be obtained
+  ${EXIT_CODES.TRANSACTION}  on-chain call or transaction reverted
+  ${EXIT_CODES.CANCELLED}  transaction not confirmed`);
+}
+
+function printCommandHelp(command) {
+  console.log(`Usage: order-processor ${command.usage}
+
+${command.summary}
+
+Options:
+${formatOptions([...command.options, ...LOG_OPTIONS, HELP_OPTION])}`);
+}
+
+// Map an error to the exit code documented in --help
+function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  if (error instanceof PolymerApiError) return EXIT_CODES.PROOF;
+  if (error.code === "CALL_EXCEPTION") return EXIT_CODES.TRANSACTION;
+  return EXIT_CODES.ERROR;
+}
+
+function findCommand(name) {
+  return COMMANDS.find((command) => command.name === name);
+}
+
+// Run a command with already parsed flags and return its exit code
+async function runCommand(command, flags, positionals = []) {
+  const status = await command.run(flags, positionals);
+  return typeof status === "number" ? status : EXIT_CODES.SUCCESS;
+}
+
+async function run(argv) {
+  try {
+    const [name, ...rest] = argv;
+
+    if (!name || name === "-i" || name === "--interactive") {
+      if (!name && !process.stdin.isTTY) {
+        printHelp();
+        return EXIT_CODES.USAGE;
+      }
+      return await require("./interactive").run(COMMANDS, runCommand);
+    }
+    if (name === "-h" || name === "--help" || name === "help") {
+      printHelp();
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const command = findCommand(name);
+    if (!command) {
+      throw new UsageError(`Unknown command "${name}"`);
+    }
+
+    const { flags, positionals } = parseArgs(rest, [
+      ...command.options,
+      ...LOG_OPTIONS,
+      HELP_OPTION,
+    ]);
+    try {
+      logger.configure({ format: flags.logFormat, level: flags.logLevel });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    if (flags.help) {
+      printCommandHelp(command);
+      return EXIT_CODES.SUCCESS;
+    }
+    if (positionals.length > (command.maxPositionals || 0)) {
+      throw new UsageError(
+        `Unexpected argument "${positionals[command.maxPositionals || 0]}"`
+      );
+    }
+
+    return await runCommand(command, flags, positionals);
+  } catch (error) {
+    // ethers errors carry the revert reason in shortMessage
+    logger.error(chalk.red("❌ Error:"), { error });
+    if (error instanceof UsageError) {
+      logger.error(chalk.yellow("Run with --help for usage."));
+    }
+    return exitCodeFor(error);
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  run,
+  runCommand,
+  exitCodeFor,
+};
@@ -0,0 +1,156 @@
+const inquirer = require("inquirer");
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { getChains, getRpcUrls } = require("../../config/chains");
+const { getProvider } = require("../rpcProvider");
+const { scanLogs } = require("../logScanner");
+const { ORDER_CREATED_TOPIC, CONFIRMATION_TOPIC } = require("../orderProof");
+const { logger } = require("../logger");
+
+// Blocks searched for recent order events when picking a transaction
+const RECENT_BLOCKS = 5000;
+
+// Source chains from the chain registry, plus any other chain ID with CHAIN_<id>_RPC set
+async function pickChain() {
+  const choices = [
+    ...getChains().map((chain) => ({
+      name: `${chain.name} (${chain.chainId})`,
+      value: chain.chainId,
+    })),
+    { name: "Other chain ID", value: "other" },
+  ];
+  const { chainId } = await inquirer.prompt([
+    { type: "list", name: "chainId", message: "Source chain:", choices },
+  ]);
+  if (chainId !== "other") return chainId;
+
+  const { otherChainId } = await inquirer.prompt([
+    { type: "number", name: "otherChainId", message: "Source chain ID:" },
+  ]);
+  getRpcUrls(otherChainId);
+  return otherChainId;
+}
+
+// Let the user pick a recent OrderCreated/Confirmation log, or type a transaction hash
+async function pickLog(chainId, topic) {
+  const { source } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "source",
+      message: "Transaction:",
+      choices: [
+        { name: `Pick from events in the last ${RECENT_BLOCKS} blocks`, value: "recent" },
+        { name: "Enter a transaction hash", value: "manual" },
+      ],
+    },
+  ]);
+
+  if (source === "recent") {
+    const provider = getProvider(chainId);
+    const latestBlock = await provider.getBlockNumber();
+    logger.info(chalk.yellow(`>  Scanning blocks ${Math.max(0, latestBlock - RECENT_BLOCKS)}-${latestBlock}...`));
+    const logs = await scanLogs(provider, {
+      topics: [topic],
+      fromBlock: Math.max(0, latestBlock - RECENT_BLOCKS),
+      toBlock: latestBlock,
+    });
+
+    if (logs.length > 0) {
+      const choices = [];
+      for (const log of logs.reverse().slice(0, 25)) {
+        const receipt = await provider.getTransactionReceipt(log.transactionHash);
+        const localLogIndex = receipt.logs.findIndex((receiptLog) => receiptLog.index === log.index);
+        choices.push({
+          name: `block ${log.blockNumber}  ${log.transactionHash}  log ${localLogIndex}  id ${log.topics[1]}`,
+          value: { tx: log.transactionHash, logIndex: localLogIndex },
+        });
+      }
+      const { picked } = await inquirer.prompt([
+        { type: "list", name: "picked", message: "Event:", choices },
+      ]);
+      return picked;
+    }
+    logger.info(chalk.yellow(">  No matching events found, enter the transaction manually"));
+  }
+
+  return inquirer.prompt([
+    {
+      type: "input",
+      name: "tx",
+      message: "Transaction hash:",
+      validate: (value) => ethers.isHexString(value, 32) || "Enter a 32-byte 0x-prefixed hash",
+    },
+    {
+      type: "input",
+      name: "logIndex",
+      message: "Local log index (leave empty for every order event in the transaction):",
+      filter: (value) => (value === "" ? undefined : Number(value)),
+      validate: (value) =>
+        value === undefined || Number.isInteger(value) || "Enter a log index or leave it empty",
+    },
+  ]);
+}
+
+// Prompt for a command and its inputs, then run it
+async function run(commands, runCommand) {
+  const { name } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "name",
+      message: "What do you want to do?",
+      choices: commands.map((command) => ({
+        name: `${command.name} - ${command.summary}`,
+        value: command.name,
+      })),
+    },
+  ]);
+  const command = commands.find((candidate) => candidate.name === name);
+
+  let flags = {};
+  let positionals = [];
+  if (["proof", "open", "complete"].includes(name)) {
+    const chain = await pickChain();
+    const topic = name === "complete" ? CONFIRMATION_TOPIC : ORDER_CREATED_TOPIC;
+    const { tx, logIndex } = await pickLog(chain, topic);
+    flags = { chain, tx, logIndex };
+  } else if (name === "status") {
+    flags = await inquirer.prompt([
+      { type: "input", name: "orderId", message: "Order ID:" },
+    ]);
+  } else if (name === "deploy") {
+    flags = await inquirer.prompt([
+      { type: "input", name: "network", message: "Hardhat network (leave empty for all):" },
+    ]);
+    if (!flags.network) flags = { all: true };
+  } else if (name === "relay") {
+    flags = await inquirer.prompt([
+      {
+        type: "checkbox",
+        name: "mode",
+        message: "Relay modes:",
+        choices: ["values", "orders", "confirmations"],
+        validate: (modes) => modes.length > 0 || "Pick at least one mode",
+      },
+    ]);
+    flags.mode = flags.mode.join(",");
+  } else if (name === "proofs") {
+    positionals = ["list"];
+  } else if (name === "authorize") {
+    const { action } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "action",
+        message: "Authorized source contracts:",
+        choices: [
+          { name: "Show the diff with config/authorized-sources.json", value: "diff" },
+          { name: "Apply the changes", value: "apply" },
+        ],
+      },
+    ]);
+    positionals = [action];
+  }
+
+  return runCommand(command, flags, positionals);
+}
+
+module.exports = { run };
@@ -0,0 +1,69 @@
+// Options identifying a source-chain log, shared by proof, open and complete
+const SOURCE_LOG_OPTIONS = [
+  {
+    name: "chain",
+    alias: "c",
+    type: "number",
+    description: "Source chain ID (e.g. 84532)",
+  },
+  {
+    name: "tx",
+    alias: "t",
+    type: "string",
+    description: "Transaction hash that emitted the event",
+  },
+  {
+    name: "log-index",
+    alias: "l",
+    type: "number",
+    description: "Index of the log within the transaction (default: every matching order event)",
+  },
+  {
+    name: "contract",
+    type: "string",
+    description: "Only use order events emitted by this contract",
+  },
+  {
+    name: "no-cache",
+    type: "boolean",
+    description: "Request a fresh proof even if the proof cache has one",
+  },
+];
+
+const SOURCE_LOG_FLAGS = ["chain", "tx"];
+
+// Options for commands that send a transaction, shared by open and complete
+const TRANSACTION_OPTIONS = [
+  {
+    name: "dry-run",
+    type: "boolean",
+    description: "Simulate and estimate the cost, but do not send the transaction",
+  },
+  {
+    name: "yes",
+    alias: "y",
+    type: "boolean",
+    description: "Send without asking for confirmation (for scripts and CI)",
+  },
+];
+
+// Log output options, accepted by every command
+const LOG_OPTIONS = [
+  {
+    name: "log-format",
+    type: "string",
+    description: "Log output: pretty or json (default LOG_FORMAT or pretty)",
+  },
+  {
+    name: "log-level",
+    type: "string",
+    description: "Lowest level logged: debug, info, warn or error (default LOG_LEVEL or info)",
+  },
+];
+
+module.exports = {
+  LOG_OPTIONS,
+  SOURCE_LOG_OPTIONS,
+  SOURCE_LOG_FLAGS,
+  TRANSACTION_OPTIONS,
+};
@@ -0,0 +1,67 @@
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { UsageError } = require("./args");
+const { findOrderLogs } = require("../orderProof");
+const { logger } = require("../logger");
+
+// Local log indexes to process: --log-index, or every matching order event in the receipt
+async function resolveLogIndexes(flags, eventNames) {
+  if (flags.contract !== undefined && !ethers.isAddress(flags.contract)) {
+    throw new UsageError(`--contract must be an address, got ${flags.contract}`);
+  }
+  if (flags.logIndex !== undefined) return [flags.logIndex];
+
+  const logs = await findOrderLogs({
+    chainId: flags.chain,
+    txHash: flags.tx,
+    eventNames,
+    contract: flags.contract,
+  });
+  if (logs.length === 0) {
+    throw new UsageError(
+      `No ${eventNames.join(" or ")} events in ${flags.tx}${
+        flags.contract ? ` from ${flags.contract}` : ""
+      }`
+    );
+  }
+
+  logger.info(chalk.blue(`🔎 Found ${logs.length} order event(s) in ${flags.tx}:`));
+  for (const log of logs) {
+    logger.info(
+      chalk.cyan(
+        `>  Log ${log.localLogIndex}: ${log.name} for order ${log.orderId} from ${log.address}`
+      )
+    );
+  }
+  return logs.map((log) => log.localLogIndex);
+}
+
+// Run fn for each log index. With several logs a failure does not stop the others;
+// the first error is rethrown at the end so it still sets the exit code.
+async function forEachLogIndex(indexes, fn) {
+  if (indexes.length === 1) return fn(indexes[0]);
+
+  let status;
+  const errors = [];
+  for (const index of indexes) {
+    logger.info(chalk.blue(`\n━━ Log ${index} ━━`));
+    try {
+      const result = await fn(index);
+      if (result) status = Math.max(status || 0, result);
+    } catch (error) {
+      errors.push(error);
+      logger.error(chalk.red(`❌ Log ${index} failed:`), { error });
+    }
+  }
+
+  if (errors.length > 0) {
+    logger.error(chalk.red(`\n❌ ${errors.length} of ${indexes.length} log(s) failed`));
+    throw errors[0];
+  }
+  return status;
+}
+
+module.exports = {
+  resolveLogIndexes,
+  forEachLogIndex,
+};
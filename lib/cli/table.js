@@ -0,0 +1,22 @@
+// Render rows as a plain text table with one column per { key, label }
+function formatTable(rows, columns) {
+  const cells = rows.map((row) =>
+    columns.map((column) => {
+      const value = row[column.key];
+      return value === undefined || value === null ? "-" : String(value);
+    })
+  );
+  const widths = columns.map((column, i) =>
+    Math.max(column.label.length, ...cells.map((row) => row[i].length))
+  );
+  const line = (values) =>
+    values.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd();
+
+  return [
+    line(columns.map((column) => column.label)),
+    line(widths.map((width) => "-".repeat(width))),
+    ...cells.map(line),
+  ].join("\n");
+}
+
+module.exports = { formatTable };
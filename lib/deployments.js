@@ -0,0 +1,136 @@
+const fs = require("fs");
+const path = require("path");
+const ethers = require("ethers");
+
+// Manifests live in the repository, not the working directory, so every script finds them
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const MANIFEST_VERSION = 1;
+
+// Per-network deployment manifests (deployments/<network>.json), one record per contract:
+// address, transaction, block, deployer, constructor args and bytecode hashes
+class DeploymentStore {
+  constructor(dir = process.env.DEPLOYMENTS_DIR || DEFAULT_DEPLOYMENTS_DIR) {
+    this.dir = dir;
+  }
+
+  filePath(network) {
+    return path.join(this.dir, `${network}.json`);
+  }
+
+  // Manifest for a network, or undefined when nothing was deployed there yet
+  load(network) {
+    const filePath = this.filePath(network);
+    if (!fs.existsSync(filePath)) return undefined;
+    const manifest = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (manifest.version !== MANIFEST_VERSION) {
+      throw new Error(
+        `Unsupported deployment manifest version ${manifest.version} in ${filePath}`
+      );
+    }
+    return manifest;
+  }
+
+  get(network, contractName) {
+    const manifest = this.load(network);
+    return manifest ? manifest.contracts[contractName] : undefined;
+  }
+
+  loadOrCreate(network, chainId) {
+    const manifest = this.load(network) || {
+      version: MANIFEST_VERSION,
+      network,
+      chainId,
+      contracts: {},
+    };
+    if (manifest.chainId !== chainId) {
+      throw new Error(
+        `${this.filePath(network)} is for chain ${manifest.chainId}, not ${chainId}`
+      );
+    }
+    return manifest;
+  }
+
+  // Written to a temporary file first so a crash never leaves a truncated manifest
+  save(manifest) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const filePath = this.filePath(manifest.network);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, `${JSON.stringify(manifest, null, 2)}\n`);
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  // Record a deployment, replacing any earlier record for the same contract
+  record(network, chainId, contractName, deployment) {
+    const manifest = this.loadOrCreate(network, chainId);
+    manifest.contracts[contractName] = {
+      ...deployment,
+      deployedAt: deployment.deployedAt || new Date().toISOString(),
+    };
+    this.save(manifest);
+    return manifest.contracts[contractName];
+  }
+
+  // Source contracts the authorize command last left authorized on an OrderProcessor.
+  // authorizeSourceContract emits no event, so this is how revocations are found.
+  getAuthorizations(network, orderProcessor) {
+    const manifest = this.load(network);
+    const authorizations = manifest && manifest.authorizations;
+    return (authorizations && authorizations[orderProcessor.toLowerCase()]) || [];
+  }
+
+  setAuthorizations(network, chainId, orderProcessor, sources) {
+    const manifest = this.loadOrCreate(network, chainId);
+    manifest.authorizations = {
+      ...manifest.authorizations,
+      [orderProcessor.toLowerCase()]: sources,
+    };
+    this.save(manifest);
+  }
+}
+
+// Deployment record for a contract deployed with a Hardhat contract factory
+async function describeDeployment(factory, contract, constructorArgs) {
+  const tx = contract.deploymentTransaction();
+  const receipt = await tx.wait();
+  const address = await contract.getAddress();
+  const code = await contract.runner.provider.getCode(address);
+
+  return {
+    address,
+    txHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    deployer: tx.from,
+    constructorArgs,
+    bytecodeHash: ethers.keccak256(factory.bytecode),
+    deployedBytecodeHash: ethers.keccak256(code),
+    deployedAt: new Date().toISOString(),
+  };
+}
+
+// Whether a recorded deployment is what would be deployed now: same creation bytecode and
+// constructor args, and the recorded runtime code still at the address. Returns { current, reason }.
+async function checkDeployment(record, provider, { bytecodeHash, constructorArgs }) {
+  if (!record) return { current: false, reason: "not deployed" };
+  if (record.bytecodeHash !== bytecodeHash) {
+    return { current: false, reason: "bytecode changed since the recorded deployment" };
+  }
+  const normalize = (args) => JSON.stringify(args).toLowerCase();
+  if (normalize(record.constructorArgs) !== normalize(constructorArgs)) {
+    return { current: false, reason: "constructor args changed" };
+  }
+  const code = await provider.getCode(record.address);
+  if (code === "0x") {
+    return { current: false, reason: `no code at ${record.address}` };
+  }
+  if (ethers.keccak256(code) !== record.deployedBytecodeHash) {
+    return { current: false, reason: `code at ${record.address} does not match the record` };
+  }
+  return { current: true, reason: "matching bytecode on chain" };
+}
+
+module.exports = {
+  DeploymentStore,
+  describeDeployment,
+  checkDeployment,
+  DEFAULT_DEPLOYMENTS_DIR,
+};
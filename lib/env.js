@@ -0,0 +1,14 @@
+// Integer setting from an env variable, at least min. Unset and empty values (as copied
+// from .env.sample) mean the fallback; anything else that is not an integer throws.
+function readIntEnv(name, fallback, min) {
+  const raw = process.env[name] === undefined ? "" : process.env[name].trim();
+  const value = raw === "" ? fallback : Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`Invalid ${name}: ${process.env[name]}`);
+  }
+  return value;
+}
+
+module.exports = {
+  readIntEnv,
+};
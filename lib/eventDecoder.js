@@ -0,0 +1,117 @@
+const ethers = require("ethers");
+
+// Events emitted by the source contracts that proofs are requested for
+const SOURCE_EVENTS_ABI = [
+  "event ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version)",
+  "event OrderCreated(bytes32 indexed id, bytes4 indexed destination, uint32 asset, bytes32 targetAccount, uint256 amount, address rewardAsset, uint256 insurance, uint256 maxReward, uint32 nonce, address sourceAccount, uint256 orderTimestamp)",
+  "event Confirmation(bytes32 indexed id, address indexed target, uint256 amount, address asset, address indexed sender, bytes32 confirmationId, uint256 timestamp)",
+];
+
+// Split the concatenated topics returned by validateEvent into 32-byte topics
+function splitTopics(topics) {
+  if (Array.isArray(topics)) return topics.map((topic) => ethers.hexlify(topic));
+
+  const topicsData = ethers.hexlify(topics).substring(2);
+  if (topicsData.length % 64 !== 0) {
+    throw new Error(`Topics must be a multiple of 32 bytes, got ${topicsData.length / 2} bytes`);
+  }
+  const result = [];
+  for (let i = 0; i < topicsData.length; i += 64) {
+    result.push(`0x${topicsData.substring(i, i + 64)}`);
+  }
+  return result;
+}
+
+// Decode one event from its topics (concatenated bytes or an array) and unindexed data.
+// Returns the args keyed by name, with indexed values unpadded to their ABI type
+// (bytes4, address, ...) and indexed dynamic values (string, bytes, arrays) as their hash.
+function decodeEvent(fragment, topics, unindexedData = "0x") {
+  const eventFragment = ethers.EventFragment.from(fragment);
+  const individualTopics = splitTopics(topics);
+
+  const indexedCount = eventFragment.inputs.filter((input) => input.indexed).length;
+  const expectedTopics = indexedCount + (eventFragment.anonymous ? 0 : 1);
+  if (individualTopics.length !== expectedTopics) {
+    throw new Error(
+      `${eventFragment.name} expects ${expectedTopics} topics, got ${individualTopics.length}`
+    );
+  }
+  if (!eventFragment.anonymous && individualTopics[0] !== eventFragment.topicHash) {
+    throw new Error(
+      `Topic 0 ${individualTopics[0]} is not the ${eventFragment.name} signature ${eventFragment.topicHash}`
+    );
+  }
+
+  const iface = new ethers.Interface([eventFragment]);
+  const result = iface.decodeEventLog(
+    eventFragment,
+    ethers.hexlify(unindexedData),
+    individualTopics
+  );
+
+  const args = {};
+  eventFragment.inputs.forEach((input, i) => {
+    const value = result[i];
+    args[input.name] = value instanceof ethers.Indexed ? value.hash : value;
+  });
+
+  return {
+    name: eventFragment.name,
+    signature: eventFragment.format("sighash"),
+    topicHash: eventFragment.topicHash,
+    fragment: eventFragment,
+    topics: individualTopics,
+    args,
+  };
+}
+
+// Decodes validateEvent output (or raw logs) for any event registered with it,
+// picking the fragment by the event signature in topic 0
+class EventDecoder {
+  constructor(abi = SOURCE_EVENTS_ABI) {
+    this.events = new Map();
+    this.register(abi);
+  }
+
+  // Register event fragments (human-readable strings, JSON ABI or EventFragments).
+  // Non-event entries are ignored so a full contract ABI can be passed.
+  register(abi) {
+    const iface = ethers.Interface.from(abi);
+    iface.forEachEvent((fragment) => {
+      this.events.set(fragment.topicHash, fragment);
+    });
+    return this;
+  }
+
+  // Fragment registered for a signature topic, if any
+  getEvent(topicHash) {
+    return this.events.get(ethers.hexlify(topicHash));
+  }
+
+  isRegistered(topics) {
+    const [signature] = splitTopics(topics);
+    return Boolean(signature && this.getEvent(signature));
+  }
+
+  // Decode { topics, unindexedData }, as returned by validateEvent
+  decode({ topics, unindexedData }) {
+    const [signature] = splitTopics(topics);
+    const fragment = signature && this.getEvent(signature);
+    if (!fragment) {
+      throw new Error(`No event registered for signature ${signature || "(no topics)"}`);
+    }
+    return decodeEvent(fragment, topics, unindexedData);
+  }
+
+  // Decode an ethers log ({ topics, data })
+  decodeLog(log) {
+    return this.decode({ topics: log.topics, unindexedData: log.data });
+  }
+}
+
+module.exports = {
+  SOURCE_EVENTS_ABI,
+  EventDecoder,
+  decodeEvent,
+  splitTopics,
+};
@@ -0,0 +1,73 @@
+const { readIntEnv } = require("./env");
+
+const DEFAULT_CHUNK_SIZE = 2000;
+const MIN_CHUNK_SIZE = 10;
+
+// RPC errors that mean the requested block range (or result set) was too large
+const RANGE_ERROR_PATTERNS = [
+  /block range/i,
+  /range is too large/i,
+  /too many (logs|results)/i,
+  /limit exceeded/i,
+  /query returned more than/i,
+  /response size/i,
+];
+
+function isRangeError(error) {
+  const messages = [
+    error.message,
+    error.error && error.error.message,
+    error.info && error.info.error && error.info.error.message,
+  ].filter(Boolean);
+  return messages.some((message) =>
+    RANGE_ERROR_PATTERNS.some((pattern) => pattern.test(message))
+  );
+}
+
+// Fetch logs between two blocks in chunks, shrinking the chunk when the RPC rejects the range
+async function scanLogs(
+  provider,
+  {
+    address,
+    topics,
+    fromBlock,
+    toBlock,
+    chunkSize = readIntEnv("LOG_SCAN_CHUNK_SIZE", DEFAULT_CHUNK_SIZE, MIN_CHUNK_SIZE),
+    onChunk,
+  }
+) {
+  const logs = [];
+  let size = chunkSize;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + size - 1, toBlock);
+    let chunk;
+    try {
+      chunk = await provider.getLogs({
+        address,
+        topics,
+        fromBlock: start,
+        toBlock: end,
+      });
+    } catch (error) {
+      if (isRangeError(error) && size > MIN_CHUNK_SIZE) {
+        size = Math.max(MIN_CHUNK_SIZE, Math.floor(size / 2));
+        continue;
+      }
+      throw error;
+    }
+
+    logs.push(...chunk);
+    if (onChunk) onChunk({ fromBlock: start, toBlock: end, logs: chunk });
+    start = end + 1;
+  }
+
+  return logs;
+}
+
+module.exports = {
+  scanLogs,
+  isRangeError,
+  DEFAULT_CHUNK_SIZE,
+};
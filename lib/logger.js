@@ -0,0 +1,183 @@
+const util = require("util");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ["pretty", "json"];
+
+const REDACTED = "[REDACTED]";
+
+// Env vars whose values never appear in logs, wherever they show up in a message or field
+const SECRET_ENV_PATTERN = /PRIVATE_KEY|API_KEY|TOKEN|SECRET|PASSWORD|MNEMONIC/i;
+// Fields redacted by name, e.g. request headers or options objects
+const SECRET_FIELD_PATTERN = /^(authorization|api[-_]?key|private[-_]?key|password|secret|token|mnemonic)$/i;
+// Credentials inside strings: bearer tokens and API keys in URL query strings
+const SECRET_TEXT_PATTERNS = [
+  [/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`],
+  [/([?&](?:api[-_]?key|key|token)=)[^&\s"',]+/gi, `$1${REDACTED}`],
+];
+
+// Values of secret env vars, with and without a 0x prefix (private keys are written both ways)
+function collectSecrets() {
+  const secrets = new Set();
+  for (const [name, value] of Object.entries(process.env)) {
+    if (!SECRET_ENV_PATTERN.test(name) || !value || value.length < 6) continue;
+    secrets.add(value);
+    if (value.startsWith("0x")) secrets.add(value.slice(2));
+  }
+  // Longest first so a key is not half-redacted by a shorter secret inside it
+  return [...secrets].sort((a, b) => b.length - a.length);
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    shortMessage: error.shortMessage,
+    stack: error.stack,
+  };
+}
+
+// Leveled logger shared by the scripts, the relayer and the CLI.
+// "pretty" prints messages as they always were (colours, emoji); "json" prints one object
+// per line with the level, the message without colours and the correlation fields
+// (chainId, txHash, orderId, jobId, ...) of the logger and the call.
+// Secrets are redacted in both formats.
+class Logger {
+  constructor({ format, level, fields = {}, root } = {}) {
+    this.root = root || this;
+    this.fields = fields;
+    if (!root) {
+      this.secrets = undefined;
+      this.configure({
+        format: format || process.env.LOG_FORMAT || "pretty",
+        level: level || process.env.LOG_LEVEL || "info",
+      });
+    }
+  }
+
+  // Change the format or level of this logger and every child of it
+  configure({ format, level } = {}) {
+    if (format !== undefined) {
+      if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown log format "${format}". Supported formats: ${FORMATS.join(", ")}`);
+      }
+      this.root.format = format;
+    }
+    if (level !== undefined) {
+      if (!LEVELS[level]) {
+        throw new Error(`Unknown log level "${level}". Supported levels: ${Object.keys(LEVELS).join(", ")}`);
+      }
+      this.root.level = level;
+    }
+    // Env files may have been loaded since the secrets were last collected
+    this.root.secrets = undefined;
+    return this;
+  }
+
+  // Logger that adds these fields to every entry
+  child(fields) {
+    return new Logger({ fields: { ...this.fields, ...fields }, root: this.root });
+  }
+
+  debug(message, fields) {
+    this.write("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this.write("info", message, fields);
+  }
+
+  warn(message, fields) {
+    this.write("warn", message, fields);
+  }
+
+  error(message, fields) {
+    this.write("error", message, fields);
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.root.level];
+  }
+
+  isJson() {
+    return this.root.format === "json";
+  }
+
+  // Env for child processes (scripts run through hardhat) so they log the same way
+  toEnv() {
+    return { LOG_FORMAT: this.root.format, LOG_LEVEL: this.root.level };
+  }
+
+  redactText(text) {
+    if (!this.root.secrets) this.root.secrets = collectSecrets();
+    let redacted = text;
+    for (const secret of this.root.secrets) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+    for (const [pattern, replacement] of SECRET_TEXT_PATTERNS) {
+      redacted = redacted.replace(pattern, replacement);
+    }
+    return redacted;
+  }
+
+  // Copy of a field value with secrets removed; errors become plain objects and bigints strings
+  redact(value, seen = new Set()) {
+    if (typeof value === "string") return this.redactText(value);
+    if (typeof value === "bigint") return value.toString();
+    if (value instanceof Error) return this.redact(serializeError(value), seen);
+    if (!value || typeof value !== "object") return value;
+    if (seen.has(value)) return "[Circular]";
+
+    seen.add(value);
+    let copy;
+    if (Array.isArray(value)) {
+      copy = value.map((item) => this.redact(item, seen));
+    } else {
+      copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        copy[key] = SECRET_FIELD_PATTERN.test(key) && item ? REDACTED : this.redact(item, seen);
+      }
+    }
+    seen.delete(value);
+    return copy;
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+    const print = LEVELS[level] >= LEVELS.warn ? console.error : console.log;
+    const { error, ...rest } = fields;
+
+    if (this.isJson()) {
+      const entry = this.redact({
+        time: new Date().toISOString(),
+        level,
+        msg: util.stripVTControlCharacters(String(message)).trim(),
+        ...this.fields,
+        ...rest,
+        ...(error ? { error } : {}),
+      });
+      print(JSON.stringify(entry));
+      return;
+    }
+
+    // Error objects carry request details; print only their message, and the stack when debugging
+    let text = String(message);
+    if (error) {
+      const details = error instanceof Error ? error : { message: String(error) };
+      text += ` ${details.shortMessage || details.message}`;
+      if (this.isEnabled("debug") && details.stack) text += `\n${details.stack}`;
+    }
+    print(this.redactText(text));
+  }
+}
+
+// Shared logger, configured from LOG_FORMAT and LOG_LEVEL (scripts also accept --log-format
+// and --log-level)
+const logger = new Logger();
+
+module.exports = {
+  Logger,
+  logger,
+  LEVELS,
+  FORMATS,
+};
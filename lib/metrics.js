@@ -0,0 +1,101 @@
+const client = require("prom-client");
+
+// Proof jobs take from under a second (cached or mock) to a few minutes on a busy prover
+const PROOF_DURATION_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300];
+// From the first broadcast to the receipt, including any stuck-transaction replacements
+const CONFIRMATION_DURATION_BUCKETS = [1, 2, 5, 10, 20, 30, 60, 120, 300, 600];
+const GAS_USED_BUCKETS = [50000, 100000, 150000, 200000, 300000, 500000, 750000, 1000000, 2000000];
+const RPC_DURATION_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Relayer metrics in their own registry, so tests and scripts can create several.
+// Every metric is labelled with the chain's registry slug; destination metrics use the
+// destination chain and source metrics the chain the event was emitted on.
+function createRelayerMetrics() {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+  const registers = [registry];
+
+  return {
+    registry,
+    eventsSeen: new client.Counter({
+      name: "relayer_events_seen_total",
+      help: "Source events picked up by a listener, before finality",
+      labelNames: ["chain", "event"],
+      registers,
+    }),
+    relays: new client.Counter({
+      name: "relayer_relays_total",
+      help: "Finished relays by outcome (relayed, skipped, dead_letter)",
+      labelNames: ["chain", "event", "status"],
+      registers,
+    }),
+    relayFailures: new client.Counter({
+      name: "relayer_relay_failures_total",
+      help: "Failed relay attempts by the stage they failed at, each followed by a retry or a dead letter",
+      labelNames: ["chain", "event", "stage"],
+      registers,
+    }),
+    proofDuration: new client.Histogram({
+      name: "relayer_proof_request_duration_seconds",
+      help: "Time to get a Polymer proof, from request to proof received",
+      labelNames: ["chain", "cached"],
+      buckets: PROOF_DURATION_BUCKETS,
+      registers,
+    }),
+    proofFailures: new client.Counter({
+      name: "relayer_proof_failures_total",
+      help: "Polymer proof requests that failed, by error class",
+      labelNames: ["chain", "reason"],
+      registers,
+    }),
+    proofPollAttempts: new client.Counter({
+      name: "relayer_proof_poll_attempts_total",
+      help: "Polymer proof job status queries, including failed ones",
+      labelNames: ["chain", "outcome"],
+      registers,
+    }),
+    destinationGasUsed: new client.Histogram({
+      name: "relayer_destination_gas_used",
+      help: "Gas used by confirmed destination transactions",
+      labelNames: ["chain", "method"],
+      buckets: GAS_USED_BUCKETS,
+      registers,
+    }),
+    confirmationDuration: new client.Histogram({
+      name: "relayer_destination_confirmation_seconds",
+      help: "Time from sending a destination transaction to its receipt",
+      labelNames: ["chain", "method"],
+      buckets: CONFIRMATION_DURATION_BUCKETS,
+      registers,
+    }),
+    lastProcessedBlock: new client.Gauge({
+      name: "relayer_last_processed_block",
+      help: "Checkpointed block per source chain listener",
+      labelNames: ["chain"],
+      registers,
+    }),
+    headBlock: new client.Gauge({
+      name: "relayer_head_block",
+      help: "Latest block seen per source chain listener",
+      labelNames: ["chain"],
+      registers,
+    }),
+    rpcRequestDuration: new client.Histogram({
+      name: "relayer_rpc_request_duration_seconds",
+      help: "JSON-RPC requests per endpoint, including failed ones",
+      labelNames: ["chain", "endpoint", "outcome"],
+      buckets: RPC_DURATION_BUCKETS,
+      registers,
+    }),
+    rpcEndpointHealthy: new client.Gauge({
+      name: "relayer_rpc_endpoint_healthy",
+      help: "1 while an RPC endpoint is in rotation, 0 while it cools down after failing or lagging",
+      labelNames: ["chain", "endpoint"],
+      registers,
+    }),
+  };
+}
+
+module.exports = {
+  createRelayerMetrics,
+};
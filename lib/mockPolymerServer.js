@@ -0,0 +1,185 @@
+const http = require("http");
+const ethers = require("ethers");
+
+// Status sequence walked by successive log_queryProof calls; the last one sticks
+const DEFAULT_STATUSES = ["initialized", "pending", "complete"];
+
+// Encode a proof the way MockPolymerProver.validateEvent decodes it
+function encodeMockProof({ chainId, emittingContract, topics, data }) {
+  return ethers.AbiCoder.defaultAbiCoder().encode(
+    ["uint32", "address", "bytes", "bytes"],
+    [chainId, emittingContract, ethers.concat(topics), data]
+  );
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Local stand-in for the Polymer proof API (log_requestProof / log_queryProof).
+// Proofs are built from the real log on a local or test RPC and only MockPolymerProver accepts them.
+function createMockPolymerServer({
+  rpcUrls = {},
+  defaultRpcUrl,
+  statuses = DEFAULT_STATUSES,
+  latencyMs = 0,
+  apiKey,
+} = {}) {
+  const jobs = new Map();
+  const providers = new Map();
+  let nextJobId = 1;
+
+  function getProvider(chainId) {
+    const rpcUrl = rpcUrls[chainId] || defaultRpcUrl;
+    if (!rpcUrl) {
+      throw new RpcError(-32602, `No RPC configured for chain ${chainId}`);
+    }
+    if (!providers.has(rpcUrl)) {
+      providers.set(rpcUrl, new ethers.JsonRpcProvider(rpcUrl));
+    }
+    return providers.get(rpcUrl);
+  }
+
+  // Look the log up by (block, position in block, local log index) like Polymer does
+  async function buildProof(chainId, blockNumber, positionInBlock, localLogIndex) {
+    const provider = getProvider(chainId);
+    const block = await provider.getBlock(blockNumber);
+    if (!block) {
+      throw new RpcError(-32000, `Block ${blockNumber} not found on chain ${chainId}`);
+    }
+    const txHash = block.transactions[positionInBlock];
+    if (!txHash) {
+      throw new RpcError(
+        -32000,
+        `No transaction at position ${positionInBlock} in block ${blockNumber}`
+      );
+    }
+    const receipt = await provider.getTransactionReceipt(txHash);
+    const log = receipt.logs[localLogIndex];
+    if (!log) {
+      throw new RpcError(
+        -32000,
+        `No log at local index ${localLogIndex} in transaction ${txHash}`
+      );
+    }
+
+    const proofHex = encodeMockProof({
+      chainId,
+      emittingContract: log.address,
+      topics: log.topics,
+      data: log.data,
+    });
+    return Buffer.from(ethers.getBytes(proofHex)).toString("base64");
+  }
+
+  const methods = {
+    async log_requestProof(params) {
+      const [chainId, blockNumber, positionInBlock, localLogIndex] = params.map(
+        Number
+      );
+      if ([chainId, blockNumber, positionInBlock, localLogIndex].some(Number.isNaN)) {
+        throw new RpcError(
+          -32602,
+          "Expected params [chainId, blockNumber, positionInBlock, localLogIndex]"
+        );
+      }
+
+      const proof = await buildProof(
+        chainId,
+        blockNumber,
+        positionInBlock,
+        localLogIndex
+      );
+      const jobId = nextJobId++;
+      jobs.set(jobId, {
+        jobID: jobId,
+        polls: 0,
+        proof,
+        params: { chainId, blockNumber, positionInBlock, localLogIndex },
+        createdAt: Date.now(),
+      });
+      return jobId;
+    },
+
+    async log_queryProof(params) {
+      const job = jobs.get(Number(params[0]));
+      if (!job) {
+        throw new RpcError(-32000, `Unknown job ID ${params[0]}`);
+      }
+
+      const status = statuses[Math.min(job.polls, statuses.length - 1)];
+      job.polls++;
+
+      const result = { jobID: job.jobID, status, createdAt: job.createdAt };
+      if (status === "complete") result.proof = job.proof;
+      if (status === "error") result.failureReason = "Mock proof failure";
+      return result;
+    },
+  };
+
+  async function handle(request) {
+    const method = methods[request.method];
+    if (!method) {
+      throw new RpcError(-32601, `Method ${request.method} not found`);
+    }
+    return method(request.params || []);
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      const send = (status, payload) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (latencyMs) await sleep(latencyMs);
+
+      if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+        return send(401, { error: "Unauthorized" });
+      }
+
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch (error) {
+        return send(400, {
+          jsonrpc: "2.0",
+          id: null,
+          error: { code: -32700, message: "Parse error" },
+        });
+      }
+
+      try {
+        const result = await handle(request);
+        send(200, { jsonrpc: "2.0", id: request.id, result });
+      } catch (error) {
+        send(200, {
+          jsonrpc: "2.0",
+          id: request.id,
+          error: {
+            code: Number.isInteger(error.code) ? error.code : -32000,
+            message: error.message,
+          },
+        });
+      }
+    });
+  });
+
+  server.jobs = jobs;
+  return server;
+}
+
+module.exports = {
+  createMockPolymerServer,
+  encodeMockProof,
+  DEFAULT_STATUSES,
+};
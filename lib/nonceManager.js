@@ -0,0 +1,89 @@
+const chalk = require("chalk");
+const { logger } = require("./logger");
+
+// Hands out nonces for one wallet on one chain, so concurrent sends from the same process
+// (the relayer's fan-out to several destinations, overlapping events) never reuse a nonce.
+// Nonces are pipelined: each send gets the next one without waiting for the previous
+// transaction to be mined. The counter starts from the chain's pending nonce and resyncs
+// with it whenever no transaction is in flight, or when the node rejects a nonce.
+class NonceManager {
+  constructor(chainName, address) {
+    this.chainName = chainName;
+    this.address = address;
+    this.nextNonce = undefined;
+    this.inFlight = 0;
+    this.lock = Promise.resolve();
+  }
+
+  // Run fn once every earlier call has finished
+  withLock(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async sync(provider) {
+    this.nextNonce = await provider.getTransactionCount(this.address, "pending");
+  }
+
+  // Next nonce to send with; pass it to release() or complete() afterwards
+  next(provider) {
+    return this.withLock(async () => {
+      if (this.nextNonce === undefined) await this.sync(provider);
+      this.inFlight++;
+      return this.nextNonce++;
+    });
+  }
+
+  // The transaction with this nonce was never broadcast. Returns false when later nonces
+  // were already handed out, so the caller must fill the gap or they are never mined.
+  release(nonce) {
+    this.inFlight--;
+    const last = nonce === this.nextNonce - 1;
+    if (last) this.nextNonce--;
+    this.resetWhenIdle();
+    return last;
+  }
+
+  // The transaction with this nonce was mined, dropped or given up on
+  complete() {
+    this.inFlight--;
+    this.resetWhenIdle();
+  }
+
+  // Re-read the pending nonce after the node rejected one (used elsewhere, or already taken).
+  // Never moves back: nonces handed out but not broadcast yet are not in the pending count.
+  resync(provider) {
+    return this.withLock(async () => {
+      const previous = this.nextNonce;
+      await this.sync(provider);
+      if (previous !== undefined && previous > this.nextNonce) this.nextNonce = previous;
+      logger.warn(
+        chalk.yellow(
+          `⚠️ Resynced nonce for ${this.address} on ${this.chainName}: ${previous} -> ${this.nextNonce}`
+        ),
+        { address: this.address, previousNonce: previous, nonce: this.nextNonce }
+      );
+    });
+  }
+
+  // With nothing in flight, read the nonce from the chain again on the next send, which
+  // picks up transactions sent by other processes from the same wallet
+  resetWhenIdle() {
+    if (this.inFlight === 0) this.nextNonce = undefined;
+  }
+}
+
+// One manager per chain and wallet, shared by every sender in the process
+const managers = new Map();
+
+function getNonceManager(chain, address) {
+  const key = `${chain.chainId}:${address.toLowerCase()}`;
+  if (!managers.has(key)) managers.set(key, new NonceManager(chain.name, address));
+  return managers.get(key);
+}
+
+module.exports = {
+  NonceManager,
+  getNonceManager,
+};
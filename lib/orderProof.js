@@ -0,0 +1,361 @@
+require("dotenv").config();
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { PolymerClient } = require("./polymerClient");
+const { getChainName, getOrderProcessorChain } = require("../config/chains");
+const { createProvider, getProvider } = require("./rpcProvider");
+const { EventDecoder, splitTopics } = require("./eventDecoder");
+const { createProofCache } = require("./proofCache");
+const { TransactionSender, describeFees } = require("./transactionSender");
+const { logger } = require("./logger");
+
+// ABI for the validateEvent function
+const PROVER_ABI = [
+  "function validateEvent(bytes calldata proof) external view returns (uint32 chainId, address emittingContract, bytes memory topics, bytes memory unindexedData)"
+];
+
+const ORDER_PROCESSOR_ABI = [
+  "event OrderOpened(bytes32 indexed id, bytes32 indexed destination, uint32 asset, bytes32 targetAccount, uint256 amount, address rewardAsset, uint256 insurance, uint256 maxReward, uint32 nonce, address sourceAccount, uint256 orderTimestamp)",
+  "event OrderCompleted(bytes32 indexed id, address indexed target, bytes32 confirmationId, uint256 amount, address asset, uint256 timestamp)",
+  "function openOrder(bytes calldata proof) external",
+  "function orderCompleted(bytes calldata proof) external",
+  "function isOrderOpen(bytes32 id) external view returns (bool)",
+  "function isOrderCompleted(bytes32 id) external view returns (bool)",
+  "function getOrderInfo(bytes32 id) external view returns (uint8 state, address sourceAccount, bytes32 targetAccount, uint256 amount, address rewardAsset, bytes32 confirmationId, uint256 timestamp, uint32 nonce, bytes32 networkId)"
+];
+
+// Decodes every source event a proof can be for
+const eventDecoder = new EventDecoder();
+
+const ORDER_CREATED_TOPIC = ethers.id(
+  "OrderCreated(bytes32,bytes4,uint32,bytes32,uint256,address,uint256,uint256,uint32,address,uint256)"
+);
+const CONFIRMATION_TOPIC = ethers.id(
+  "Confirmation(bytes32,address,uint256,address,address,bytes32,uint256)"
+);
+
+// Args printed as ETH amounts or unix timestamps when decoding
+const AMOUNT_ARGS = ["amount", "insurance", "maxReward"];
+const TIMESTAMP_ARGS = ["orderTimestamp", "timestamp"];
+
+function shorten(hex) {
+  return `${hex.substring(0, 42)}...${hex.substring(hex.length - 40)}`;
+}
+
+// Look the log up on the source chain and get its Polymer proof, from the proof cache
+// when it already holds one (unless useCache is false)
+async function fetchProof({ chainId, txHash, localLogIndex, useCache = true }) {
+  let log = logger.child({ chainId, txHash });
+  log.info(chalk.blue("🔄 Requesting proof from Polymer API..."));
+  log.info(chalk.cyan(`>  Chain ID: ${chalk.bold(chainId)}`));
+  log.info(chalk.cyan(`>  Chain Name: ${chalk.bold(getChainName(chainId))}`));
+  log.info(chalk.cyan(`>  Transaction Hash: ${chalk.bold(txHash)}`));
+  log.info(chalk.cyan(`>  Local Log Index: ${chalk.bold(localLogIndex)}`));
+
+  // Get transaction details from the blockchain
+  const provider = getProvider(chainId);
+  const txReceipt = await provider.getTransactionReceipt(txHash);
+
+  if (!txReceipt) {
+    throw new Error(`Transaction receipt not found for hash: ${txHash}`);
+  }
+
+  const blockNumber = txReceipt.blockNumber;
+  const positionInBlock = txReceipt.index;
+
+  log.info(chalk.cyan(`>  Block Number: ${chalk.bold(blockNumber)}`));
+  log.info(chalk.cyan(`>  Position in Block: ${chalk.bold(positionInBlock)}`));
+
+  // Request proof from Polymer API and wait for it to be generated
+  const cache = useCache ? createProofCache() : null;
+  const polymer = new PolymerClient({ cache });
+  const { jobId, proofBase64, proofHex, cached, cacheKey } = await polymer.getProof(
+    { chainId, blockNumber, positionInBlock, localLogIndex, txHash },
+    {
+      onCached: (entry) => {
+        log = log.child({ jobId: entry.jobId });
+        log.info(chalk.green(`✅ Using cached proof from ${entry.fetchedAt}. Job ID: ${chalk.bold(entry.jobId)}`));
+        log.info(chalk.cyan(`>  Cache key: ${entry.key}`));
+      },
+      onRequested: (jobId) => {
+        log = log.child({ jobId });
+        log.info(chalk.green(`✅ Proof requested successfully. Job ID: ${chalk.bold(jobId)}`));
+        log.info(chalk.yellow(`>  Waiting for proof to be generated...`));
+      },
+      onStatus: ({ attempt, status, error }) => {
+        if (error) {
+          log.warn(chalk.red(`>  Error querying proof (Attempt ${attempt}):`), { error });
+        } else {
+          log.info(`>  Proof status: ${status}... (Attempt ${attempt})`);
+        }
+      },
+    }
+  );
+
+  if (!cached) {
+    log.info(chalk.green(`✅ Proof received. Length: ${chalk.bold(proofBase64.length)} bytes`));
+  }
+  log.info(chalk.yellow("\nProof details:"));
+  log.info(chalk.cyan(`>  Base64 Proof: ${proofBase64.substring(0, 40)}...${proofBase64.substring(proofBase64.length - 40)}`));
+  log.info(chalk.cyan(`>  Hex Proof: ${shorten(proofHex)}`));
+
+  return {
+    chainId,
+    txHash,
+    blockNumber,
+    positionInBlock,
+    localLogIndex,
+    jobId,
+    proofBase64,
+    proofHex,
+    cached,
+    cacheKey: cache ? cacheKey : undefined,
+  };
+}
+
+// Find the order events in a transaction, with the local log index each one is proven by.
+// Approvals, transfers and other logs before them are why the index cannot be assumed.
+async function findOrderLogs({
+  chainId,
+  txHash,
+  eventNames = ["OrderCreated", "Confirmation"],
+  contract,
+}) {
+  const provider = getProvider(chainId);
+  const txReceipt = await provider.getTransactionReceipt(txHash);
+  if (!txReceipt) {
+    throw new Error(`Transaction receipt not found for hash: ${txHash}`);
+  }
+
+  const found = [];
+  txReceipt.logs.forEach((log, localLogIndex) => {
+    if (contract && log.address.toLowerCase() !== contract.toLowerCase()) return;
+    if (!eventDecoder.isRegistered(log.topics)) return;
+
+    const event = eventDecoder.decodeLog(log);
+    if (!eventNames.includes(event.name)) return;
+    found.push({
+      localLogIndex,
+      logIndex: log.index,
+      name: event.name,
+      address: log.address,
+      orderId: event.args.id,
+    });
+  });
+  return found;
+}
+
+// A proof the prover or the OrderProcessor reverts on would come back from the cache on
+// every later run; drop it so the next one asks Polymer again
+function discardCachedProof(cacheKey) {
+  const cache = cacheKey && createProofCache();
+  if (cache && cache.remove(cacheKey)) {
+    logger.warn(chalk.yellow(`⚠️ Removed the rejected proof from the proof cache (${cacheKey})`));
+  }
+}
+
+// Validate the proof with the prover on t3rn and print what it proves.
+// With a cacheKey the result is recorded on the cached proof, or the proof is removed from
+// the cache when the prover rejects it.
+async function validateProof(proofHex, { cacheKey } = {}) {
+  logger.info(chalk.blue("\n🧪 Validating proof on t3rn chain..."));
+
+  // t3rn hosts the Polymer prover. Resolved here rather than on require, so an invalid
+  // t3rn setting only fails the commands that need the chain.
+  const t3rnChain = getOrderProcessorChain();
+  const t3rnProvider = createProvider(t3rnChain);
+  const proverContract = new ethers.Contract(
+    t3rnChain.proverAddress,
+    PROVER_ABI,
+    t3rnProvider
+  );
+
+  logger.info(chalk.cyan(`>  Calling validateEvent on ${t3rnChain.proverAddress}`));
+  logger.info(
+    chalk.cyan(`>  Using RPC: ${t3rnProvider.endpoints.map((endpoint) => endpoint.name).join(", ")}`)
+  );
+
+  let validatedChainId, emittingContract, topics, unindexedData;
+  try {
+    [validatedChainId, emittingContract, topics, unindexedData] =
+      await proverContract.validateEvent.staticCall(proofHex);
+  } catch (error) {
+    if (error.code === "CALL_EXCEPTION") discardCachedProof(cacheKey);
+    throw error;
+  }
+
+  logger.info(chalk.green("\n✅ Proof validation successful!"));
+  logger.info(chalk.yellow("Validation Results:"));
+  logger.info(chalk.cyan(`>  Validated Chain ID: ${validatedChainId}`));
+  logger.info(chalk.cyan(`>  Emitting Contract: ${emittingContract}`));
+
+  const individualTopics = splitTopics(topics);
+  logger.info(chalk.cyan(`>  Number of Topics: ${individualTopics.length}`));
+  individualTopics.forEach((topic, i) => {
+    logger.info(chalk.cyan(`>    Topic ${i}: ${topic}`));
+  });
+  if (unindexedData && unindexedData.length > 0) {
+    logger.info(chalk.cyan(`>  Unindexed Data (hex): ${ethers.hexlify(unindexedData)}`));
+  }
+
+  const validated = {
+    chainId: Number(validatedChainId),
+    emittingContract,
+    topics: individualTopics,
+    unindexedData,
+  };
+
+  const cache = cacheKey && createProofCache();
+  if (cache) {
+    cache.setValidation(cacheKey, {
+      ...validated,
+      unindexedData: ethers.hexlify(unindexedData),
+      prover: t3rnChain.proverAddress,
+      event: eventDecoder.isRegistered(individualTopics)
+        ? eventDecoder.getEvent(individualTopics[0]).name
+        : null,
+    });
+  }
+
+  return validated;
+}
+
+function formatArg(name, value) {
+  if (AMOUNT_ARGS.includes(name)) {
+    return `${value} (${ethers.formatEther(value)} ETH)`;
+  }
+  if (TIMESTAMP_ARGS.includes(name)) {
+    return `${value} (${new Date(Number(value) * 1000).toISOString()})`;
+  }
+  return `${value}`;
+}
+
+// Decode and print the event proven by validateEvent output
+function decodeProvenEvent({ topics, unindexedData }) {
+  if (!eventDecoder.isRegistered(topics)) {
+    logger.warn(chalk.yellow(`\n⚠️ Unknown event signature ${topics[0]}, not decoding`));
+    return { name: "Unknown", signature: topics[0] };
+  }
+
+  const event = eventDecoder.decode({ topics, unindexedData });
+
+  logger.info(chalk.blue(`\n📊 Decoding ${event.name} event:`));
+  let topicIndex = 1;
+  for (const input of event.fragment.inputs) {
+    const label = input.indexed ? `${input.name} (indexed, Topic ${topicIndex++})` : input.name;
+    logger.info(chalk.cyan(`>  ${label}: ${formatArg(input.name, event.args[input.name])}`));
+  }
+  return event;
+}
+
+// Simulate an OrderProcessor call and estimate what sending it costs with the chain's fee policy
+async function estimateOrderProcessorCall(sender, orderProcessor, method, proofHex) {
+  await orderProcessor[method].staticCall(proofHex);
+  logger.info(chalk.green(`\n✅ Static call to ${method} successful!`));
+
+  logger.info(chalk.yellow(">  Estimating gas..."));
+  const estimate = await sender.estimate(
+    {
+      to: await orderProcessor.getAddress(),
+      data: orderProcessor.interface.encodeFunctionData(method, [proofHex]),
+    },
+    method
+  );
+
+  logger.info(chalk.cyan(`>  Estimated gas: ${estimate.estimatedGas.toString()} (limit ${estimate.gasLimit.toString()})`));
+  logger.info(chalk.cyan(`>  Fees: ${describeFees(estimate.fees)}`));
+  logger.info(chalk.cyan(`>  Estimated cost: ${chalk.bold(ethers.formatEther(estimate.estimatedCost))} (native token)`));
+  logger.info(chalk.cyan(`>  Maximum cost: ${ethers.formatEther(estimate.maxCost)} (native token)`));
+
+  return estimate;
+}
+
+// Simulate, then send an OrderProcessor call with the proof and wait for it.
+// With dryRun it stops after the estimate; confirm(estimate) can decline sending.
+// A cached proof (cacheKey) the simulation reverts on is removed from the cache.
+async function submitToOrderProcessor(
+  method,
+  proofHex,
+  expectedEvent,
+  { dryRun = false, confirm, cacheKey } = {}
+) {
+  const t3rnChain = getOrderProcessorChain();
+  const t3rnProvider = createProvider(t3rnChain);
+
+  logger.info(chalk.blue(`\n🔄 Making static call to ${method}...`));
+  logger.info(chalk.cyan(`>  OrderProcessor: ${t3rnChain.orderProcessorAddress}`));
+  logger.info(chalk.cyan(`>  proof: ${shorten(proofHex)}`));
+
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error("Missing PRIVATE_KEY in environment variables. Cannot execute transaction.");
+  }
+
+  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, t3rnProvider);
+  const orderProcessor = new ethers.Contract(
+    t3rnChain.orderProcessorAddress,
+    ORDER_PROCESSOR_ABI,
+    wallet
+  );
+  const sender = new TransactionSender(wallet, t3rnChain);
+
+  let estimate;
+  try {
+    estimate = await estimateOrderProcessorCall(sender, orderProcessor, method, proofHex);
+  } catch (error) {
+    if (error.code === "CALL_EXCEPTION") discardCachedProof(cacheKey);
+    throw error;
+  }
+  logger.info(chalk.cyan(`>  From: ${wallet.address}`));
+
+  if (dryRun) {
+    logger.info(chalk.yellow(`\n⏭️  Dry run, not sending ${method}`));
+    return { sent: false, dryRun: true, estimate };
+  }
+  if (confirm && !(await confirm(estimate))) {
+    logger.info(chalk.yellow(`\n⏭️  Not sending ${method}`));
+    return { sent: false, dryRun: false, estimate };
+  }
+
+  logger.info(chalk.yellow(">  Sending transaction..."));
+  let first = true;
+  const receipt = await sender.send(estimate.request, {
+    label: method,
+    estimate,
+    contract: orderProcessor,
+    // Replacements are reported by the sender
+    onSent: (hash) => {
+      if (!first) return;
+      first = false;
+      logger.info(chalk.green(`\n⏳ Transaction sent! Hash: ${chalk.bold(hash)}`), {
+        chainId: t3rnChain.chainId,
+        txHash: hash,
+      });
+      logger.info(chalk.yellow(">  Waiting for confirmation..."));
+    },
+  });
+
+  logger.info(chalk.green(`\n✅ Transaction confirmed in block ${receipt.blockNumber}!`));
+  logger.info(chalk.cyan(`>  Gas used: ${receipt.gasUsed.toString()}`));
+
+  const event = receipt.logs.find((log) => log.fragment?.name === expectedEvent);
+  if (event) {
+    logger.info(chalk.green(`\n🎉 ${expectedEvent} event emitted!`));
+  } else {
+    logger.warn(chalk.yellow(`\n⚠️ Transaction succeeded but no ${expectedEvent} event found.`));
+  }
+
+  return { sent: true, dryRun: false, estimate, receipt };
+}
+
+module.exports = {
+  ORDER_PROCESSOR_ABI,
+  ORDER_CREATED_TOPIC,
+  CONFIRMATION_TOPIC,
+  fetchProof,
+  findOrderLogs,
+  validateProof,
+  eventDecoder,
+  decodeProvenEvent,
+  estimateOrderProcessorCall,
+  submitToOrderProcessor,
+};
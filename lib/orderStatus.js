@@ -0,0 +1,125 @@
+require("dotenv").config();
+const ethers = require("ethers");
+const { getChains } = require("../config/chains");
+const { createProvider, getProvider } = require("./rpcProvider");
+const { EventDecoder } = require("./eventDecoder");
+const { ORDER_PROCESSOR_ABI } = require("./orderProof");
+
+// Mirrors OrderProcessor.OrderState
+const ORDER_STATE = { NONEXISTENT: 0, OPEN: 1, COMPLETED: 2 };
+const ORDER_STATE_NAMES = ["NONEXISTENT", "OPEN", "COMPLETED"];
+
+// Every chain in the registry with an OrderProcessor address (deployment manifest,
+// <CHAIN>_ORDER_PROCESSOR_ADDRESS, or the registry default for t3rn)
+function getDeployedOrderProcessors() {
+  return getChains()
+    .filter((chain) => chain.orderProcessorAddress)
+    .map((chain) => ({
+      name: chain.name,
+      network: chain.network,
+      chainId: chain.chainId,
+      address: chain.orderProcessorAddress,
+      rpcUrls: chain.rpcUrls,
+      rpcQuorum: chain.rpcQuorum,
+    }));
+}
+
+// Show a bytes32 network ID as its leading 4 bytes, plus the ASCII code when printable
+function decodeNetworkId(networkId) {
+  const code = ethers.dataSlice(networkId, 0, 4);
+  const text = Buffer.from(ethers.getBytes(code)).toString("latin1");
+  return /^[\x20-\x7e]{4}$/.test(text) ? `${code} (${text})` : code;
+}
+
+function formatTimestamp(timestamp) {
+  return Number(timestamp) === 0
+    ? null
+    : new Date(Number(timestamp) * 1000).toISOString();
+}
+
+// Read an order from one OrderProcessor; errors are returned instead of thrown
+async function getOrderStatus(deployment, orderId) {
+  const provider = createProvider(deployment);
+  const orderProcessor = new ethers.Contract(
+    deployment.address,
+    ORDER_PROCESSOR_ABI,
+    provider
+  );
+
+  const base = {
+    orderId,
+    chain: deployment.name,
+    chainId: deployment.chainId,
+    orderProcessor: deployment.address,
+  };
+
+  try {
+    const [info, isOpen, isCompleted] = await Promise.all([
+      orderProcessor.getOrderInfo(orderId),
+      orderProcessor.isOrderOpen(orderId),
+      orderProcessor.isOrderCompleted(orderId),
+    ]);
+    const state = Number(info.state);
+
+    return {
+      ...base,
+      state: ORDER_STATE_NAMES[state] || `UNKNOWN(${state})`,
+      isOpen,
+      isCompleted,
+      sourceAccount: info.sourceAccount,
+      targetAccount: info.targetAccount,
+      amount: info.amount.toString(),
+      rewardAsset: info.rewardAsset,
+      confirmationId: info.confirmationId,
+      timestamp: Number(info.timestamp),
+      time: formatTimestamp(info.timestamp),
+      nonce: Number(info.nonce),
+      networkId: info.networkId,
+      network: decodeNetworkId(info.networkId),
+    };
+  } catch (error) {
+    return { ...base, error: error.shortMessage || error.message };
+  } finally {
+    provider.destroy();
+  }
+}
+
+// Query an order on every deployed OrderProcessor in parallel
+async function getOrderStatusEverywhere(orderId, deployments = getDeployedOrderProcessors()) {
+  return Promise.all(
+    deployments.map((deployment) => getOrderStatus(deployment, orderId))
+  );
+}
+
+// Order IDs of the OrderCreated and Confirmation events in a source transaction
+async function getOrderIdsFromTransaction(chainId, txHash) {
+  const provider = getProvider(chainId);
+  try {
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      throw new Error(`Transaction receipt not found for hash: ${txHash}`);
+    }
+
+    const decoder = new EventDecoder();
+    const orderIds = [];
+    for (const log of receipt.logs) {
+      if (!decoder.isRegistered(log.topics)) continue;
+      const event = decoder.decodeLog(log);
+      if (!["OrderCreated", "Confirmation"].includes(event.name)) continue;
+      if (!orderIds.includes(event.args.id)) orderIds.push(event.args.id);
+    }
+    return orderIds;
+  } finally {
+    provider.destroy();
+  }
+}
+
+module.exports = {
+  ORDER_STATE,
+  ORDER_STATE_NAMES,
+  getDeployedOrderProcessors,
+  decodeNetworkId,
+  getOrderStatus,
+  getOrderStatusEverywhere,
+  getOrderIdsFromTransaction,
+};
@@ -0,0 +1,336 @@
+require("dotenv").config();
+const axios = require("axios");
+const { proofCacheKey } = require("./proofCache");
+const { readIntEnv } = require("./env");
+
+const DEFAULT_POLYMER_API_URL = "https://proof.testnet.polymer.zone";
+
+// Polling defaults: start fast, back off exponentially, give up after the deadline
+const DEFAULT_POLL_OPTIONS = {
+  initialDelayMs: 500,
+  maxDelayMs: 5000,
+  backoffFactor: 1.5,
+  timeoutMs: 60000,
+};
+
+// Statuses returned by log_queryProof that mean the job will not change anymore
+const COMPLETE_STATUSES = ["complete"];
+const FAILED_STATUSES = ["error", "failed"];
+
+class PolymerApiError extends Error {
+  constructor(message, { status, data, code } = {}) {
+    super(message);
+    this.name = "PolymerApiError";
+    this.status = status;
+    this.data = data;
+    this.code = code;
+  }
+}
+
+class PolymerAuthError extends PolymerApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "PolymerAuthError";
+  }
+}
+
+class PolymerRateLimitError extends PolymerApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "PolymerRateLimitError";
+    this.retryAfterMs = details.retryAfterMs;
+  }
+}
+
+class PolymerTimeoutError extends PolymerApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "PolymerTimeoutError";
+    this.jobId = details.jobId;
+    this.lastStatus = details.lastStatus;
+  }
+}
+
+class PolymerProofFailedError extends PolymerApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "PolymerProofFailedError";
+    this.jobId = details.jobId;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Convert a base64 proof returned by Polymer into 0x-prefixed hex for contract calls
+function proofToHex(proofBase64) {
+  return `0x${Buffer.from(proofBase64, "base64").toString("hex")}`;
+}
+
+function isCompleteStatus(status) {
+  return COMPLETE_STATUSES.includes(String(status).toLowerCase());
+}
+
+function isFailedStatus(status) {
+  return FAILED_STATUSES.includes(String(status).toLowerCase());
+}
+
+function parseRetryAfter(headers) {
+  const value = headers && headers["retry-after"];
+  if (!value) return undefined;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : undefined;
+}
+
+class PolymerClient {
+  constructor(options = {}) {
+    this.apiUrl =
+      options.apiUrl || process.env.POLYMER_API_URL || DEFAULT_POLYMER_API_URL;
+    this.apiKey = options.apiKey || process.env.POLYMER_API_KEY;
+    this.requestTimeoutMs = options.requestTimeoutMs || 15000;
+    this.poll = {
+      initialDelayMs:
+        options.initialDelayMs ??
+        readIntEnv("POLYMER_POLL_INITIAL_DELAY_MS", DEFAULT_POLL_OPTIONS.initialDelayMs, 0),
+      maxDelayMs:
+        options.maxDelayMs ??
+        readIntEnv("POLYMER_POLL_MAX_DELAY_MS", DEFAULT_POLL_OPTIONS.maxDelayMs, 1),
+      backoffFactor: options.backoffFactor ?? DEFAULT_POLL_OPTIONS.backoffFactor,
+      timeoutMs:
+        options.timeoutMs ??
+        readIntEnv("POLYMER_POLL_TIMEOUT_MS", DEFAULT_POLL_OPTIONS.timeoutMs, 1),
+    };
+
+    // Optional ProofCache consulted by getProof before asking Polymer
+    this.cache = options.cache || null;
+    // Proof jobs in progress by cache key, so concurrent getProof callers share one job.
+    // Each caller's callbacks are kept with the job and all of them hear about it.
+    this.pending = new Map();
+  }
+
+  // Send a single JSON-RPC call and map HTTP/RPC failures to typed errors
+  async call(method, params) {
+    if (!this.apiKey) {
+      throw new PolymerAuthError(
+        "Missing POLYMER_API_KEY in environment variables"
+      );
+    }
+
+    let response;
+    try {
+      response = await axios.post(
+        this.apiUrl,
+        { jsonrpc: "2.0", id: 1, method, params },
+        {
+          headers: { Authorization: `Bearer ${this.apiKey}` },
+          timeout: this.requestTimeoutMs,
+          validateStatus: () => true,
+        }
+      );
+    } catch (error) {
+      if (error.code === "ECONNABORTED") {
+        throw new PolymerTimeoutError(
+          `Polymer API did not answer ${method} within ${this.requestTimeoutMs}ms`,
+          { code: error.code }
+        );
+      }
+      throw new PolymerApiError(
+        `Polymer API request ${method} failed: ${error.message}`,
+        { code: error.code }
+      );
+    }
+
+    const { status, data, headers } = response;
+
+    if (status === 401 || status === 403) {
+      throw new PolymerAuthError(
+        `Polymer API rejected the API key (status ${status})`,
+        { status, data }
+      );
+    }
+    if (status === 429) {
+      throw new PolymerRateLimitError("Polymer API rate limit exceeded", {
+        status,
+        data,
+        retryAfterMs: parseRetryAfter(headers),
+      });
+    }
+    if (status !== 200) {
+      throw new PolymerApiError(
+        `Polymer API returned status ${status} for ${method}`,
+        { status, data }
+      );
+    }
+    if (data && data.error) {
+      throw new PolymerApiError(
+        `Polymer API error for ${method}: ${data.error.message || JSON.stringify(data.error)}`,
+        { status, data, code: data.error.code }
+      );
+    }
+    if (!data || data.result === undefined || data.result === null) {
+      throw new PolymerApiError(
+        `Invalid response from Polymer API for ${method}`,
+        { status, data }
+      );
+    }
+
+    return data.result;
+  }
+
+  // Request a proof for a log and return the job ID
+  async requestProof({ chainId, blockNumber, positionInBlock, localLogIndex }) {
+    const jobId = await this.call("log_requestProof", [
+      Number(chainId),
+      Number(blockNumber),
+      Number(positionInBlock),
+      Number(localLogIndex),
+    ]);
+    return jobId;
+  }
+
+  // Query a proof job once; returns the raw result ({ status, proof, ... })
+  async queryProof(jobId) {
+    return this.call("log_queryProof", [jobId]);
+  }
+
+  // Poll a job with exponential backoff until it is complete, failed, or the deadline passes
+  async waitForProof(jobId, { onStatus, timeoutMs } = {}) {
+    const deadline = Date.now() + (timeoutMs || this.poll.timeoutMs);
+    let delay = this.poll.initialDelayMs;
+    let attempt = 0;
+    let lastStatus;
+
+    while (Date.now() < deadline) {
+      await sleep(Math.min(delay, Math.max(0, deadline - Date.now())));
+      attempt++;
+
+      let result;
+      try {
+        result = await this.queryProof(jobId);
+      } catch (error) {
+        // Bad credentials will not fix themselves; everything else is retried
+        if (error instanceof PolymerAuthError) throw error;
+        if (onStatus) onStatus({ attempt, status: lastStatus, error });
+        delay = Math.min(delay * this.poll.backoffFactor, this.poll.maxDelayMs);
+        // The rate limit's Retry-After wins over the backoff cap
+        if (error instanceof PolymerRateLimitError && error.retryAfterMs) {
+          delay = Math.max(delay, error.retryAfterMs);
+        }
+        continue;
+      }
+
+      lastStatus = result.status;
+      if (onStatus) onStatus({ attempt, status: lastStatus, result });
+
+      if (result.proof && (isCompleteStatus(lastStatus) || !lastStatus)) {
+        return { jobId, attempts: attempt, ...this.formatProof(result.proof) };
+      }
+      if (isFailedStatus(lastStatus)) {
+        throw new PolymerProofFailedError(
+          `Polymer proof job ${jobId} failed with status "${lastStatus}"`,
+          { jobId, data: result }
+        );
+      }
+
+      delay = Math.min(delay * this.poll.backoffFactor, this.poll.maxDelayMs);
+    }
+
+    throw new PolymerTimeoutError(
+      `Proof job ${jobId} not complete after ${attempt} attempts (last status: ${lastStatus || "unknown"})`,
+      { jobId, lastStatus }
+    );
+  }
+
+  // Get the proof for a log: from the cache, by resuming options.resumeJobId,
+  // or by requesting a new job and waiting for it. Fresh proofs are cached.
+  async getProof(log, options = {}) {
+    const key = proofCacheKey(log, this.apiUrl);
+
+    if (this.cache) {
+      const cached = this.cache.get(log, this.apiUrl);
+      if (cached) {
+        if (options.onCached) options.onCached(cached);
+        return {
+          jobId: cached.jobId,
+          attempts: 0,
+          proofBase64: cached.proofBase64,
+          proofHex: cached.proofHex,
+          cached: true,
+          cacheKey: key,
+        };
+      }
+    }
+
+    let job = this.pending.get(key);
+    if (job) {
+      // Joining a job in progress: catch up on its job ID first
+      if (job.jobId !== undefined && options.onRequested) options.onRequested(job.jobId);
+      job.callers.push(options);
+    } else {
+      job = { callers: [options], jobId: undefined };
+      job.promise = this.fetchProof(log, options, job).finally(() => this.pending.delete(key));
+      this.pending.set(key, job);
+    }
+    const proof = await job.promise;
+    return { ...proof, cached: false, cacheKey: key };
+  }
+
+  // Fetch the proof of a pending job; options are those of the caller that started it
+  async fetchProof(log, options, job) {
+    // Callers joining during a callback already caught up on the job ID
+    const notify = (callback, value) => {
+      for (const caller of [...job.callers]) {
+        if (caller[callback]) caller[callback](value);
+      }
+    };
+    const pollOptions = {
+      timeoutMs: options.timeoutMs,
+      onStatus: (update) => notify("onStatus", update),
+    };
+
+    let proof;
+    if (options.resumeJobId) {
+      try {
+        proof = await this.waitForProof(options.resumeJobId, pollOptions);
+      } catch (error) {
+        if (error instanceof PolymerAuthError) throw error;
+        notify("onResumeFailed", error);
+      }
+    }
+
+    if (!proof) {
+      job.jobId = await this.requestProof(log);
+      notify("onRequested", job.jobId);
+      proof = await this.waitForProof(job.jobId, pollOptions);
+    }
+
+    if (this.cache) {
+      this.cache.put(log, this.apiUrl, proof);
+    }
+    return proof;
+  }
+
+  // Remove a cached proof that turned out to be unusable, so the next getProof asks Polymer
+  // again. Returns whether there was one.
+  discardProof(cacheKey) {
+    return Boolean(this.cache && cacheKey && this.cache.remove(cacheKey));
+  }
+
+  formatProof(proofBase64) {
+    return { proofBase64, proofHex: proofToHex(proofBase64) };
+  }
+}
+
+module.exports = {
+  PolymerClient,
+  PolymerApiError,
+  PolymerAuthError,
+  PolymerRateLimitError,
+  PolymerTimeoutError,
+  PolymerProofFailedError,
+  proofToHex,
+  isCompleteStatus,
+  isFailedStatus,
+  DEFAULT_POLYMER_API_URL,
+};
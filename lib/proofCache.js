@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const chalk = require("chalk");
+const { logger } = require("./logger");
+
+const DEFAULT_CACHE_DIR = path.join(process.cwd(), ".proof-cache");
+// Version 1 entries were keyed without the proof API and may hold mock proofs; they are ignored
+const CACHE_VERSION = 2;
+
+// Normalised source log coordinates, the same four values Polymer proofs are requested with
+function proofCoordinates({ chainId, blockNumber, positionInBlock, localLogIndex }) {
+  return {
+    chainId: Number(chainId),
+    blockNumber: Number(blockNumber),
+    positionInBlock: Number(positionInBlock),
+    localLogIndex: Number(localLogIndex),
+  };
+}
+
+// Proof API a proof came from, so "https://host/" and "https://host" share entries
+function normalizeApiUrl(apiUrl) {
+  return String(apiUrl).replace(/\/+$/, "");
+}
+
+// Cache key: a hash of the proof API and the log coordinates, so a proof is stored once
+// whoever asks for it, and proofs from the mock server never stand in for Polymer's
+function proofCacheKey(log, apiUrl) {
+  const { chainId, blockNumber, positionInBlock, localLogIndex } = proofCoordinates(log);
+  return crypto
+    .createHash("sha256")
+    .update(
+      `${normalizeApiUrl(apiUrl)}:${chainId}:${blockNumber}:${positionInBlock}:${localLogIndex}`
+    )
+    .digest("hex");
+}
+
+// On-disk cache of Polymer proofs, one JSON file per proof API and source log
+class ProofCache {
+  constructor(dir = process.env.PROOF_CACHE_DIR || DEFAULT_CACHE_DIR) {
+    this.dir = dir;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  // An unreadable entry (e.g. a truncated file) counts as a miss and is overwritten by the
+  // next put, instead of failing every command that lists the cache
+  read(filePath) {
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      logger.warn(chalk.yellow(`⚠️ Skipping unreadable proof cache file ${filePath}: ${error.message}`));
+      return undefined;
+    }
+    return entry && entry.version === CACHE_VERSION ? entry : undefined;
+  }
+
+  // Write to a temporary file first so readers never see a partial entry
+  write(entry) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const filePath = this.filePath(entry.key);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(entry, null, 2));
+    fs.renameSync(tmpPath, filePath);
+    return entry;
+  }
+
+  getByKey(key) {
+    const filePath = this.filePath(key);
+    return fs.existsSync(filePath) ? this.read(filePath) : undefined;
+  }
+
+  // Cached proof for a log. A known transaction hash that differs from the cached one
+  // means the coordinates now point at another log (e.g. after a reorg), so it is a miss.
+  get(log, apiUrl) {
+    const entry = this.getByKey(proofCacheKey(log, apiUrl));
+    if (!entry) return undefined;
+    if (log.txHash && entry.txHash && log.txHash.toLowerCase() !== entry.txHash.toLowerCase()) {
+      return undefined;
+    }
+    return entry;
+  }
+
+  put(log, apiUrl, { jobId, proofBase64, proofHex }) {
+    const key = proofCacheKey(log, apiUrl);
+    const previous = this.getByKey(key);
+    return this.write({
+      version: CACHE_VERSION,
+      key,
+      apiUrl: normalizeApiUrl(apiUrl),
+      ...proofCoordinates(log),
+      txHash: log.txHash || (previous && previous.txHash),
+      jobId,
+      proofBase64,
+      proofHex,
+      fetchedAt: new Date().toISOString(),
+      validation: null,
+    });
+  }
+
+  // Record what validateEvent returned for a cached proof
+  setValidation(key, validation) {
+    const entry = this.getByKey(key);
+    if (!entry) return undefined;
+    return this.write({
+      ...entry,
+      validation: { ...validation, validatedAt: new Date().toISOString() },
+    });
+  }
+
+  // Find one entry by its full key or an unambiguous key prefix
+  find(keyOrPrefix) {
+    const prefix = keyOrPrefix.toLowerCase();
+    const matches = this.list().filter((entry) => entry.key.startsWith(prefix));
+    if (matches.length > 1) {
+      throw new Error(`Cache key prefix ${keyOrPrefix} matches ${matches.length} entries`);
+    }
+    return matches[0];
+  }
+
+  list(filter = () => true) {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs
+      .readdirSync(this.dir)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => this.read(path.join(this.dir, file)))
+      .filter((entry) => entry && filter(entry))
+      .sort((a, b) => a.fetchedAt.localeCompare(b.fetchedAt));
+  }
+
+  remove(key) {
+    const filePath = this.filePath(key);
+    if (!fs.existsSync(filePath)) return false;
+    fs.unlinkSync(filePath);
+    return true;
+  }
+}
+
+// Shared cache for the CLI and relayer, or null when PROOF_CACHE=off
+function createProofCache() {
+  return ["off", "false", "0"].includes(String(process.env.PROOF_CACHE).toLowerCase())
+    ? null
+    : new ProofCache();
+}
+
+module.exports = {
+  ProofCache,
+  createProofCache,
+  proofCacheKey,
+  proofCoordinates,
+  DEFAULT_CACHE_DIR,
+};
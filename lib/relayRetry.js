@@ -0,0 +1,107 @@
+const { readIntEnv } = require("./env");
+
+// Stages a relay goes through; a failure is retried, and counted, per stage.
+// "prepare" covers everything before the proof request: the source receipt and the
+// destination checks (order already open, amount mismatch, ...).
+const RETRY_STAGES = ["prepare", "proof_request", "proof_poll", "simulate", "submit", "confirm"];
+
+// A simulation that keeps reverting will not start passing, so it gets fewer attempts
+const DEFAULT_MAX_ATTEMPTS = {
+  prepare: 5,
+  proof_request: 5,
+  proof_poll: 5,
+  simulate: 3,
+  submit: 5,
+  confirm: 5,
+};
+const DEFAULT_BASE_DELAY_MS = 10000;
+const DEFAULT_MAX_DELAY_MS = 600000;
+const BACKOFF_FACTOR = 2;
+
+// Failures kept on a relay for inspection, most recent last
+const MAX_FAILURE_HISTORY = 10;
+
+// Retry policy from RELAYER_RETRY_MAX_ATTEMPTS (overrides every stage),
+// RELAYER_RETRY_BASE_DELAY_MS and RELAYER_RETRY_MAX_DELAY_MS
+function getRetryPolicy() {
+  const maxAttempts = { ...DEFAULT_MAX_ATTEMPTS };
+  if (process.env.RELAYER_RETRY_MAX_ATTEMPTS) {
+    const attempts = readIntEnv("RELAYER_RETRY_MAX_ATTEMPTS", undefined, 1);
+    for (const stage of RETRY_STAGES) maxAttempts[stage] = attempts;
+  }
+  return {
+    maxAttempts,
+    baseDelayMs: readIntEnv("RELAYER_RETRY_BASE_DELAY_MS", DEFAULT_BASE_DELAY_MS, 0),
+    maxDelayMs: readIntEnv("RELAYER_RETRY_MAX_DELAY_MS", DEFAULT_MAX_DELAY_MS, 0),
+  };
+}
+
+// Delay before the next try after the given number of failed attempts at a stage.
+// A rate limit's Retry-After is honoured when it is longer.
+function retryDelay(policy, attempts, error) {
+  const backoff = Math.min(
+    policy.maxDelayMs,
+    policy.baseDelayMs * BACKOFF_FACTOR ** (attempts - 1)
+  );
+  return Math.max(backoff, (error && error.retryAfterMs) || 0);
+}
+
+// Stages an error happened at. Errors carry a stage once they pass through withStage; a
+// relay to several destinations fails with the stages of every destination that failed.
+function stagesOf(error) {
+  if (Array.isArray(error.stages) && error.stages.length > 0) return [...new Set(error.stages)];
+  return [error.stage || "prepare"];
+}
+
+// Run fn, tagging anything it throws with the stage unless a deeper call already did
+async function withStage(stage, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    if (error && typeof error === "object" && !error.stage) error.stage = stage;
+    throw error;
+  }
+}
+
+// Next state of a relay after a failed attempt: "retry_scheduled" with the time of the
+// next attempt, or "dead_letter" once any failed stage has used up its attempts
+function planRetry(policy, event = {}, error, now = Date.now()) {
+  const stages = stagesOf(error);
+  const attempts = { ...event.attempts };
+  for (const stage of stages) attempts[stage] = (attempts[stage] || 0) + 1;
+
+  const failures = [
+    ...(event.failures || []),
+    { stage: stages.join(","), error: error.message, at: new Date(now).toISOString() },
+  ].slice(-MAX_FAILURE_HISTORY);
+
+  const exhausted = stages.find((stage) => attempts[stage] >= policy.maxAttempts[stage]);
+  if (exhausted) {
+    return {
+      status: "dead_letter",
+      stage: exhausted,
+      attempts,
+      failures,
+      error: error.message,
+      nextAttemptAt: undefined,
+      deadLetteredAt: new Date(now).toISOString(),
+    };
+  }
+
+  const delayMs = Math.max(...stages.map((stage) => retryDelay(policy, attempts[stage], error)));
+  return {
+    status: "retry_scheduled",
+    stage: stages.join(","),
+    attempts,
+    failures,
+    error: error.message,
+    nextAttemptAt: new Date(now + delayMs).toISOString(),
+  };
+}
+
+module.exports = {
+  RETRY_STAGES,
+  getRetryPolicy,
+  withStage,
+  planRetry,
+};
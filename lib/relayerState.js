@@ -0,0 +1,110 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_STATE_FILE = path.join(process.cwd(), ".relayer", "state.json");
+const STATE_VERSION = 1;
+
+// Relay statuses that mean the event needs no more work
+const FINAL_STATUSES = ["relayed", "skipped"];
+
+// Key used to identify a source event across restarts and reorg-free replays
+function eventKey(chainId, transactionHash, logIndex) {
+  return `${chainId}:${transactionHash.toLowerCase()}:${logIndex}`;
+}
+
+// Durable JSON store for relayer checkpoints and per-event relay status
+class RelayerStateStore {
+  constructor(filePath = process.env.RELAYER_STATE_FILE || DEFAULT_STATE_FILE) {
+    this.filePath = filePath;
+    this.state = { version: STATE_VERSION, chains: {}, events: {} };
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      const content = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      if (content.version !== STATE_VERSION) {
+        throw new Error(
+          `Unsupported relayer state version ${content.version} in ${this.filePath}`
+        );
+      }
+      this.state = {
+        version: STATE_VERSION,
+        chains: content.chains || {},
+        events: content.events || {},
+      };
+    }
+    return this;
+  }
+
+  // Write to a temporary file first so a crash never leaves a truncated state file
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  getLastProcessedBlock(chainId) {
+    const chain = this.state.chains[chainId];
+    return chain ? chain.lastProcessedBlock : undefined;
+  }
+
+  // Checkpoints only move forward
+  setLastProcessedBlock(chainId, blockNumber) {
+    const current = this.getLastProcessedBlock(chainId);
+    if (current !== undefined && blockNumber <= current) return;
+    this.state.chains[chainId] = {
+      ...this.state.chains[chainId],
+      lastProcessedBlock: blockNumber,
+      updatedAt: new Date().toISOString(),
+    };
+    this.save();
+  }
+
+  getEvent(key) {
+    return this.state.events[key];
+  }
+
+  isFinal(key) {
+    const event = this.getEvent(key);
+    return Boolean(event && FINAL_STATUSES.includes(event.status));
+  }
+
+  updateEvent(key, patch) {
+    this.state.events[key] = {
+      ...this.state.events[key],
+      ...patch,
+      updatedAt: new Date().toISOString(),
+    };
+    this.save();
+    return this.state.events[key];
+  }
+
+  // Track relays of one source event to several destination chains separately
+  updateDestination(key, destinationChainId, patch) {
+    const event = this.getEvent(key) || {};
+    const destinations = event.destinations || {};
+    return this.updateEvent(key, {
+      destinations: {
+        ...destinations,
+        [destinationChainId]: {
+          ...destinations[destinationChainId],
+          ...patch,
+        },
+      },
+    });
+  }
+
+  listEvents(filter = () => true) {
+    return Object.entries(this.state.events)
+      .map(([key, event]) => ({ key, ...event }))
+      .filter(filter);
+  }
+}
+
+module.exports = {
+  RelayerStateStore,
+  eventKey,
+  FINAL_STATUSES,
+  DEFAULT_STATE_FILE,
+};
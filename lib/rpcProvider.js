@@ -0,0 +1,329 @@
+const ethers = require("ethers");
+const { findChain, getRpcUrls } = require("../config/chains");
+const { readIntEnv } = require("./env");
+const { isRangeError } = require("./logScanner");
+
+const DEFAULT_TIMEOUT_MS = 10000;
+// How long an endpoint that failed is only used when every other one fails too
+const DEFAULT_COOLDOWN_MS = 30000;
+const DEFAULT_HEALTH_CHECK_INTERVAL_MS = 30000;
+// Blocks an endpoint may trail the most advanced one before health checks skip it
+const DEFAULT_MAX_BLOCK_LAG = 5;
+
+// Weight of the newest request in an endpoint's moving average latency
+const LATENCY_SMOOTHING = 0.2;
+
+// Block lookups decide whether an event is final or was reorged away. With a quorum, one
+// lagging or forked endpoint cannot make the relayer drop or relay an event on its own.
+// Block tags ("latest", "safe", ...) legitimately differ between endpoints and skip it.
+const QUORUM_METHODS = ["eth_getBlockByNumber", "eth_getBlockByHash"];
+
+// JSON-RPC errors that say more about the endpoint than about the request. Anything else
+// (reverts, nonce errors, ...) is the answer and is not asked again elsewhere.
+const FAILOVER_ERROR_CODES = [-32005, 429];
+const FAILOVER_ERROR_PATTERN =
+  /rate.?limit|too many requests|limit exceeded|capacity|header not found|missing trie node|unknown block|timed? ?out|unavailable|bad gateway/i;
+
+function isFailoverError(payload, rpcError) {
+  // eth_getLogs range errors (some with a rate limit code) ask for a smaller range, which
+  // scanLogs does; every endpoint would say the same
+  if (payload.method === "eth_getLogs" && isRangeError(rpcError)) return false;
+  return (
+    FAILOVER_ERROR_CODES.includes(rpcError.code) ||
+    FAILOVER_ERROR_PATTERN.test(String(rpcError.message))
+  );
+}
+
+// Endpoints are shown by origin only: paths and query strings often hold API keys
+function endpointNames(urls) {
+  const names = [];
+  for (const url of urls) {
+    const { origin } = new URL(url);
+    names.push(names.includes(origin) ? `${origin}#${names.length + 1}` : origin);
+  }
+  return names;
+}
+
+// Answers counted as the same for a quorum: blocks by hash, anything else as a whole
+function quorumKey(response) {
+  if (response.error) return `error:${response.error.code}:${response.error.message}`;
+  if (response.result == null) return "null";
+  return response.result.hash || JSON.stringify(response.result);
+}
+
+// JSON-RPC provider over several endpoints of one chain. Requests go to the first healthy
+// endpoint in order and fail over to the next on transport errors, timeouts and rate
+// limits; endpoints that failed are tried last until their cooldown is over. Block lookups
+// can require a quorum of agreeing endpoints. Latency and failures are kept per endpoint.
+// With staticNetwork off the chain ID is asked from the endpoints, like a plain provider does.
+class RpcProvider extends ethers.JsonRpcProvider {
+  constructor(
+    urls,
+    network,
+    { name, quorum = 1, staticNetwork = true, timeoutMs, cooldownMs, onRequest } = {}
+  ) {
+    // One request per call, so failover and quorum apply to each request on its own.
+    // Event subscriptions poll eth_getLogs: a filter ID only exists on the endpoint that
+    // created it.
+    const pinned = staticNetwork ? network : undefined;
+    super(urls[0], pinned, { staticNetwork: pinned, batchMaxCount: 1, polling: true });
+    this.chainName = name || `chain ${network.chainId}`;
+    this.quorum = quorum;
+    this.cooldownMs = cooldownMs ?? readIntEnv("RPC_COOLDOWN_MS", DEFAULT_COOLDOWN_MS, 0);
+    this.onRequest = onRequest;
+
+    const timeout = timeoutMs ?? readIntEnv("RPC_TIMEOUT_MS", DEFAULT_TIMEOUT_MS, 1);
+    const names = endpointNames(urls);
+    this.endpoints = urls.map((url, i) => {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = timeout;
+      // Fail over on a 429 instead of waiting for the endpoint's throttle to lift
+      request.setThrottleParams({ maxAttempts: 1 });
+      return {
+        name: names[i],
+        connection: new ethers.JsonRpcProvider(request, network, {
+          staticNetwork: network,
+          batchMaxCount: 1,
+        }),
+        requests: 0,
+        failures: 0,
+        latencyMs: undefined,
+        lastLatencyMs: undefined,
+        unhealthyUntil: 0,
+        lastError: undefined,
+        blockNumber: undefined,
+        checkedAt: undefined,
+      };
+    });
+  }
+
+  async _send(payload) {
+    const quorum = this.quorumFor(payload);
+    return quorum > 1 ? this.sendWithQuorum(payload, quorum) : this.sendWithFailover(payload);
+  }
+
+  quorumFor(payload) {
+    if (!QUORUM_METHODS.includes(payload.method)) return 1;
+    if (payload.method === "eth_getBlockByNumber" && !ethers.isHexString(payload.params[0])) {
+      return 1;
+    }
+    return this.quorum;
+  }
+
+  // Healthy endpoints in configured order, then the others, soonest recovered first
+  orderedEndpoints() {
+    const now = Date.now();
+    const healthy = this.endpoints.filter((endpoint) => endpoint.unhealthyUntil <= now);
+    const unhealthy = this.endpoints
+      .filter((endpoint) => endpoint.unhealthyUntil > now)
+      .sort((a, b) => a.unhealthyUntil - b.unhealthyUntil);
+    return [...healthy, ...unhealthy];
+  }
+
+  markFailed(endpoint, message) {
+    endpoint.failures++;
+    endpoint.lastError = message;
+    endpoint.unhealthyUntil = Date.now() + this.cooldownMs;
+  }
+
+  // Send one request to one endpoint, recording its latency. Throws when the endpoint should
+  // be failed over; the error then carries the node's JSON-RPC response if there was one.
+  async request(endpoint, payload) {
+    const startedAt = Date.now();
+    endpoint.requests++;
+
+    let response;
+    let error;
+    try {
+      [response] = await endpoint.connection._send(payload);
+      if (response && response.error && isFailoverError(payload, response.error)) {
+        error = new Error(response.error.message);
+        error.response = response;
+      }
+    } catch (sendError) {
+      error = sendError;
+    }
+
+    const durationMs = Date.now() - startedAt;
+    endpoint.lastLatencyMs = durationMs;
+    if (error) {
+      this.markFailed(endpoint, error.shortMessage || error.message);
+    } else {
+      endpoint.unhealthyUntil = 0;
+      endpoint.latencyMs =
+        endpoint.latencyMs === undefined
+          ? durationMs
+          : endpoint.latencyMs + LATENCY_SMOOTHING * (durationMs - endpoint.latencyMs);
+    }
+    if (this.onRequest) {
+      this.onRequest({ endpoint: endpoint.name, method: payload.method, durationMs, error });
+    }
+
+    if (error) throw error;
+    return response;
+  }
+
+  async sendWithFailover(payload) {
+    const failures = [];
+    for (const endpoint of this.orderedEndpoints()) {
+      try {
+        return [await this.request(endpoint, payload)];
+      } catch (error) {
+        failures.push({ endpoint, error });
+      }
+    }
+    return this.allFailed(payload, failures);
+  }
+
+  // Ask endpoints until quorum of them give the same answer, or none are left
+  async sendWithQuorum(payload, quorum) {
+    const endpoints = this.orderedEndpoints();
+    const votes = new Map();
+    const failures = [];
+    let next = 0;
+
+    while (next < endpoints.length) {
+      const best = Math.max(0, ...[...votes.values()].map((vote) => vote.count));
+      const batch = endpoints.slice(next, next + quorum - best);
+      next += batch.length;
+
+      const results = await Promise.allSettled(
+        batch.map((endpoint) => this.request(endpoint, payload))
+      );
+      results.forEach((result, i) => {
+        if (result.status === "rejected") {
+          failures.push({ endpoint: batch[i], error: result.reason });
+          return;
+        }
+        const key = quorumKey(result.value);
+        const vote = votes.get(key) || { count: 0, response: result.value };
+        vote.count++;
+        votes.set(key, vote);
+      });
+
+      const agreed = [...votes.values()].find((vote) => vote.count >= quorum);
+      if (agreed) return [agreed.response];
+    }
+
+    if (votes.size === 0) return this.allFailed(payload, failures);
+    throw new Error(
+      `No quorum of ${quorum} RPC endpoints of ${this.chainName} for ${payload.method}: ${
+        votes.size
+      } different answer(s), ${failures.length} failed endpoint(s)`
+    );
+  }
+
+  // Every endpoint failed: hand back the last node error so ethers reports it as usual,
+  // or throw the transport error (with every endpoint's when there are several)
+  allFailed(payload, failures) {
+    const answered = failures.filter(({ error }) => error.response);
+    if (answered.length > 0) return [answered[answered.length - 1].error.response];
+    if (failures.length === 1) throw failures[0].error;
+
+    const error = new Error(
+      `All ${failures.length} RPC endpoints of ${this.chainName} failed for ${payload.method}: ${failures
+        .map(({ endpoint, error: cause }) => `${endpoint.name}: ${cause.shortMessage || cause.message}`)
+        .join("; ")}`
+    );
+    error.code = failures[failures.length - 1].error.code;
+    throw error;
+  }
+
+  // Query every endpoint's block number. Endpoints that fail, or trail the most advanced one
+  // by more than maxBlockLag blocks, are tried last until they recover.
+  async checkHealth({ maxBlockLag = readIntEnv("RPC_MAX_BLOCK_LAG", DEFAULT_MAX_BLOCK_LAG, 0) } = {}) {
+    const payload = { method: "eth_blockNumber", params: [], id: 1, jsonrpc: "2.0" };
+    await Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        try {
+          const response = await this.request(endpoint, payload);
+          if (response.error) {
+            this.markFailed(endpoint, response.error.message);
+          } else {
+            endpoint.blockNumber = Number(response.result);
+          }
+        } catch (error) {
+          // Recorded by request()
+        }
+        endpoint.checkedAt = new Date().toISOString();
+      })
+    );
+
+    const head = Math.max(
+      ...this.endpoints.map((endpoint) => endpoint.blockNumber ?? -Infinity)
+    );
+    for (const endpoint of this.endpoints) {
+      if (endpoint.blockNumber !== undefined && head - endpoint.blockNumber > maxBlockLag) {
+        this.markFailed(endpoint, `${head - endpoint.blockNumber} blocks behind`);
+      }
+    }
+    return this.getEndpointStats();
+  }
+
+  // Check health every intervalMs, e.g. in the long-running relayer
+  startHealthChecks({
+    intervalMs = readIntEnv(
+      "RPC_HEALTH_CHECK_INTERVAL_MS",
+      DEFAULT_HEALTH_CHECK_INTERVAL_MS,
+      1000
+    ),
+    onCheck,
+  } = {}) {
+    const check = () =>
+      this.checkHealth()
+        .then((stats) => onCheck && onCheck(stats))
+        .catch(() => {});
+    check();
+    this.healthTimer = setInterval(check, intervalMs);
+    // Never what keeps a script running
+    this.healthTimer.unref();
+  }
+
+  getEndpointStats() {
+    const now = Date.now();
+    return this.endpoints.map((endpoint) => ({
+      endpoint: endpoint.name,
+      healthy: endpoint.unhealthyUntil <= now,
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      latencyMs: endpoint.latencyMs === undefined ? undefined : Math.round(endpoint.latencyMs),
+      lastLatencyMs: endpoint.lastLatencyMs,
+      blockNumber: endpoint.blockNumber,
+      checkedAt: endpoint.checkedAt,
+      lastError: endpoint.lastError,
+    }));
+  }
+
+  destroy() {
+    clearInterval(this.healthTimer);
+    for (const endpoint of this.endpoints) endpoint.connection.destroy();
+    super.destroy();
+  }
+}
+
+// Provider over a registry chain's RPC URLs (anything with chainId, name, rpcUrls and
+// optionally rpcQuorum, as returned by config/chains.js)
+function createProvider(chain, options = {}) {
+  const network = ethers.Network.from(chain.chainId);
+  return new RpcProvider(chain.rpcUrls, network, {
+    name: chain.name,
+    quorum: chain.rpcQuorum,
+    ...options,
+  });
+}
+
+// Provider for any chain ID: the registry, or CHAIN_<chainId>_RPC for chains it does not list
+function getProvider(chainId, options) {
+  const chain = findChain(chainId) || {
+    chainId: Number(chainId),
+    name: `chain ${chainId}`,
+    rpcUrls: getRpcUrls(chainId),
+  };
+  return createProvider(chain, options);
+}
+
+module.exports = {
+  RpcProvider,
+  createProvider,
+  getProvider,
+};
@@ -0,0 +1,461 @@
+const ethers = require("ethers");
+const chalk = require("chalk");
+const { TransactionStore } = require("./transactionStore");
+const { getNonceManager } = require("./nonceManager");
+const { logger } = require("./logger");
+const { readIntEnv } = require("./env");
+
+// Gas limit headroom over the node's estimate
+const GAS_LIMIT_BUFFER_PERCENT = 20;
+
+// How long a transaction may stay unmined before it is replaced with higher fees
+const DEFAULT_REPLACE_AFTER_MS = 3 * 60 * 1000;
+const DEFAULT_MAX_REPLACEMENTS = 3;
+
+// Nodes reject a replacement unless both fees rise by at least 10%
+const MIN_FEE_BUMP_PERCENT = 10;
+const DEFAULT_FEE_BUMP_PERCENT = 15;
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+
+// Fresh nonces tried for one send when the node rejects them as used
+const MAX_NONCE_ATTEMPTS = 3;
+
+// A cancel is a 0-value transfer to ourselves with the stuck transaction's nonce
+const CANCEL_GAS_LIMIT = BigInt(21000);
+
+// Raise a fee by percent, rounding up so small fees still change
+function bumpFee(value, percent) {
+  return (value * BigInt(100 + percent) + BigInt(99)) / BigInt(100);
+}
+
+function maxOf(a, b) {
+  return a > b ? a : b;
+}
+
+// Fee fields of a stored attempt, back as bigints
+function feesOf(attempt) {
+  if (attempt.gasPrice !== undefined) return { gasPrice: BigInt(attempt.gasPrice) };
+  return {
+    type: 2,
+    maxFeePerGas: BigInt(attempt.maxFeePerGas),
+    maxPriorityFeePerGas: BigInt(attempt.maxPriorityFeePerGas),
+  };
+}
+
+function formatGwei(value) {
+  return `${ethers.formatUnits(value, "gwei")} gwei`;
+}
+
+function describeFees(fees) {
+  if (fees.gasPrice !== undefined) return `gas price ${formatGwei(fees.gasPrice)}`;
+  return `max fee ${formatGwei(fees.maxFeePerGas)}, priority fee ${formatGwei(
+    fees.maxPriorityFeePerGas
+  )}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Sends transactions on one chain with the chain's fee policy and sees them mined:
+// EIP-1559 fees capped at the chain's max fee (legacy gas price where there is no base fee),
+// same-nonce replacement with higher fees when a transaction is not mined in time,
+// and cancellation. Every attempt is recorded in the transaction log.
+class TransactionSender {
+  constructor(wallet, chain, options = {}) {
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.chain = chain;
+    this.store = options.store || new TransactionStore();
+    this.nonces = getNonceManager(chain, wallet.address);
+    this.log = logger.child({ chainId: chain.chainId });
+    this.replaceAfterMs =
+      options.replaceAfterMs ?? readIntEnv("TX_REPLACE_AFTER_MS", DEFAULT_REPLACE_AFTER_MS, 1000);
+    this.maxReplacements =
+      options.maxReplacements ?? readIntEnv("TX_MAX_REPLACEMENTS", DEFAULT_MAX_REPLACEMENTS, 0);
+    this.feeBumpPercent =
+      options.feeBumpPercent ??
+      readIntEnv("TX_FEE_BUMP_PERCENT", DEFAULT_FEE_BUMP_PERCENT, MIN_FEE_BUMP_PERCENT);
+    this.pollIntervalMs = options.pollIntervalMs ?? DEFAULT_POLL_INTERVAL_MS;
+  }
+
+  // Fees for a new transaction, and the gas price it is expected to pay
+  async getFees() {
+    const [block, feeData] = await Promise.all([
+      this.provider.getBlock("latest"),
+      this.provider.getFeeData(),
+    ]);
+    const cap = this.chain.maxFeePerGas;
+
+    if (block.baseFeePerGas == null) {
+      let gasPrice = feeData.gasPrice;
+      if (cap && gasPrice > cap) {
+        this.log.warn(
+          chalk.yellow(
+            `⚠️ Gas price ${formatGwei(gasPrice)} on ${this.chain.name} is above the ${formatGwei(cap)} cap`
+          )
+        );
+        gasPrice = cap;
+      }
+      return { fees: { gasPrice }, expectedGasPrice: gasPrice };
+    }
+
+    const baseFee = block.baseFeePerGas;
+    let maxPriorityFeePerGas =
+      this.chain.priorityFeePerGas ?? feeData.maxPriorityFeePerGas ?? BigInt(0);
+    // Twice the base fee keeps the transaction includable through several full blocks
+    let maxFeePerGas = baseFee * BigInt(2) + maxPriorityFeePerGas;
+    if (cap && maxFeePerGas > cap) {
+      if (cap < baseFee) {
+        this.log.warn(
+          chalk.yellow(
+            `⚠️ Base fee ${formatGwei(baseFee)} on ${this.chain.name} is above the ${formatGwei(cap)} cap, the transaction waits until it drops`
+          )
+        );
+      }
+      maxFeePerGas = cap;
+    }
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+
+    const expected = baseFee + maxPriorityFeePerGas;
+    return {
+      fees: { type: 2, maxFeePerGas, maxPriorityFeePerGas },
+      expectedGasPrice: expected < maxFeePerGas ? expected : maxFeePerGas,
+    };
+  }
+
+  // Fees for replacing an attempt: current fees, but at least feeBumpPercent above the
+  // attempt's. Undefined when the chain's cap leaves no room for a valid replacement.
+  async getReplacementFees(previous) {
+    const { fees: current } = await this.getFees();
+    const cap = this.chain.maxFeePerGas;
+    const capped = (value) => (cap && value > cap ? cap : value);
+
+    if (previous.gasPrice !== undefined) {
+      const gasPrice = capped(
+        maxOf(current.gasPrice ?? current.maxFeePerGas, bumpFee(previous.gasPrice, this.feeBumpPercent))
+      );
+      if (gasPrice < bumpFee(previous.gasPrice, MIN_FEE_BUMP_PERCENT)) return undefined;
+      return { gasPrice };
+    }
+
+    const maxFeePerGas = capped(
+      maxOf(current.maxFeePerGas ?? current.gasPrice, bumpFee(previous.maxFeePerGas, this.feeBumpPercent))
+    );
+    let maxPriorityFeePerGas = maxOf(
+      current.maxPriorityFeePerGas ?? BigInt(0),
+      bumpFee(previous.maxPriorityFeePerGas, this.feeBumpPercent)
+    );
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+    if (
+      maxFeePerGas < bumpFee(previous.maxFeePerGas, MIN_FEE_BUMP_PERCENT) ||
+      maxPriorityFeePerGas < bumpFee(previous.maxPriorityFeePerGas, MIN_FEE_BUMP_PERCENT)
+    ) {
+      return undefined;
+    }
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  // Gas and fees for a transaction ({ to, data, value }), with what it costs
+  async estimate(request, method) {
+    const estimatedGas = await this.provider.estimateGas({
+      ...request,
+      from: this.wallet.address,
+    });
+    const gasLimit = (estimatedGas * BigInt(100 + GAS_LIMIT_BUFFER_PERCENT)) / BigInt(100);
+    const { fees, expectedGasPrice } = await this.getFees();
+    const maxFeePerGas = fees.maxFeePerGas ?? fees.gasPrice;
+
+    return {
+      method,
+      request,
+      estimatedGas,
+      gasLimit,
+      fees,
+      gasPrice: expectedGasPrice,
+      maxFeePerGas,
+      estimatedCost: estimatedGas * expectedGasPrice,
+      maxCost: gasLimit * maxFeePerGas,
+    };
+  }
+
+  // Send a transaction and wait for it to be mined, replacing it while it is stuck.
+  // onSent(hash) is called for the first send and every replacement. With a contract,
+  // the receipt's logs are parsed with its ABI. Throws when the transaction reverts,
+  // is cancelled, or is still pending after the last replacement.
+  async send(request, { label, estimate, contract, onSent } = {}) {
+    const { gasLimit, fees } = estimate || (await this.estimate(request, label));
+    const tx = await this.broadcast({
+      to: request.to,
+      data: request.data,
+      value: request.value ?? BigInt(0),
+      gasLimit,
+      ...fees,
+    });
+
+    try {
+      return await this.track(tx, { label, fees, contract, onSent });
+    } finally {
+      this.nonces.complete();
+    }
+  }
+
+  // Send a new transaction with the next nonce. A nonce the node rejects as used (by a
+  // transaction sent elsewhere) triggers a resync and a retry; any other failure gives
+  // the nonce back, filling it when later nonces are already out.
+  async broadcast(transaction) {
+    for (let attempt = 1; ; attempt++) {
+      const nonce = await this.nonces.next(this.provider);
+      try {
+        return await this.wallet.sendTransaction({ ...transaction, nonce });
+      } catch (error) {
+        const nonceTaken =
+          error.code === "NONCE_EXPIRED" || error.code === "REPLACEMENT_UNDERPRICED";
+        if (nonceTaken) {
+          this.nonces.complete();
+          if (attempt < MAX_NONCE_ATTEMPTS) {
+            await this.nonces.resync(this.provider);
+            continue;
+          }
+        } else if (!this.nonces.release(nonce)) {
+          await this.fillNonceGap(nonce);
+        }
+        throw error;
+      }
+    }
+  }
+
+  // Occupy an unused nonce with a 0-value transfer to ourselves, so the transactions
+  // queued behind it can be mined. Followed in the background, not waited for.
+  async fillNonceGap(nonce) {
+    try {
+      const { fees } = await this.getFees();
+      const tx = await this.wallet.sendTransaction({
+        to: this.wallet.address,
+        value: BigInt(0),
+        nonce,
+        gasLimit: CANCEL_GAS_LIMIT,
+        ...fees,
+      });
+      const record = this.createRecord(tx, "nonce gap filler", fees);
+      this.log.info(
+        chalk.yellow(`⏳ Filled unused nonce ${nonce} on ${this.chain.name}: ${chalk.bold(tx.hash)}`),
+        { txHash: tx.hash, nonce }
+      );
+      this.waitForRecord(record).catch((error) =>
+        this.log.error(chalk.red(`❌ Nonce gap filler ${tx.hash}:`), { error, txHash: tx.hash, nonce })
+      );
+    } catch (error) {
+      // Taken meanwhile by a transaction sent elsewhere; there is no gap
+      if (error.code === "NONCE_EXPIRED" || error.code === "REPLACEMENT_UNDERPRICED") return;
+      this.log.error(
+        chalk.red(`❌ Could not fill unused nonce ${nonce} on ${this.chain.name}:`),
+        { error, nonce }
+      );
+    }
+  }
+
+  // Log a newly sent transaction, keyed by its first hash
+  createRecord(tx, label, fees) {
+    return this.store.create({
+      id: tx.hash,
+      chainId: this.chain.chainId,
+      chain: this.chain.name,
+      label,
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      nonce: tx.nonce,
+      gasLimit: tx.gasLimit,
+      status: "pending",
+      attempts: [{ kind: "send", hash: tx.hash, ...fees, sentAt: new Date().toISOString() }],
+    });
+  }
+
+  // Record a sent transaction and wait for it, see send()
+  async track(tx, { label, fees, contract, onSent }) {
+    const record = this.createRecord(tx, label, fees);
+    if (onSent) onSent(tx.hash);
+
+    const { record: settled, receipt } = await this.waitForRecord(record, { onSent });
+    if (settled.status === "cancelled") {
+      throw new Error(`Transaction ${record.id} was cancelled (${receipt.hash})`);
+    }
+    if (settled.status === "reverted") {
+      throw ethers.makeError("transaction execution reverted", "CALL_EXCEPTION", {
+        action: "sendTransaction",
+        data: null,
+        reason: null,
+        invocation: null,
+        revert: null,
+        transaction: { to: tx.to, from: tx.from, data: tx.data },
+        receipt,
+      });
+    }
+    return contract
+      ? new ethers.ContractTransactionReceipt(contract.interface, this.provider, receipt)
+      : receipt;
+  }
+
+  // Fees and maximum cost of replacing a transaction from the log with a speed-up or cancel.
+  // fees is undefined when the chain's cap leaves no room for a replacement.
+  async estimateReplacement(record, kind) {
+    const fees = await this.getReplacementFees(feesOf(record.attempts[record.attempts.length - 1]));
+    const gasLimit = kind === "cancel" ? CANCEL_GAS_LIMIT : BigInt(record.gasLimit);
+    return {
+      method: `${kind} of ${record.id}`,
+      fees,
+      gasLimit,
+      maxCost: fees ? gasLimit * (fees.maxFeePerGas ?? fees.gasPrice) : undefined,
+    };
+  }
+
+  // Replace a pending transaction from the log with higher fees, and wait for it
+  async speedUp(record, { estimate, onSent } = {}) {
+    await this.replace(record, "speed-up", { fees: estimate && estimate.fees, onSent });
+    return this.waitForRecord(this.store.get(record.id), { onSent });
+  }
+
+  // Replace a pending transaction from the log with a 0-value transfer to ourselves
+  async cancel(record, { estimate, onSent } = {}) {
+    await this.replace(record, "cancel", { fees: estimate && estimate.fees, onSent });
+    return this.waitForRecord(this.store.get(record.id), { onSent });
+  }
+
+  // Send a same-nonce replacement of the record's latest attempt.
+  // Returns false when no replacement was sent (fee cap reached, or the nonce was just mined).
+  async replace(record, kind, { fees: estimatedFees, onSent } = {}) {
+    if (record.from.toLowerCase() !== this.wallet.address.toLowerCase()) {
+      throw new Error(`Transaction ${record.id} was sent from ${record.from}, not ${this.wallet.address}`);
+    }
+    const fees =
+      estimatedFees ||
+      (await this.getReplacementFees(feesOf(record.attempts[record.attempts.length - 1])));
+    if (!fees) {
+      this.log.warn(
+        chalk.yellow(
+          `⚠️ Cannot ${kind} transaction ${record.id} on ${this.chain.name}: fees are at the ${formatGwei(this.chain.maxFeePerGas)} cap`
+        ),
+        { txHash: record.id, nonce: record.nonce }
+      );
+      return false;
+    }
+
+    const cancel = kind === "cancel";
+    let tx;
+    try {
+      tx = await this.wallet.sendTransaction({
+        to: cancel ? this.wallet.address : record.to,
+        data: cancel ? "0x" : record.data,
+        value: cancel ? BigInt(0) : BigInt(record.value),
+        nonce: record.nonce,
+        gasLimit: cancel ? CANCEL_GAS_LIMIT : BigInt(record.gasLimit),
+        ...fees,
+      });
+    } catch (error) {
+      // An earlier attempt was mined meanwhile; waiting picks up its receipt
+      if (error.code === "NONCE_EXPIRED") return false;
+      if (error.code === "REPLACEMENT_UNDERPRICED") {
+        this.log.warn(chalk.yellow(`⚠️ ${kind} of ${record.id} rejected as underpriced, retrying later`), {
+          txHash: record.id,
+          nonce: record.nonce,
+        });
+        return false;
+      }
+      throw error;
+    }
+
+    this.store.addAttempt(record.id, {
+      kind,
+      hash: tx.hash,
+      ...fees,
+      sentAt: new Date().toISOString(),
+    });
+    this.log.info(
+      chalk.yellow(
+        `⏳ ${cancel ? "Cancel" : "Speed-up"} of ${record.id} sent on ${this.chain.name}: ${chalk.bold(
+          tx.hash
+        )} (${describeFees(fees)})`
+      ),
+      { txHash: record.id, replacementTxHash: tx.hash, nonce: record.nonce }
+    );
+    if (onSent) onSent(tx.hash);
+    return true;
+  }
+
+  // Receipt of whichever attempt was mined, or undefined while none is
+  async findMined(record) {
+    for (const attempt of [...record.attempts].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+      if (receipt) return { attempt, receipt };
+    }
+    return undefined;
+  }
+
+  // Poll until one attempt of the record is mined, replacing it when it stays pending
+  // for replaceAfterMs. Returns { record, receipt } with the record's final status.
+  async waitForRecord(record, { onSent } = {}) {
+    let current = record;
+    let replacements = current.attempts.filter((attempt) => attempt.kind !== "send").length;
+    let lastSentAt = Date.parse(current.attempts[current.attempts.length - 1].sentAt);
+    let nonceUsed = false;
+
+    for (;;) {
+      const mined = await this.findMined(current);
+      if (mined) return this.settle(current, mined);
+
+      // Nonce used without any of our attempts being mined. Receipts can lag the nonce,
+      // so this is only final when the next poll finds none either.
+      const nonce = await this.provider.getTransactionCount(current.from, "latest");
+      if (nonce > current.nonce) {
+        if (nonceUsed) {
+          this.store.update(current.id, { status: "dropped" });
+          throw new Error(
+            `Nonce ${current.nonce} on ${this.chain.name} was used by another transaction; ${current.id} was dropped`
+          );
+        }
+        nonceUsed = true;
+      }
+
+      if (Date.now() - lastSentAt >= this.replaceAfterMs) {
+        if (replacements >= this.maxReplacements) {
+          this.store.update(current.id, { status: "stuck" });
+          throw new Error(
+            `Transaction ${current.id} on ${this.chain.name} is still pending after ${replacements} replacement(s). ` +
+              `Speed it up or cancel it with: npm run cli -- tx <speed-up|cancel> ${current.id}`
+          );
+        }
+        const lastKind = current.attempts[current.attempts.length - 1].kind;
+        await this.replace(current, lastKind === "cancel" ? "cancel" : "speed-up", { onSent });
+        current = this.store.get(current.id);
+        replacements++;
+        lastSentAt = Date.now();
+      }
+      await sleep(this.pollIntervalMs);
+    }
+  }
+
+  settle(record, { attempt, receipt }) {
+    let status = "confirmed";
+    if (attempt.kind === "cancel") status = "cancelled";
+    else if (receipt.status === 0) status = "reverted";
+
+    const settled = this.store.update(record.id, {
+      status,
+      minedHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      effectiveGasPrice: receipt.gasPrice,
+    });
+    return { record: settled, receipt };
+  }
+}
+
+module.exports = {
+  TransactionSender,
+  GAS_LIMIT_BUFFER_PERCENT,
+  describeFees,
+  feesOf,
+};
@@ -0,0 +1,100 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_TRANSACTIONS_FILE = path.join(process.cwd(), ".transactions", "transactions.json");
+const TRANSACTIONS_VERSION = 1;
+
+// Statuses of a transaction that is no longer waiting to be mined
+const FINAL_TX_STATUSES = ["confirmed", "reverted", "cancelled", "dropped"];
+
+// Bigints (fees, gas) are stored as decimal strings
+function serialize(value) {
+  return JSON.parse(
+    JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item))
+  );
+}
+
+// Durable log of every transaction the relayer and CLI send, with each attempt made for it
+// (the first send, speed-ups and cancels share one nonce and one record).
+// The file is re-read before every write so the relayer and CLI can share it.
+class TransactionStore {
+  constructor(filePath = process.env.TX_LOG_FILE || DEFAULT_TRANSACTIONS_FILE) {
+    this.filePath = filePath;
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return { version: TRANSACTIONS_VERSION, transactions: {} };
+    }
+    const content = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    if (content.version !== TRANSACTIONS_VERSION) {
+      throw new Error(
+        `Unsupported transaction log version ${content.version} in ${this.filePath}`
+      );
+    }
+    return content;
+  }
+
+  // Write to a temporary file first so a crash never leaves a truncated log
+  write(content) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(content, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get(id) {
+    return this.read().transactions[id];
+  }
+
+  // Find one record by its ID or an unambiguous ID prefix
+  find(idOrPrefix) {
+    const prefix = idOrPrefix.toLowerCase();
+    const matches = this.list().filter((record) => record.id.startsWith(prefix));
+    if (matches.length > 1) {
+      throw new Error(`Transaction ID prefix ${idOrPrefix} matches ${matches.length} transactions`);
+    }
+    return matches[0];
+  }
+
+  list(filter = () => true) {
+    return Object.values(this.read().transactions)
+      .filter(filter)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Create a record; its ID is the hash of the first attempt
+  create(record) {
+    const content = this.read();
+    const now = new Date().toISOString();
+    const created = serialize({ ...record, createdAt: now, updatedAt: now });
+    content.transactions[created.id] = created;
+    this.write(content);
+    return created;
+  }
+
+  update(id, fields) {
+    const content = this.read();
+    const record = content.transactions[id];
+    if (!record) throw new Error(`Unknown transaction ${id}`);
+    content.transactions[id] = serialize({
+      ...record,
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    });
+    this.write(content);
+    return content.transactions[id];
+  }
+
+  addAttempt(id, attempt) {
+    const record = this.get(id);
+    if (!record) throw new Error(`Unknown transaction ${id}`);
+    return this.update(id, { attempts: [...record.attempts, attempt] });
+  }
+}
+
+module.exports = {
+  TransactionStore,
+  FINAL_TX_STATUSES,
+  DEFAULT_TRANSACTIONS_FILE,
+};
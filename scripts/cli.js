@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+// node scripts/cli.js <command> [options]   (node scripts/cli.js --help)
+
+require("dotenv").config();
+const { run } = require("../lib/cli");
+const { logger } = require("../lib/logger");
+
+process.on("unhandledRejection", (error) => {
+  logger.error("❌ Unhandled promise rejection:", { error });
+});
+
+run(process.argv.slice(2)).then((status) => {
+  process.exitCode = status;
+});
@@ -1,133 +1,297 @@
+// node scripts/deploy-all-order-processor.js [--concurrency <n>] [--only-failed] [--force]
+
 require("dotenv").config();
-const { execSync } = require("child_process");
+const { spawn, spawnSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const ethers = require("ethers");
 const chalk = require("chalk");
+const { getChains, getActivatedChains } = require("../config/chains");
+const { DeploymentStore, checkDeployment } = require("../lib/deployments");
+const { formatTable } = require("../lib/cli/table");
+const { createProvider } = require("../lib/rpcProvider");
+const { logger } = require("../lib/logger");
 
-// Chain configurations
-const activatedChains = process.env.ACTIVATED_CHAINS
-  ? process.env.ACTIVATED_CHAINS.split(",")
-  : [];
-
-const CHAINS = [
-  {
-    name: "Optimism Sepolia",
-    network: "optimismSepolia",
-    envKey: "OPTIMISM_SEPOLIA_ORDER_PROCESSOR_ADDRESS",
-    id: "optimism-sepolia",
-  },
-  {
-    name: "Base Sepolia",
-    network: "baseSepolia",
-    envKey: "BASE_SEPOLIA_ORDER_PROCESSOR_ADDRESS",
-    id: "base-sepolia",
-  },
-  {
-    name: "Mode Sepolia",
-    network: "modeSepolia",
-    envKey: "MODE_SEPOLIA_ORDER_PROCESSOR_ADDRESS",
-    id: "mode-sepolia",
-  },
-  {
-    name: "Bob Sepolia",
-    network: "bobSepolia",
-    envKey: "BOB_SEPOLIA_ORDER_PROCESSOR_ADDRESS",
-    id: "bob-sepolia",
-  },
-  {
-    name: "Ink Sepolia",
-    network: "inkSepolia",
-    envKey: "INK_SEPOLIA_ORDER_PROCESSOR_ADDRESS",
-    id: "ink-sepolia",
-  },
-  {
-    name: "Unichain Sepolia",
-    network: "unichainSepolia",
-    envKey: "UNICHAIN_SEPOLIA_ORDER_PROCESSOR_ADDRESS", 
-    id: "unichain-sepolia",
-  },
-  {
-    name: "t3rn",
-    network: "t3rn",
-    envKey: "T3RN_ORDER_PROCESSOR_ADDRESS", 
-    id: "t3rn",
-  },
-].filter((chain) => activatedChains.includes(chain.id) || activatedChains.length === 0);
+const ROOT = path.join(__dirname, "..");
+const ARTIFACT_PATH = path.join(
+  ROOT,
+  "artifacts/contracts/OrderProcessor.sol/OrderProcessor.json"
+);
 
-async function main() {
-  console.log(chalk.blue("🚀 Starting deployment of OrderProcessor to all chains..."));
+// Result of the last run per network, read by --only-failed
+const RUN_STATE_FILE =
+  process.env.DEPLOY_STATE_FILE || path.join(process.cwd(), ".deploy", "last-run.json");
 
-  const envPath = path.join(__dirname, "../.env");
-  let envContent = fs.existsSync(envPath) ? fs.readFileSync(envPath, "utf8") : "";
+// Networks deployed to at the same time (override with --concurrency or DEPLOY_CONCURRENCY)
+const DEFAULT_CONCURRENCY = 3;
 
-  for (const chain of CHAINS) {
-    try {
-      console.log(
-        chalk.yellow(`\n📄 Deploying to ${chalk.bold(chain.name)}...`)
-      );
+// Every non-local chain in the registry, or only those in ACTIVATED_CHAINS when it is set
+const CHAINS = (process.env.ACTIVATED_CHAINS ? getActivatedChains() : getChains()).filter(
+  (chain) => !chain.local
+);
 
-      // Run the deployment script using npx hardhat directly
-      const output = execSync(
-        `npx hardhat run scripts/deployOrderProcessor.js --network ${chain.network}`,
-        {
-          encoding: "utf8",
-        }
-      );
+const SUMMARY_COLUMNS = [
+  { key: "chain", label: "Chain" },
+  { key: "network", label: "Network" },
+  { key: "status", label: "Status" },
+  { key: "address", label: "Address" },
+  { key: "detail", label: "Detail" },
+];
 
-      // Extract the contract address from the output
-      const addressMatch = output.match(
-        /OrderProcessor deployed to: (0x[0-9a-fA-F]{40})/
-      );
-      if (!addressMatch) {
-        throw new Error(
-          `Could not find contract address in output:\n${output}`
-        );
+// Read a --name=value or --name value command line flag
+function getFlag(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith(`--${name}=`)) {
+      return args[i].slice(name.length + 3);
+    }
+    if (args[i] === `--${name}`) {
+      return args[i + 1];
+    }
+  }
+  return undefined;
+}
+
+function hasFlag(name) {
+  return process.argv.slice(2).includes(`--${name}`);
+}
+
+function getConcurrency() {
+  const value = getFlag("concurrency") || process.env.DEPLOY_CONCURRENCY || DEFAULT_CONCURRENCY;
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid --concurrency: ${value}`);
+  }
+  return concurrency;
+}
+
+function loadRunState() {
+  if (!fs.existsSync(RUN_STATE_FILE)) return undefined;
+  return JSON.parse(fs.readFileSync(RUN_STATE_FILE, "utf8"));
+}
+
+function saveRunState(state) {
+  fs.mkdirSync(path.dirname(RUN_STATE_FILE), { recursive: true });
+  const tmpPath = `${RUN_STATE_FILE}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, RUN_STATE_FILE);
+}
+
+// Chains to deploy this run: all of them, or those that failed last time with --only-failed
+function selectChains() {
+  if (!hasFlag("only-failed")) return CHAINS;
+
+  const previous = loadRunState();
+  if (!previous) {
+    throw new Error(`No previous deployment run found in ${RUN_STATE_FILE}`);
+  }
+  return CHAINS.filter((chain) => {
+    const result = previous.results[chain.network];
+    return result && result.status === "failed";
+  });
+}
+
+// Whether the network already runs the OrderProcessor this run would deploy
+async function checkExisting(chain, deployments, bytecodeHash) {
+  const provider = createProvider(chain);
+  try {
+    return await checkDeployment(deployments.get(chain.network, "OrderProcessor"), provider, {
+      bytecodeHash,
+      constructorArgs: [chain.proverAddress],
+    });
+  } finally {
+    provider.destroy();
+  }
+}
+
+// Run deployOrderProcessor.js for one network, prefixing its output with the chain name
+function runDeployment(chain) {
+  return new Promise((resolve) => {
+    const child = spawn(
+      "npx",
+      ["hardhat", "run", "--no-compile", "scripts/deployOrderProcessor.js", "--network", chain.network],
+      { cwd: ROOT, env: { ...process.env, ...logger.toEnv() } }
+    );
+
+    const prefix = chalk.magenta(`[${chain.name}]`);
+    const chainLogger = logger.child({ network: chain.network });
+    const lines = [];
+    const emit = (line, write) => {
+      if (!logger.isJson()) {
+        if (line.trim()) lines.push(line);
+        write(`${prefix} ${line}\n`);
+        return;
       }
+      if (!line.trim()) return;
 
-      const contractAddress = addressMatch[1];
-      console.log(
-        chalk.green(
-          `✅ Deployed to ${chalk.bold(chain.name)}: ${chalk.bold(
-            contractAddress
-          )}`
-        )
-      );
+      // The script logs JSON as well: tag its entries with the network instead of a prefix
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Output of hardhat itself
+        lines.push(line);
+        chainLogger.info(line);
+        return;
+      }
+      lines.push(entry.error ? `❌ ${entry.error.shortMessage || entry.error.message}` : entry.msg);
+      write(`${JSON.stringify({ ...entry, network: chain.network })}\n`);
+    };
+    const forward = (stream, write) => {
+      let buffered = "";
+      stream.on("data", (data) => {
+        buffered += data.toString();
+        const complete = buffered.split("\n");
+        buffered = complete.pop();
+        for (const line of complete) emit(line, write);
+      });
+      stream.on("end", () => {
+        if (buffered.trim()) emit(buffered, write);
+      });
+    };
+    forward(child.stdout, (text) => process.stdout.write(text));
+    forward(child.stderr, (text) => process.stderr.write(text));
+
+    child.on("error", (error) => resolve({ code: 1, lines: [error.message] }));
+    child.on("close", (code) => resolve({ code, lines }));
+  });
+}
+
+// The error deployOrderProcessor.js reported ("❌ ..."), or its last line that is not a stack frame
+function deploymentError(lines) {
+  const reported = lines.find((line) => line.startsWith("❌"));
+  if (reported) return reported.replace(/^❌\s*(Error:\s*)?/, "");
+  return lines.filter((line) => !line.trim().startsWith("at ")).pop();
+}
 
-      // Update .env file
-      const envRegex = new RegExp(`${chain.envKey}=.*`, "g");
-      if (envContent.match(envRegex)) {
-        // Update existing entry
-        envContent = envContent.replace(
-          envRegex,
-          `${chain.envKey}=${contractAddress}`
+async function deployChain(chain, { deployments, bytecodeHash, force }) {
+  const base = { chain: chain.name, network: chain.network };
+  try {
+    if (!force) {
+      const existing = await checkExisting(chain, deployments, bytecodeHash);
+      if (existing.current) {
+        const record = deployments.get(chain.network, "OrderProcessor");
+        logger.info(
+          chalk.cyan(`⏭️  ${chalk.bold(chain.name)} is up to date at ${record.address}`)
         );
-      } else {
-        // Add new entry
-        envContent += `\n${chain.envKey}=${contractAddress}`;
+        return { ...base, status: "skipped", address: record.address, detail: existing.reason };
       }
+      logger.info(
+        chalk.yellow(`\n📄 Deploying to ${chalk.bold(chain.name)} (${existing.reason})...`)
+      );
+    } else {
+      logger.info(chalk.yellow(`\n📄 Deploying to ${chalk.bold(chain.name)}...`));
+    }
+
+    const previous = deployments.get(chain.network, "OrderProcessor");
+    const { code, lines } = await runDeployment(chain);
+    if (code !== 0) {
+      throw new Error(deploymentError(lines) || `deployment exited with code ${code}`);
+    }
 
-      // Write updated content back to .env
-      fs.writeFileSync(envPath, envContent);
-      console.log(chalk.cyan(`📝 Updated ${chain.envKey} in .env`));
-    } catch (error) {
-      console.error(
-        chalk.red(`❌ Error deploying to ${chalk.bold(chain.name)}:`),
-        error.message
+    // The deployment script records what it deployed in the network's manifest
+    const record = deployments.get(chain.network, "OrderProcessor");
+    if (!record || (previous && previous.txHash === record.txHash)) {
+      throw new Error(
+        `No new deployment recorded in ${deployments.filePath(chain.network)}`
       );
-      // Continue with next chain even if this one fails
-      continue;
     }
+
+    logger.info(
+      chalk.green(
+        `✅ Deployed to ${chalk.bold(chain.name)}: ${chalk.bold(record.address)}`
+      )
+    );
+    return { ...base, status: "deployed", address: record.address, detail: record.txHash };
+  } catch (error) {
+    logger.error(
+      chalk.red(`❌ Error deploying to ${chalk.bold(chain.name)}:`),
+      { error }
+    );
+    return { ...base, status: "failed", detail: error.shortMessage || error.message };
   }
+}
 
-  console.log(chalk.green("\n✅ Deployment to all chains completed!"));
-  console.log(
-    chalk.cyan("📝 Contract addresses have been updated in .env file")
+// Run fn over items with at most `limit` calls in flight, keeping the results in order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+async function main() {
+  logger.configure({ format: getFlag("log-format"), level: getFlag("log-level") });
+  const chains = selectChains();
+  if (chains.length === 0) {
+    logger.info(
+      chalk.green(
+        hasFlag("only-failed")
+          ? "✅ Nothing to deploy: no chain failed in the last run"
+          : "✅ Nothing to deploy: no chains selected"
+      )
+    );
+    return;
+  }
+
+  const concurrency = getConcurrency();
+  const force = hasFlag("force");
+  logger.info(
+    chalk.blue(
+      `🚀 Deploying OrderProcessor to ${chains.length} chain(s), ${concurrency} at a time...`
+    )
+  );
+
+  // Compile once up front; parallel runs skip compilation so they never race on artifacts
+  const compile = spawnSync("npx", ["hardhat", "compile"], { cwd: ROOT, stdio: "inherit" });
+  if (compile.error) throw compile.error;
+  if (compile.status !== 0) {
+    throw new Error(`Compilation failed with exit code ${compile.status}`);
+  }
+  const { bytecode } = JSON.parse(fs.readFileSync(ARTIFACT_PATH, "utf8"));
+  const bytecodeHash = ethers.keccak256(bytecode);
+
+  const deployments = new DeploymentStore();
+  // A resumed run keeps the results of the chains it does not retry
+  const previousRun = hasFlag("only-failed") ? loadRunState() : undefined;
+  const runState = {
+    startedAt: new Date().toISOString(),
+    results: { ...(previousRun ? previousRun.results : {}) },
+  };
+
+  const results = await mapWithConcurrency(chains, concurrency, async (chain) => {
+    const result = await deployChain(chain, { deployments, bytecodeHash, force });
+    // Saved as each chain finishes so an interrupted run can still be resumed
+    runState.results[chain.network] = { ...result, finishedAt: new Date().toISOString() };
+    saveRunState(runState);
+    return result;
+  });
+
+  logger.info(chalk.blue("\n📋 Deployment summary"), { results });
+  if (!logger.isJson()) console.log(formatTable(results, SUMMARY_COLUMNS));
+
+  const failed = results.filter((result) => result.status === "failed");
+  if (failed.length > 0) {
+    logger.info(
+      chalk.yellow(`\n>  Retry the failed chains with: npm run deploy:order-processor:all -- --only-failed`)
+    );
+    throw new Error(`Deployment failed on ${failed.map((result) => result.chain).join(", ")}`);
+  }
+  logger.info(chalk.green("\n✅ Deployment to all chains completed!"));
+  logger.info(
+    chalk.cyan(`📝 Deployments have been recorded in ${deployments.dir}`)
   );
 }
 
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error(chalk.red("❌ Error:"), error);
+    logger.error(chalk.red("❌ Error:"), { error });
     process.exit(1);
-  }); 
\ No newline at end of file
+  });
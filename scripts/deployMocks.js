@@ -0,0 +1,67 @@
+// npx hardhat run scripts/deployMocks.js --network localhost
+
+const hre = require("hardhat");
+const chalk = require("chalk");
+const { DeploymentStore, describeDeployment } = require("../lib/deployments");
+const { logger } = require("../lib/logger");
+
+// Deploy the local development setup: mock prover, OrderProcessor using it, and a mock order source
+async function main() {
+  const network = hre.network.name;
+  if (network !== "hardhat" && network !== "localhost") {
+    throw new Error(`Mock contracts must only be deployed locally, not to ${network}`);
+  }
+
+  logger.info(chalk.yellow("📄 Deploying local development contracts..."));
+
+  const MockPolymerProver = await hre.ethers.getContractFactory("MockPolymerProver");
+  const prover = await MockPolymerProver.deploy();
+  await prover.waitForDeployment();
+  const proverAddress = await prover.getAddress();
+
+  const OrderProcessor = await hre.ethers.getContractFactory("OrderProcessor");
+  const orderProcessor = await OrderProcessor.deploy(proverAddress);
+  await orderProcessor.waitForDeployment();
+  const orderProcessorAddress = await orderProcessor.getAddress();
+
+  const MockOrderSource = await hre.ethers.getContractFactory("MockOrderSource");
+  const orderSource = await MockOrderSource.deploy();
+  await orderSource.waitForDeployment();
+  const orderSourceAddress = await orderSource.getAddress();
+
+  logger.info(chalk.green(`✅ MockPolymerProver deployed to: ${proverAddress}`));
+  logger.info(chalk.green(`✅ OrderProcessor deployed to: ${orderProcessorAddress}`));
+  logger.info(chalk.green(`✅ MockOrderSource deployed to: ${orderSourceAddress}`));
+
+  // The in-process hardhat network is gone after this script, so only a node gets a manifest
+  if (network === "localhost") {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const deployments = new DeploymentStore();
+    const contracts = [
+      ["MockPolymerProver", MockPolymerProver, prover, [], {}],
+      ["OrderProcessor", OrderProcessor, orderProcessor, [proverAddress], { proverAddress }],
+      ["MockOrderSource", MockOrderSource, orderSource, [], {}],
+    ];
+    for (const [name, factory, contract, constructorArgs, details] of contracts) {
+      deployments.record(network, Number(chainId), name, {
+        ...(await describeDeployment(factory, contract, constructorArgs)),
+        ...details,
+      });
+    }
+    logger.info(chalk.cyan(`📝 Deployments recorded in ${deployments.filePath(network)}`));
+  }
+
+  logger.info(chalk.cyan("\nAdd to your .env file for offline development:"));
+  logger.info(`POLYMER_API_URL=http://127.0.0.1:8547`);
+  logger.info(`T3RN_RPC=http://127.0.0.1:8545`);
+  logger.info(`T3RN_POLYMER_PROVER_ADDRESS=${proverAddress}`);
+  logger.info(`T3RN_ORDER_PROCESSOR_ADDRESS=${orderProcessorAddress}`);
+  logger.info(`CHAIN_31337_RPC=http://127.0.0.1:8545`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error(chalk.red("❌ Error:"), { error });
+    process.exit(1);
+  });
@@ -1,42 +1,27 @@
 require("dotenv").config();
 const hre = require("hardhat");
 const chalk = require("chalk");
+const { findChain } = require("../config/chains");
+const { DeploymentStore, describeDeployment } = require("../lib/deployments");
+const { logger } = require("../lib/logger");
 
 async function main() {
-  console.log(chalk.yellow("📄 Deploying OrderProcessor contract..."));
+  logger.info(chalk.yellow("📄 Deploying OrderProcessor contract..."));
 
-  // Get the network and prover address
+  // Get the network and its prover address from the chain registry
   const network = hre.network.name;
-  
-  // Get the prover address based on the network
-  const proverAddressKey = `${network.toUpperCase()}_POLYMER_PROVER_ADDRESS`;
-  let polymerProverAddress = process.env[proverAddressKey];
-  
-  // Fallback address for all chains - REPLACE WITH REAL ADDRESSES BEFORE PRODUCTION USE
-  const fallbackProverAddress = "0xcDa03d74DEc5B24071D1799899B2e0653C24e5Fa";
-  
-  const fallbackAddresses = {
-    optimismSepolia: fallbackProverAddress,
-    baseSepolia: fallbackProverAddress,
-    modeSepolia: fallbackProverAddress,
-    bobSepolia: fallbackProverAddress,
-    inkSepolia: fallbackProverAddress,
-    unichainSepolia: fallbackProverAddress,
-    t3rn: fallbackProverAddress
-  };
-  
-  // Use fallback address if not set in environment
-  if (!polymerProverAddress) {
-    if (fallbackAddresses[network]) {
-      polymerProverAddress = fallbackAddresses[network];
-      console.log(chalk.yellow(`⚠️ Using fallback Polymer Prover address for ${network}: ${polymerProverAddress}`));
-      console.log(chalk.yellow(`⚠️ Update your .env file with the correct address for production use.`));
-    } else {
-      throw new Error(`Missing Polymer Prover address for ${network} in .env. Please set ${proverAddressKey}.`);
-    }
+  const chain = findChain(network);
+  if (!chain) {
+    throw new Error(`Network ${network} is not in the chain registry (config/chains.js).`);
   }
-  
-  console.log(chalk.cyan(`Using Polymer Prover at: ${polymerProverAddress}`));
+  if (!chain.proverAddress) {
+    throw new Error(
+      `Missing Polymer Prover address for ${chain.name}. Please set ${chain.envPrefix}_POLYMER_PROVER_ADDRESS in .env.`
+    );
+  }
+  const polymerProverAddress = chain.proverAddress;
+
+  logger.info(chalk.cyan(`Using Polymer Prover at: ${polymerProverAddress}`));
 
   // Deploy the contract
   const OrderProcessor = await hre.ethers.getContractFactory("OrderProcessor");
@@ -44,37 +29,45 @@ async function main() {
   await orderProcessor.waitForDeployment();
 
   const orderProcessorAddress = await orderProcessor.getAddress();
-  console.log(chalk.green(`✅ OrderProcessor deployed to: ${orderProcessorAddress}`));
+  logger.info(chalk.green(`✅ OrderProcessor deployed to: ${orderProcessorAddress}`));
 
-  // Output the updated environment variable
-  const envKey = `${network.toUpperCase()}_ORDER_PROCESSOR_ADDRESS`;
-  console.log(chalk.cyan(`Add to your .env file: ${envKey}=${orderProcessorAddress}`));
+  // Record the deployment; the chain registry picks the address up from the manifest
+  const deployments = new DeploymentStore();
+  const record = deployments.record(network, chain.chainId, "OrderProcessor", {
+    ...(await describeDeployment(OrderProcessor, orderProcessor, [polymerProverAddress])),
+    proverAddress: polymerProverAddress,
+  });
+  logger.info(chalk.cyan(`📝 Deployment recorded in ${deployments.filePath(network)}`));
+  logger.info(chalk.cyan(`>  Transaction: ${record.txHash} (block ${record.blockNumber})`));
+  if (chain.explorer) {
+    logger.info(chalk.cyan(`Explorer: ${chain.explorer}/address/${orderProcessorAddress}`));
+  }
   
   // Verify the contract if not on a local network
   if (network !== "hardhat" && network !== "localhost") {
-    console.log(chalk.yellow("Waiting for block confirmations before verification..."));
+    logger.info(chalk.yellow("Waiting for block confirmations before verification..."));
     // Wait for block confirmations to ensure the contract is deployed before verification
     await orderProcessor.deploymentTransaction().wait(5);
     
-    console.log(chalk.yellow("Verifying contract on explorer..."));
+    logger.info(chalk.yellow("Verifying contract on explorer..."));
     try {
       await hre.run("verify:verify", {
         address: orderProcessorAddress,
         constructorArguments: [polymerProverAddress],
       });
-      console.log(chalk.green("✅ Contract verified successfully!"));
+      logger.info(chalk.green("✅ Contract verified successfully!"));
     } catch (error) {
       if (error.message.includes("Already Verified") || error.message.includes("already verified")) {
-        console.log(chalk.green("✅ Contract already verified!"));
+        logger.info(chalk.green("✅ Contract already verified!"));
       } else if (error.message.includes("Explorer API not supported")) {
-        console.log(chalk.yellow("⚠️ Contract verification not supported on this network."));
+        logger.warn(chalk.yellow("⚠️ Contract verification not supported on this network."));
       } else {
-        console.error(chalk.red("❌ Error during verification:"), error);
+        logger.error(chalk.red("❌ Error during verification:"), { error });
       }
     }
   }
   
-  return orderProcessorAddress;
+  return record;
 }
 
 // Execute if run directly
@@ -82,7 +75,7 @@ if (require.main === module) {
   main()
     .then(() => process.exit(0))
     .catch((error) => {
-      console.error(chalk.red("❌ Error:"), error);
+      logger.error(chalk.red("❌ Error:"), { error });
       process.exit(1);
     });
 }
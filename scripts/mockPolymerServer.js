@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// node scripts/mockPolymerServer.js [--port 8547] [--statuses initialized,pending,complete] [--latency 0]
+
+require("dotenv").config();
+const chalk = require("chalk");
+const {
+  createMockPolymerServer,
+  DEFAULT_STATUSES,
+} = require("../lib/mockPolymerServer");
+const { logger } = require("../lib/logger");
+
+const VALID_STATUSES = ["initialized", "pending", "complete", "error"];
+
+// Read a --name=value or --name value command line flag
+function getFlag(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith(`--${name}=`)) {
+      return args[i].slice(name.length + 3);
+    }
+    if (args[i] === `--${name}`) {
+      return args[i + 1];
+    }
+  }
+  return undefined;
+}
+
+// RPCs per chain come from CHAIN_<chainId>_RPC (the first one of a list), everything else
+// uses the default RPC
+function getRpcUrls() {
+  const rpcUrls = {};
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = key.match(/^CHAIN_(\d+)_RPC$/);
+    if (match && value) rpcUrls[match[1]] = value.split(",")[0].trim();
+  }
+  return rpcUrls;
+}
+
+async function main() {
+  logger.configure({ format: getFlag("log-format"), level: getFlag("log-level") });
+
+  const port = Number(getFlag("port") || process.env.MOCK_POLYMER_PORT || 8547);
+  const latencyMs = Number(
+    getFlag("latency") || process.env.MOCK_POLYMER_LATENCY_MS || 0
+  );
+  const statusesValue =
+    getFlag("statuses") || process.env.MOCK_POLYMER_STATUSES;
+  const statuses = statusesValue
+    ? statusesValue.split(",").map((status) => status.trim())
+    : DEFAULT_STATUSES;
+  const defaultRpcUrl =
+    getFlag("rpc") || process.env.MOCK_POLYMER_RPC || "http://127.0.0.1:8545";
+
+  for (const status of statuses) {
+    if (!VALID_STATUSES.includes(status)) {
+      throw new Error(
+        `Unknown status "${status}". Valid statuses: ${VALID_STATUSES.join(", ")}`
+      );
+    }
+  }
+
+  const server = createMockPolymerServer({
+    rpcUrls: getRpcUrls(),
+    defaultRpcUrl,
+    statuses,
+    latencyMs,
+    apiKey: process.env.MOCK_POLYMER_API_KEY,
+  });
+
+  server.listen(port, () => {
+    logger.info(chalk.green(`✅ Mock Polymer API listening on http://127.0.0.1:${port}`));
+    logger.info(chalk.cyan(`>  Default RPC: ${chalk.bold(defaultRpcUrl)}`));
+    logger.info(chalk.cyan(`>  Status sequence: ${chalk.bold(statuses.join(" → "))}`));
+    logger.info(chalk.cyan(`>  Latency: ${chalk.bold(latencyMs)}ms`));
+    logger.info(
+      chalk.yellow(
+        `>  Point scripts at it with POLYMER_API_URL=http://127.0.0.1:${port}`
+      )
+    );
+  });
+}
+
+main().catch((error) => {
+  logger.error(chalk.red("❌ Error:"), { error });
+  process.exit(1);
+});
@@ -1,337 +1,1276 @@
 
 // node scripts/relayerV2.js
+// node scripts/relayerV2.js --from-block <n> [--to-block <n>]   (backfill a range and exit)
+// node scripts/relayerV2.js --http-port 9464                      (admin API and /metrics port, "off" to disable)
+// node scripts/relayerV2.js --log-format json --log-level debug    (log output, default pretty and info)
 
 require("dotenv").config();
 const ethers = require("ethers");
-const axios = require("axios");
 const chalk = require("chalk");
+const { PolymerClient } = require("../lib/polymerClient");
+const { RelayerStateStore, eventKey } = require("../lib/relayerState");
+const { createProofCache } = require("../lib/proofCache");
+const { scanLogs } = require("../lib/logScanner");
+const { EventDecoder, SOURCE_EVENTS_ABI } = require("../lib/eventDecoder");
+const { ORDER_STATE, ORDER_STATE_NAMES } = require("../lib/orderStatus");
+const { ORDER_PROCESSOR_ABI } = require("../lib/orderProof");
+const { TransactionStore } = require("../lib/transactionStore");
+const { TransactionSender } = require("../lib/transactionSender");
+const { logger } = require("../lib/logger");
+const { createRelayerMetrics } = require("../lib/metrics");
+const { getRetryPolicy, withStage, planRetry } = require("../lib/relayRetry");
+const { createProvider } = require("../lib/rpcProvider");
+const {
+  createAdminServer,
+  HttpError,
+  DEFAULT_HTTP_PORT,
+  DEFAULT_HTTP_HOST,
+} = require("../lib/adminServer");
 
-const POLYMER_API_URL = "https://proof.testnet.polymer.zone";
+const {
+  getActivatedChains,
+  getOrderProcessorChain,
+} = require("../config/chains");
 
-const { CHAINS, activatedChains } = require("../config/chains");
+// Relay modes: "values" relays ValueSet events, "orders" opens orders from OrderCreated
+// events and "confirmations" completes them from Confirmation events
+const SUPPORTED_MODES = ["values", "orders", "confirmations"];
 
-// Contract ABI (only the events and functions we need)
+// Blocks to keep behind the head when checkpointing, since log subscriptions can lag
+const CHECKPOINT_LAG_BLOCKS = 5;
+
+// Failed relays waiting for their next attempt or for an operator to replay them
+const QUEUED_STATUSES = ["retry_scheduled", "dead_letter"];
+
+// How long /readyz waits for each chain's RPC before reporting it unreachable
+const RPC_HEALTH_TIMEOUT_MS = 5000;
+
+// Source contract ABI (only the events and functions we need)
 const CONTRACT_ABI = [
-    "event ValueSet(address indexed sender, string key, bytes value, uint256 nonce, bytes32 indexed hashedKey, uint256 version)",
+    ...SOURCE_EVENTS_ABI,
     "event ValueUpdated(bytes32 indexed hashedKey, bytes value, uint256 version)",
     "function getValue(address originalSender, string memory key) public view returns (bytes memory)",
     "function setValue(string memory key, bytes memory value) public",
     "function setValueFromSource(bytes calldata proof) external"
 ];
 
+// Read a --name=value or --name value command line flag
+function getFlag(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith(`--${name}=`)) {
+      return args[i].slice(name.length + 3);
+    }
+    if (args[i] === `--${name}`) {
+      return args[i + 1];
+    }
+  }
+  return undefined;
+}
+
+function getBlockFlag(name) {
+  const value = getFlag(name);
+  if (value === undefined) return undefined;
+  const blockNumber = Number(value);
+  if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+    throw new Error(`Invalid --${name}: ${value}`);
+  }
+  return blockNumber;
+}
+
+// Read relay modes from --mode=a,b or RELAYER_MODE (defaults to "values")
+function getModes() {
+  const value = getFlag("mode") || process.env.RELAYER_MODE || "values";
+  const modes = value.split(",").map((mode) => mode.trim()).filter(Boolean);
+
+  for (const mode of modes) {
+    if (!SUPPORTED_MODES.includes(mode)) {
+      throw new Error(
+        `Unknown relayer mode "${mode}". Supported modes: ${SUPPORTED_MODES.join(", ")}`
+      );
+    }
+  }
+  return modes;
+}
+
+// Port for the admin HTTP server from --http-port or RELAYER_HTTP_PORT; undefined when "off"
+function getHttpPort() {
+  const value =
+    getFlag("http-port") || process.env.RELAYER_HTTP_PORT || String(DEFAULT_HTTP_PORT);
+  if (value === "off") return undefined;
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port: ${value}`);
+  }
+  return port;
+}
+
+// One provider per chain ID, shared by the listeners, the ValueSet destinations and the
+// OrderProcessor. Each request's latency and each endpoint's health go to the metrics.
+function createProviders(chains, metrics) {
+  const providers = new Map();
+  for (const chain of chains) {
+    if (providers.has(chain.chainId)) continue;
+    // Networks are detected, as the relayer always did, so a local node can stand in for t3rn
+    const provider = createProvider(chain, {
+      staticNetwork: false,
+      onRequest: ({ endpoint, durationMs, error }) =>
+        metrics.rpcRequestDuration.observe(
+          { chain: chain.slug, endpoint, outcome: error ? "error" : "ok" },
+          durationMs / 1000
+        ),
+    });
+    provider.startHealthChecks({
+      onCheck: (stats) => {
+        for (const { endpoint, healthy } of stats) {
+          metrics.rpcEndpointHealthy.set({ chain: chain.slug, endpoint }, healthy ? 1 : 0);
+        }
+      },
+    });
+    providers.set(chain.chainId, provider);
+  }
+  return providers;
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 class ChainListener {
-  constructor(chainConfig, wallet) {
+  constructor(chainConfig, wallet, { chains, providers, polymer, orderProcessor, modes, state, transactions, metrics, retryPolicy }) {
     this.config = chainConfig;
-    this.provider = new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+    this.metrics = metrics;
+    this.retryPolicy = retryPolicy;
+    this.log = logger.child({ chain: chainConfig.slug, chainId: chainConfig.chainId });
+    this.chains = chains;
+    this.providers = providers;
+    this.transactions = transactions;
+    this.polymer = polymer;
+    this.orderProcessor = orderProcessor;
+    this.modes = modes;
+    this.state = state;
+    this.provider = providers.get(chainConfig.chainId);
     this.wallet = wallet.connect(this.provider);
     this.contract = new ethers.Contract(
       chainConfig.contractAddress,
       CONTRACT_ABI,
       this.wallet
     );
+    this.decoder = new EventDecoder(CONTRACT_ABI);
+
+    // Events currently queued or being relayed, keyed by event key, with their block number
+    this.inFlight = new Map();
+
+    // Events waiting for enough confirmations before their proof is requested
+    this.pendingEvents = new Map();
+    this.processingPending = false;
+
+    // Timers of failed relays waiting for their next attempt, keyed by event key
+    this.retryTimers = new Map();
 
-    // Keep track of processed events to avoid duplicates
-    this.processedEvents = new Set();
+    // Set once subscriptions are registered, and on every new block, for /readyz
+    this.started = false;
+    this.headBlock = undefined;
+  }
+
+  // Event handlers for the enabled modes, keyed by event name
+  getHandlers() {
+    const handlers = {};
+    if (this.modes.includes("values")) {
+      handlers.ValueSet = (event) => this.onValueSet(event);
+    }
+    if (this.modes.includes("orders")) {
+      handlers.OrderCreated = (event) => this.handleOrderCreatedEvent(event);
+    }
+    if (this.modes.includes("confirmations")) {
+      handlers.Confirmation = (event) => this.handleConfirmationEvent(event);
+    }
+    return handlers;
   }
 
   async start() {
-    console.log(
+    this.log.info(
       chalk.blue(`>  Starting listener for ${chalk.bold(this.config.name)}...`)
     );
-    console.log(
+    this.log.info(
       chalk.cyan(
         `>  Contract address: ${chalk.bold(this.config.contractAddress)}`
       )
     );
-    console.log(chalk.cyan(`>  Chain ID: ${chalk.bold(this.config.chainId)}`));
+    this.log.info(chalk.cyan(`>  Chain ID: ${chalk.bold(this.config.chainId)}`));
+    this.log.info(chalk.cyan(`>  Modes: ${chalk.bold(this.modes.join(", "))}`));
+    this.log.info(
+      chalk.cyan(
+        `>  Finality: ${chalk.bold(
+          this.config.finality || `${this.config.confirmations} confirmations`
+        )}`
+      )
+    );
 
     // Get the latest block
     const latestBlock = await this.provider.getBlockNumber();
-    console.log(
+    this.log.info(
       chalk.yellow(`>  Current block number: ${chalk.bold(latestBlock)}`)
     );
 
-    // Listen for ValueSet events
-    this.contract.on(
-      "ValueSet",
-      async (sender, key, value, nonce, hashedKey, version, event) => {
-        try {
-          // Create a unique event identifier
-          const eventId = `${event.log.blockHash}-${event.log.transactionHash}-${event.log.index}`;
+    const handlers = this.getHandlers();
+    for (const [eventName, handler] of Object.entries(handlers)) {
+      this.subscribe(eventName, handler);
+    }
 
-          // Skip if we've already processed this event
-          if (this.processedEvents.has(eventId)) {
-            return;
-          }
+    // Resume from the last checkpoint so events emitted while we were down are relayed
+    const lastProcessedBlock = this.state.getLastProcessedBlock(
+      this.config.chainId
+    );
+    if (lastProcessedBlock === undefined) {
+      this.setCheckpoint(latestBlock);
+    } else {
+      this.metrics.lastProcessedBlock.set({ chain: this.config.slug }, lastProcessedBlock);
+      if (lastProcessedBlock < latestBlock) {
+        await this.catchUp(lastProcessedBlock + 1, latestBlock, handlers);
+      }
+    }
 
-          // Get the block details
-          const block = await this.provider.getBlock(event.log.blockNumber);
+    // Move the checkpoint forward and release pending events as new blocks arrive
+    this.provider.on("block", async (blockNumber) => {
+      this.headBlock = blockNumber;
+      this.metrics.headBlock.set({ chain: this.config.slug }, blockNumber);
+      await this.processPending();
+      this.advanceCheckpoint(blockNumber - CHECKPOINT_LAG_BLOCKS);
+    });
+    this.started = true;
 
-          // Wait for the transaction receipt
-          const receipt = await event.log.getTransactionReceipt();
+    // Failed relays are not covered by the checkpoint; pick up the retries stored so far
+    this.resumeRetries();
+  }
+
+  // Ready when the RPC answers and the event and block subscriptions are registered
+  async getHealth() {
+    const health = {
+      chain: this.config.slug,
+      started: this.started,
+      headBlock: this.headBlock,
+      inFlight: this.inFlight.size,
+    };
+    try {
+      health.blockNumber = await withTimeout(
+        this.provider.getBlockNumber(),
+        RPC_HEALTH_TIMEOUT_MS,
+        `No answer from ${this.config.name} RPC after ${RPC_HEALTH_TIMEOUT_MS}ms`
+      );
+      health.rpc = "ok";
+    } catch (error) {
+      health.rpc = error.shortMessage || error.message;
+    }
+    health.rpcEndpoints = this.provider.getEndpointStats();
+    health.eventSubscriptions = await this.contract.listenerCount();
+    health.blockSubscriptions = await this.provider.listenerCount("block");
+
+    health.ready =
+      this.started &&
+      health.rpc === "ok" &&
+      health.eventSubscriptions >= Object.keys(this.getHandlers()).length &&
+      health.blockSubscriptions > 0;
+    return health;
+  }
+
+  // Relay a recorded event again right away, e.g. a scheduled retry or a dead letter.
+  // It goes through the finality queue like a new event and resumes from whatever the
+  // state file says was already done. Dead letters start over with fresh attempts.
+  async retry(key) {
+    const event = this.state.getEvent(key);
+    if (!event) throw new HttpError(404, `Unknown event ${key}`);
+    if (this.inFlight.has(key)) {
+      throw new HttpError(409, `${event.eventName} ${key} is already being relayed`);
+    }
+    if (this.state.isFinal(key)) {
+      throw new HttpError(409, `${event.eventName} ${key} is already ${event.status}`);
+    }
+    const handler = this.getHandlers()[event.eventName];
+    if (!handler) {
+      throw new HttpError(
+        409,
+        `${event.eventName} events are not relayed in modes ${this.modes.join(", ")}`
+      );
+    }
+
+    const log = await this.getEventLog(event);
+    if (!log) {
+      throw new HttpError(409, `${event.eventName} ${key} is no longer on ${this.config.name}`);
+    }
+
+    this.cancelRetry(key);
+    if (event.status === "dead_letter") {
+      this.state.updateEvent(key, { attempts: undefined, deadLetteredAt: undefined });
+    }
+    this.log.info(
+      chalk.yellow(`\n🔁 Retrying ${event.eventName} ${chalk.bold(key)} on ${chalk.bold(this.config.name)}`)
+    );
+    // Not awaited: the outcome is logged and recorded in the state file as usual
+    this.processEvent(event.eventName, log, handler).catch((error) => {
+      this.log.error(chalk.red(`❌ Error retrying ${event.eventName} ${key}:`), { error });
+    });
+  }
+
+  // The source log of a recorded event, or undefined if its transaction is gone
+  async getEventLog(event) {
+    const receipt = await this.provider.getTransactionReceipt(event.transactionHash);
+    return receipt && receipt.logs.find((candidate) => candidate.index === event.logIndex);
+  }
+
+  // Record a failed relay attempt: schedule the next one with backoff, or move the event
+  // to the dead letters once the stage it failed at has used up its attempts
+  recordFailure(key, eventName, error, eventLogger) {
+    const next = planRetry(this.retryPolicy, this.state.getEvent(key), error);
+    this.state.updateEvent(key, next);
+    this.metrics.relayFailures.inc({ chain: this.config.slug, event: eventName, stage: next.stage });
+
+    if (next.status === "dead_letter") {
+      this.metrics.relays.inc({ chain: this.config.slug, event: eventName, status: "dead_letter" });
+      eventLogger.error(
+        chalk.red(
+          `❌ ${eventName} failed at ${chalk.bold(next.stage)} ${next.attempts[next.stage]} time(s), moved to the dead letters:`
+        ),
+        { error, stage: next.stage, attempts: next.attempts }
+      );
+      return;
+    }
 
-          // Get the position in the block
-          const positionInBlock = receipt.index;
+    eventLogger.warn(
+      chalk.yellow(
+        `⚠️ ${eventName} failed at ${chalk.bold(next.stage)}, retrying at ${chalk.bold(next.nextAttemptAt)}:`
+      ),
+      { error, stage: next.stage, attempts: next.attempts, nextAttemptAt: next.nextAttemptAt }
+    );
+    // Backfill runs exit when done; their retries are picked up by the next listening run
+    if (this.started) this.scheduleRetry(key);
+  }
 
-          console.log(
-            chalk.blue(
-              `\n🔔 New ValueSet event detected on ${chalk.bold(
-                this.config.name
-              )}:`
+  // Run the next attempt of a failed relay at the time stored in the state file
+  scheduleRetry(key) {
+    this.cancelRetry(key);
+    const { nextAttemptAt } = this.state.getEvent(key);
+    const delayMs = Math.max(0, Date.parse(nextAttemptAt) - Date.now());
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(key);
+      this.runScheduledRetry(key);
+    }, delayMs);
+    this.retryTimers.set(key, timer);
+  }
+
+  cancelRetry(key) {
+    clearTimeout(this.retryTimers.get(key));
+    this.retryTimers.delete(key);
+  }
+
+  async runScheduledRetry(key) {
+    const event = this.state.getEvent(key);
+    if (!event || event.status !== "retry_scheduled" || this.inFlight.has(key)) return;
+    const handler = this.getHandlers()[event.eventName];
+    if (!handler) return;
+
+    const eventLogger = this.log.child({ eventKey: key, txHash: event.transactionHash });
+    try {
+      const log = await this.getEventLog(event);
+      if (!log) {
+        this.state.updateEvent(key, { status: "reorged", nextAttemptAt: undefined });
+        eventLogger.warn(
+          chalk.yellow(
+            `⚠️ ${event.eventName} ${chalk.bold(key)} is no longer on ${chalk.bold(this.config.name)}, dropping`
+          )
+        );
+        return;
+      }
+      eventLogger.info(
+        chalk.yellow(
+          `\n🔁 Retrying ${event.eventName} ${chalk.bold(key)} on ${chalk.bold(
+            this.config.name
+          )} after a failure at ${chalk.bold(event.stage)}`
+        ),
+        { stage: event.stage, attempts: event.attempts }
+      );
+      await this.processEvent(event.eventName, log, handler);
+    } catch (error) {
+      // The source chain could not be read; counts as a failure before the proof request
+      this.recordFailure(key, event.eventName, error, eventLogger);
+    }
+  }
+
+  // Schedule the retries of this chain's failed relays stored by previous runs
+  resumeRetries() {
+    const retries = this.state.listEvents(
+      (event) =>
+        String(event.chainId) === String(this.config.chainId) &&
+        event.status === "retry_scheduled"
+    );
+    for (const event of retries) this.scheduleRetry(event.key);
+    if (retries.length > 0) {
+      this.log.info(
+        chalk.yellow(`>  ${retries.length} failed relay(s) on ${chalk.bold(this.config.name)} waiting for a retry`)
+      );
+    }
+  }
+
+  // Mark an event as skipped so it is never relayed; events still waiting for finality
+  // are dropped from the queue, but one being relayed right now cannot be stopped
+  skip(key) {
+    const event = this.state.getEvent(key);
+    if (!event) throw new HttpError(404, `Unknown event ${key}`);
+    if (this.state.isFinal(key)) {
+      throw new HttpError(409, `${event.eventName} ${key} is already ${event.status}`);
+    }
+    if (this.inFlight.has(key) && !this.pendingEvents.has(key)) {
+      throw new HttpError(409, `${event.eventName} ${key} is being relayed right now`);
+    }
+
+    this.cancelRetry(key);
+    this.pendingEvents.delete(key);
+    this.inFlight.delete(key);
+    this.metrics.relays.inc({ chain: this.config.slug, event: event.eventName, status: "skipped" });
+    this.log.info(
+      chalk.yellow(`⏭️  Skipping ${event.eventName} ${chalk.bold(key)} on ${chalk.bold(this.config.name)}`)
+    );
+    return this.state.updateEvent(key, {
+      status: "skipped",
+      error: undefined,
+      nextAttemptAt: undefined,
+      skippedManually: true,
+    });
+  }
+
+  // Relay every matching event between two blocks that has not been relayed yet
+  async catchUp(fromBlock, toBlock, handlers, { checkpoint = true } = {}) {
+    this.log.info(
+      chalk.yellow(
+        `>  Scanning ${chalk.bold(this.config.name)} from block ${chalk.bold(
+          fromBlock
+        )} to ${chalk.bold(toBlock)}...`
+      )
+    );
+
+    // One getLogs filter matching any of the handled events
+    const fragments = Object.keys(handlers).map((eventName) =>
+      this.contract.interface.getEvent(eventName)
+    );
+    const logs = await scanLogs(this.provider, {
+      address: this.config.contractAddress,
+      topics: [fragments.map((fragment) => fragment.topicHash)],
+      fromBlock,
+      toBlock,
+      onChunk: ({ fromBlock: start, toBlock: end, logs: chunk }) => {
+        this.log.info(
+          chalk.cyan(
+            `>  ${this.config.name}: blocks ${start}-${end}, ${chunk.length} event(s)`
+          )
+        );
+      },
+    });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    let relayed = 0;
+    for (const log of logs) {
+      const fragment = fragments.find(
+        (candidate) => candidate.topicHash === log.topics[0]
+      );
+      const key = eventKey(this.config.chainId, log.transactionHash, log.index);
+      if (this.state.isFinal(key) || this.isQueued(key)) continue;
+
+      relayed++;
+      await this.processEvent(
+        fragment.name,
+        log,
+        handlers[fragment.name]
+      );
+    }
+
+    this.log.info(
+      chalk.green(
+        `✅ ${this.config.name}: ${logs.length} event(s) found, ${relayed} not yet relayed`
+      )
+    );
+
+    if (checkpoint) {
+      this.advanceCheckpoint(toBlock);
+    }
+  }
+
+  // Scan an explicit block range once, without subscribing or moving the checkpoint.
+  // The range stops at the last final block so every event found can be relayed right away.
+  async backfill(fromBlock, toBlock) {
+    const confirmedBlock = await this.getConfirmedBlockNumber();
+    await this.catchUp(
+      fromBlock,
+      toBlock === undefined ? confirmedBlock : Math.min(toBlock, confirmedBlock),
+      this.getHandlers(),
+      { checkpoint: false }
+    );
+  }
+
+  // Checkpoint the highest block below every in-flight event
+  advanceCheckpoint(blockNumber) {
+    const pendingBlocks = [...this.inFlight.values()];
+    const safeBlock = pendingBlocks.length
+      ? Math.min(blockNumber, Math.min(...pendingBlocks) - 1)
+      : blockNumber;
+    if (safeBlock >= 0) {
+      this.setCheckpoint(safeBlock);
+    }
+  }
+
+  setCheckpoint(blockNumber) {
+    this.state.setLastProcessedBlock(this.config.chainId, blockNumber);
+    this.metrics.lastProcessedBlock.set({ chain: this.config.slug }, blockNumber);
+  }
+
+  // Failed relays are retried on their own schedule, dead letters only when replayed
+  isQueued(key) {
+    const event = this.state.getEvent(key);
+    return Boolean(event && QUEUED_STATUSES.includes(event.status));
+  }
+
+  // Subscribe to a contract event and hand each new log to the handler once
+  subscribe(eventName, handler) {
+    this.contract.on(eventName, async (...listenerArgs) => {
+      const { log } = listenerArgs[listenerArgs.length - 1];
+      if (this.isQueued(eventKey(this.config.chainId, log.transactionHash, log.index))) return;
+      await this.processEvent(eventName, log, handler);
+    });
+  }
+
+  // Queue an event until it is final enough, then relay it
+  async processEvent(eventName, log, handler) {
+    const key = eventKey(this.config.chainId, log.transactionHash, log.index);
+
+    // Skip if we've already relayed this event or are relaying it right now
+    if (this.state.isFinal(key) || this.inFlight.has(key)) {
+      return;
+    }
+    this.inFlight.set(key, log.blockNumber);
+    this.pendingEvents.set(key, { eventName, log, handler });
+    this.metrics.eventsSeen.inc({ chain: this.config.slug, event: eventName });
+
+    this.state.updateEvent(key, {
+      status: "pending_finality",
+      nextAttemptAt: undefined,
+      chainId: this.config.chainId,
+      eventName,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+    });
+
+    await this.processPending();
+  }
+
+  // Highest block considered final: a "safe"/"finalized" tag, or head minus the confirmation depth
+  async getConfirmedBlockNumber() {
+    if (this.config.finality) {
+      const block = await this.provider.getBlock(this.config.finality);
+      return block.number;
+    }
+    const latestBlock = await this.provider.getBlockNumber();
+    return latestBlock - (this.config.confirmations || 0);
+  }
+
+  // Relay queued events that are now deep enough, dropping those whose block was reorged away
+  async processPending() {
+    if (this.pendingEvents.size === 0 || this.processingPending) return;
+    this.processingPending = true;
+
+    try {
+      const confirmedBlock = await this.getConfirmedBlockNumber();
+      const ready = [...this.pendingEvents.entries()]
+        .filter(([, event]) => event.log.blockNumber <= confirmedBlock)
+        .sort(
+          ([, a], [, b]) =>
+            a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index
+        );
+
+      for (const [key, event] of ready) {
+        // Left queued until the block is checked: if the RPC fails, or answers from an
+        // endpoint that has not seen the block yet (null), the next block retries it
+        const block = await this.provider.getBlock(event.log.blockNumber);
+        if (!block) continue;
+        this.pendingEvents.delete(key);
+        if (block.hash !== event.log.blockHash) {
+          this.inFlight.delete(key);
+          this.state.updateEvent(key, { status: "reorged" });
+          this.log.warn(
+            chalk.yellow(
+              `⚠️ ${event.eventName} in tx ${chalk.bold(
+                event.log.transactionHash
+              )} on ${chalk.bold(this.config.name)} was reorged out of block ${
+                event.log.blockNumber
+              }, dropping`
             )
           );
-          console.log(chalk.cyan(`>  Sender: ${chalk.bold(sender)}`));
-          console.log(chalk.cyan(`>  Key: ${chalk.bold(key)}`));
-          console.log(
-            chalk.cyan(`>  Value (bytes): ${chalk.bold(ethers.hexlify(value))}`)
-          );
+          continue;
+        }
 
-          const valueDecoded = ethers.toUtf8String(value);
-          console.log(
-            chalk.cyan(`>  Value (utf8): ${chalk.bold(valueDecoded)}`)
-          );
+        await this.relayEvent(key, event);
+      }
+    } catch (error) {
+      this.log.error(
+        chalk.red(`❌ Error checking pending events on ${this.config.name}:`),
+        { error }
+      );
+    } finally {
+      this.processingPending = false;
+    }
+  }
 
-          console.log(chalk.cyan(`>  Nonce: ${chalk.bold(nonce)}`));
-          console.log(chalk.cyan(`>  HashedKey: ${chalk.bold(hashedKey)}`));
-          console.log(chalk.cyan(`>  Version: ${chalk.bold(version)}`));
-          console.log(
-            chalk.cyan(`>  Block Number: ${chalk.bold(event.log.blockNumber)}`)
-          );
-          console.log(
-            chalk.cyan(`>  Block Hash: ${chalk.bold(event.log.blockHash)}`)
-          );
-          console.log(
-            chalk.cyan(
-              `>  Transaction Hash: ${chalk.bold(event.log.transactionHash)}`
+  async relayEvent(key, { eventName, log, handler }) {
+    const eventLogger = this.log.child({ eventKey: key, txHash: log.transactionHash });
+    try {
+      // Wait for the transaction receipt
+      const receipt = await log.getTransactionReceipt();
+
+      // Local log index is the position of the log within its transaction
+      const localLogIndex = receipt.logs.findIndex(
+        (receiptLog) => receiptLog.index === log.index
+      );
+
+      this.state.updateEvent(key, { status: "processing" });
+
+      const args = this.decoder.decodeLog(log).args;
+      const result = await handler({
+        eventKey: key,
+        args,
+        blockHash: log.blockHash,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        positionInBlock: receipt.index,
+        localLogIndex,
+        // Order events are correlated by order ID as well
+        logger: eventName === "ValueSet" ? eventLogger : eventLogger.child({ orderId: args.id }),
+      });
+
+      const status = result === "skipped" ? "skipped" : "relayed";
+      this.state.updateEvent(key, { status, error: undefined, nextAttemptAt: undefined });
+      this.metrics.relays.inc({ chain: this.config.slug, event: eventName, status });
+    } catch (error) {
+      this.recordFailure(key, eventName, error, eventLogger);
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async onValueSet(data) {
+    const { sender, key, value, nonce, hashedKey, version } = data.args;
+
+    // Get the block details
+    const block = await this.provider.getBlock(data.blockNumber);
+
+    data.logger.info(
+      chalk.blue(
+        `\n🔔 New ValueSet event detected on ${chalk.bold(this.config.name)}:`
+      )
+    );
+    data.logger.info(chalk.cyan(`>  Sender: ${chalk.bold(sender)}`));
+    data.logger.info(chalk.cyan(`>  Key: ${chalk.bold(key)}`));
+    data.logger.info(
+      chalk.cyan(`>  Value (bytes): ${chalk.bold(ethers.hexlify(value))}`)
+    );
+
+    const valueDecoded = ethers.toUtf8String(value);
+    data.logger.info(chalk.cyan(`>  Value (utf8): ${chalk.bold(valueDecoded)}`));
+
+    data.logger.info(chalk.cyan(`>  Nonce: ${chalk.bold(nonce)}`));
+    data.logger.info(chalk.cyan(`>  HashedKey: ${chalk.bold(hashedKey)}`));
+    data.logger.info(chalk.cyan(`>  Version: ${chalk.bold(version)}`));
+    this.logEventLocation(data);
+    if (block) {
+      data.logger.info(
+        chalk.cyan(
+          `>  Block Time: ${chalk.bold(
+            new Date(block.timestamp * 1000).toISOString()
+          )}`
+        )
+      );
+    }
+
+    return this.handleValueSetEvent({
+      ...data,
+      args: { sender, key, value, nonce, hashedKey, version },
+    });
+  }
+
+  logEventLocation(data) {
+    data.logger.info(chalk.cyan(`>  Block Number: ${chalk.bold(data.blockNumber)}`));
+    data.logger.info(chalk.cyan(`>  Block Hash: ${chalk.bold(data.blockHash)}`));
+    data.logger.info(
+      chalk.cyan(`>  Transaction Hash: ${chalk.bold(data.transactionHash)}`)
+    );
+    data.logger.info(chalk.cyan(`>  Log Index: ${chalk.bold(data.logIndex)}`));
+    data.logger.info(
+      chalk.cyan(`>  Position in Block: ${chalk.bold(data.positionInBlock)}`)
+    );
+    data.logger.info(
+      chalk.cyan(`>  Local Log Index: ${chalk.bold(data.localLogIndex)}`)
+    );
+  }
+
+  async handleOrderCreatedEvent(data) {
+    const { id, destination, amount, nonce, sourceAccount } = data.args;
+    const destinationChain = this.orderProcessor.chain;
+
+    data.logger.info(
+      chalk.blue(
+        `\n🔔 New OrderCreated event detected on ${chalk.bold(this.config.name)}:`
+      )
+    );
+    data.logger.info(chalk.cyan(`>  Order ID: ${chalk.bold(id)}`));
+    data.logger.info(chalk.cyan(`>  Destination: ${chalk.bold(destination)}`));
+    data.logger.info(chalk.cyan(`>  Amount: ${chalk.bold(amount)}`));
+    data.logger.info(chalk.cyan(`>  Nonce: ${chalk.bold(nonce)}`));
+    data.logger.info(chalk.cyan(`>  Source Account: ${chalk.bold(sourceAccount)}`));
+    this.logEventLocation(data);
+
+    if (await this.recoverOrderSubmission("openOrder", data)) return;
+
+    // Nothing to do if the order was already opened (or even completed) on the destination chain
+    const orderProcessor = this.orderProcessor.contract;
+    const alreadyHandled = (await orderProcessor.isOrderOpen(id))
+      ? "open"
+      : (await orderProcessor.isOrderCompleted(id))
+      ? "completed"
+      : undefined;
+    if (alreadyHandled) {
+      data.logger.info(
+        chalk.yellow(
+          `⏭️  Order ${chalk.bold(id)} is already ${alreadyHandled} on ${chalk.bold(
+            destinationChain.name
+          )}, skipping`
+        )
+      );
+      return "skipped";
+    }
+
+    const proof = await this.requestOrderProof(data);
+    await this.submitToOrderProcessor("openOrder", proof, "OrderOpened", data);
+  }
+
+  async handleConfirmationEvent(data) {
+    const { id, target, amount, asset, sender, confirmationId } = data.args;
+    const destinationChain = this.orderProcessor.chain;
+
+    data.logger.info(
+      chalk.blue(
+        `\n🔔 New Confirmation event detected on ${chalk.bold(this.config.name)}:`
+      )
+    );
+    data.logger.info(chalk.cyan(`>  Order ID: ${chalk.bold(id)}`));
+    data.logger.info(chalk.cyan(`>  Target: ${chalk.bold(target)}`));
+    data.logger.info(chalk.cyan(`>  Amount: ${chalk.bold(amount)}`));
+    data.logger.info(chalk.cyan(`>  Asset: ${chalk.bold(asset)}`));
+    data.logger.info(chalk.cyan(`>  Sender: ${chalk.bold(sender)}`));
+    data.logger.info(chalk.cyan(`>  Confirmation ID: ${chalk.bold(confirmationId)}`));
+    this.logEventLocation(data);
+
+    if (await this.recoverOrderSubmission("orderCompleted", data)) return;
+
+    // Only OPEN orders with a matching amount can be completed
+    const order = await this.orderProcessor.contract.getOrderInfo(id);
+    if (Number(order.state) !== ORDER_STATE.OPEN) {
+      data.logger.info(
+        chalk.yellow(
+          `⏭️  Order ${chalk.bold(id)} is ${
+            ORDER_STATE_NAMES[Number(order.state)]
+          } on ${chalk.bold(destinationChain.name)}, skipping`
+        )
+      );
+      return "skipped";
+    }
+    if (order.amount !== amount) {
+      data.logger.info(
+        chalk.yellow(
+          `⏭️  Amount mismatch for order ${chalk.bold(id)}: order has ${
+            order.amount
+          }, confirmation has ${amount}, skipping`
+        )
+      );
+      return "skipped";
+    }
+
+    const proof = await this.requestOrderProof(data);
+    await this.submitToOrderProcessor(
+      "orderCompleted",
+      proof,
+      "OrderCompleted",
+      data
+    );
+  }
+
+  // Get a proof from the shared Polymer client, recording its latency, polls and failures.
+  // Errors are tagged "proof_request" until a job is created and "proof_poll" after that.
+  async getProof(log, options) {
+    const chain = this.config.slug;
+    const endTimer = this.metrics.proofDuration.startTimer({ chain });
+    let stage = options.resumeJobId ? "proof_poll" : "proof_request";
+    try {
+      const proof = await this.polymer.getProof(log, {
+        ...options,
+        onResumeFailed: (error) => {
+          stage = "proof_request";
+          if (options.onResumeFailed) options.onResumeFailed(error);
+        },
+        onRequested: (jobId) => {
+          stage = "proof_poll";
+          options.onRequested(jobId);
+        },
+        onStatus: (update) => {
+          this.metrics.proofPollAttempts.inc({
+            chain,
+            outcome: update.error ? "error" : "ok",
+          });
+          options.onStatus(update);
+        },
+      });
+      endTimer({ cached: String(proof.cached) });
+      return proof;
+    } catch (error) {
+      this.metrics.proofFailures.inc({ chain, reason: error.name });
+      error.stage = stage;
+      throw error;
+    }
+  }
+
+  // Send a destination transaction, recording how long it took to confirm and its gas used.
+  // Errors are tagged "submit" until the transaction is broadcast and "confirm" after that.
+  async sendTransaction(sender, destinationChain, method, request, options) {
+    const labels = { chain: destinationChain.slug, method };
+    const endTimer = this.metrics.confirmationDuration.startTimer(labels);
+    let stage = "submit";
+    let receipt;
+    try {
+      receipt = await sender.send(request, {
+        ...options,
+        onSent: (hash) => {
+          stage = "confirm";
+          options.onSent(hash);
+        },
+      });
+    } catch (error) {
+      error.stage = stage;
+      throw error;
+    }
+    endTimer();
+    this.metrics.destinationGasUsed.observe(labels, Number(receipt.gasUsed));
+    return receipt;
+  }
+
+  // Receipt of a destination transaction sent by an earlier attempt if it succeeded, so a
+  // relay that failed while waiting for confirmation is not sent again
+  async findConfirmedSubmission(provider, txHash) {
+    if (!txHash) return undefined;
+    const receipt = await provider.getTransactionReceipt(txHash);
+    return receipt && receipt.status === 1 ? receipt : undefined;
+  }
+
+  // True when the OrderProcessor transaction of an earlier attempt was confirmed, which
+  // the order checks below would otherwise report as already handled and skip
+  async recoverOrderSubmission(method, data) {
+    const previous = this.state.getEvent(data.eventKey);
+    const { chain: destinationChain, provider } = this.orderProcessor;
+    const receipt = await this.findConfirmedSubmission(
+      provider,
+      previous && previous.destinationTxHash
+    );
+    if (!receipt) return false;
+
+    data.logger.info(
+      chalk.green(
+        `✅ ${method} from a previous attempt was confirmed on ${chalk.bold(
+          destinationChain.name
+        )}: ${chalk.bold(receipt.hash)}`
+      ),
+      { destinationChainId: destinationChain.chainId, destinationTxHash: receipt.hash }
+    );
+    return true;
+  }
+
+  // Request a Polymer proof for an order lifecycle event
+  async requestOrderProof(data) {
+    const { id } = data.args;
+
+    // Pick up the proof job from a previous run instead of requesting a new one
+    const previous = this.state.getEvent(data.eventKey);
+    const resumeJobId = previous && previous.jobId;
+    let jobLogger = data.logger.child({ jobId: resumeJobId });
+    const onStatus = ({ attempt, status, error }) => {
+      if (error) {
+        jobLogger.warn(
+          chalk.red(`>  Error querying proof for order ${chalk.bold(id)} (Attempt ${attempt}):`),
+          { error, attempt }
+        );
+      } else {
+        jobLogger.info(
+          `>  Proof status for order ${chalk.bold(id)}: ${status}... (Attempt ${attempt})`,
+          { attempt, proofStatus: status }
+        );
+      }
+    };
+
+    if (resumeJobId) {
+      jobLogger.info(
+        chalk.yellow(
+          `>  Resuming proof job ${chalk.bold(resumeJobId)} for order ${chalk.bold(id)}`
+        )
+      );
+    }
+
+    const proof = await this.getProof(
+      {
+        chainId: this.config.chainId,
+        blockNumber: data.blockNumber,
+        positionInBlock: data.positionInBlock,
+        localLogIndex: data.localLogIndex,
+        txHash: data.transactionHash,
+      },
+      {
+        resumeJobId,
+        onResumeFailed: (error) => {
+          jobLogger.warn(
+            chalk.yellow(
+              `>  Previous proof job unusable (${error.message}), requesting a new one`
             )
           );
-          console.log(
-            chalk.cyan(`>  Log Index: ${chalk.bold(event.log.index)}`)
-          );
-          console.log(
-            chalk.cyan(`>  Position in Block: ${chalk.bold(positionInBlock)}`)
+        },
+        onRequested: (jobId) => {
+          this.state.updateEvent(data.eventKey, {
+            status: "proof_requested",
+            jobId,
+          });
+          jobLogger = data.logger.child({ jobId });
+          jobLogger.info(
+            chalk.green(
+              `\n📤 Proof requested from Polymer for order ${chalk.bold(id)}. Job ID: ${chalk.bold(jobId)}`
+            )
           );
-          if (block) {
-            console.log(
-              chalk.cyan(
-                `>  Block Time: ${chalk.bold(
-                  new Date(block.timestamp * 1000).toISOString()
-                )}`
-              )
-            );
-          }
+        },
+        onStatus,
+      }
+    );
 
-          try {
-            await this.handleValueSetEvent({
-              args: {
-                sender,
-                key,
-                value,
-                nonce,
-                hashedKey,
-                version,
-              },
-              blockHash: event.log.blockHash,
-              blockNumber: event.log.blockNumber,
-              transactionHash: event.log.transactionHash,
-              logIndex: event.log.index,
-              positionInBlock,
-            });
-            this.processedEvents.add(eventId);
-          } catch (error) {
-            console.error(
-              chalk.red("❌ Error handling ValueSet event:"),
-              error
-            );
-          }
-        } catch (error) {
-          console.error(chalk.red("❌ Error processing event:"), error);
-        }
+    data.logger.info(
+      chalk.green(
+        `✅ ${proof.cached ? "Using cached proof" : "Proof received"} for order ${chalk.bold(id)} (job ${proof.jobId})`
+      ),
+      { jobId: proof.jobId }
+    );
+    return proof;
+  }
+
+  // A proof the destination reverts on would be used again by every retry and dead-letter
+  // replay. Callers also forget its job ID, so no retry resumes that job either.
+  discardProof(proof, log) {
+    if (this.polymer.discardProof(proof.cacheKey)) {
+      log.warn(
+        chalk.yellow(`⚠️ Removed the rejected proof of job ${proof.jobId} from the proof cache`)
+      );
+    }
+  }
+
+  // Simulate, then send an OrderProcessor call with the proof and wait for it
+  async submitToOrderProcessor(method, proof, expectedEvent, data) {
+    const { id } = data.args;
+    const { contract: orderProcessor, chain: destinationChain, sender } = this.orderProcessor;
+    const { proofHex } = proof;
+
+    // Simulate first so a revert is reported without spending gas
+    let estimate;
+    try {
+      estimate = await withStage("simulate", async () => {
+        await orderProcessor[method].staticCall(proofHex);
+        return sender.estimate(
+          {
+            to: destinationChain.orderProcessorAddress,
+            data: orderProcessor.interface.encodeFunctionData(method, [proofHex]),
+          },
+          method
+        );
+      });
+    } catch (error) {
+      if (error.code === "CALL_EXCEPTION") {
+        this.discardProof(proof, data.logger);
+        this.state.updateEvent(data.eventKey, { jobId: undefined });
       }
+      throw error;
+    }
+    data.logger.info(
+      chalk.cyan(
+        `>  Estimated gas on ${chalk.bold(destinationChain.name)}: ${chalk.bold(
+          estimate.estimatedGas.toString()
+        )}`
+      )
+    );
+
+    // Replacements of a stuck transaction update the recorded hash
+    const receipt = await this.sendTransaction(sender, destinationChain, method, estimate.request, {
+      label: `${method} ${id}`,
+      estimate,
+      contract: orderProcessor,
+      onSent: (hash) => {
+        this.state.updateEvent(data.eventKey, {
+          status: "submitted",
+          destinationChainId: destinationChain.chainId,
+          destinationTxHash: hash,
+        });
+        data.logger.info(
+          chalk.green(
+            `⏳ ${method} sent to ${chalk.bold(destinationChain.name)}: ${chalk.bold(hash)}`
+          ),
+          { destinationChainId: destinationChain.chainId, destinationTxHash: hash }
+        );
+      },
+    });
+
+    const event = receipt.logs.find(
+      (log) => log.fragment?.name === expectedEvent
     );
+    if (event) {
+      data.logger.info(
+        chalk.green(
+          `🎉 ${expectedEvent} for order ${chalk.bold(id)} on ${chalk.bold(
+            destinationChain.name
+          )}! Gas used: ${chalk.bold(receipt.gasUsed.toString())}`
+        ),
+        { destinationChainId: destinationChain.chainId, destinationTxHash: receipt.hash }
+      );
+    } else {
+      data.logger.warn(
+        chalk.yellow(
+          `⚠️ ${method} confirmed but no ${expectedEvent} event found (tx ${receipt.hash})`
+        ),
+        { destinationChainId: destinationChain.chainId, destinationTxHash: receipt.hash }
+      );
+    }
+    return receipt;
   }
 
   async handleValueSetEvent(data) {
     // Get all other chains except the source chain
-    const otherChains = Object.values(CHAINS).filter(
+    const otherChains = this.chains.filter(
       (chain) => chain.chainId.toString() !== this.config.chainId.toString()
     );
 
     if (otherChains.length === 0) {
-      console.error("No other chains configured to send proofs to");
+      data.logger.error("No other chains configured to send proofs to");
       return;
     }
 
-    // Process all chains in parallel
+    // Process all chains in parallel, remembering which ones failed and at which stage
+    const failedChains = [];
+    const failedStages = [];
     await Promise.all(
       otherChains.map(async (destinationChain) => {
+        // Skip destinations already relayed before a restart
+        const previous = this.state.getEvent(data.eventKey);
+        const destinationState =
+          previous && previous.destinations
+            ? previous.destinations[destinationChain.chainId]
+            : undefined;
+        if (destinationState && destinationState.status === "relayed") {
+          return;
+        }
+
+        let destinationLogger = data.logger.child({
+          destinationChainId: destinationChain.chainId,
+        });
         try {
-          // Get the transaction receipt to find local log index
-          const provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
-          const txReceipt = await provider.getTransactionReceipt(data.transactionHash);
-          
-          // Find the local log index of our ValueSet event
-          const valueSetEventSignature = "ValueSet(address,string,bytes,uint256,bytes32,uint256)";
-          const valueSetTopic = ethers.id(valueSetEventSignature);
-          const localLogIndex = txReceipt.logs.findIndex(
-            log => log.topics[0] === valueSetTopic
+          // Setup destination chain contract
+          const destinationProvider = this.providers.get(destinationChain.chainId);
+          const destinationWallet = this.wallet.connect(destinationProvider);
+          const destinationContract = new ethers.Contract(
+            destinationChain.contractAddress,
+            CONTRACT_ABI,
+            destinationWallet
           );
 
-          console.log(
+          // A transaction from an earlier attempt may have been mined after it failed
+          const confirmed = await this.findConfirmedSubmission(
+            destinationProvider,
+            destinationState && destinationState.destinationTxHash
+          );
+          if (confirmed) {
+            this.state.updateDestination(data.eventKey, destinationChain.chainId, {
+              status: "relayed",
+            });
+            destinationLogger.info(
+              chalk.green(
+                `✅ Transaction from a previous attempt was confirmed on ${chalk.bold(
+                  destinationChain.name
+                )}: ${chalk.bold(confirmed.hash)}`
+              ),
+              { destinationTxHash: confirmed.hash }
+            );
+            return;
+          }
+
+          // Local log index of our ValueSet event within its transaction
+          const localLogIndex = data.localLogIndex;
+
+          destinationLogger.info(
             chalk.yellow(
               `\n📤 Submitting proof request to Polymer for ${chalk.bold(
                 destinationChain.name
               )}...`
             )
           );
-          console.log(
+          destinationLogger.info(
             chalk.cyan(`>  Block Number: ${data.blockNumber}`)
           );
-          console.log(
+          destinationLogger.info(
             chalk.cyan(`>  Transaction Index: ${data.positionInBlock}`)
           );
-          console.log(
+          destinationLogger.info(
             chalk.cyan(`>  Local Log Index: ${localLogIndex}`)
           );
 
           // Request proof from Polymer API with local log index
-          const proofRequest = await axios.post(
-            POLYMER_API_URL,
-            {
-              jsonrpc: "2.0",
-              id: 1,
-              method: "log_requestProof",
-              params: [
-                this.config.chainId,
-                data.blockNumber,
-                data.positionInBlock,
-                localLogIndex  // Using local log index instead of global
-              ]
-            },
-            {
-              headers: {
-                Authorization: `Bearer ${process.env.POLYMER_API_KEY}`,
-              },
-            }
-          );
-
-          if (proofRequest.status !== 200) {
-            throw new Error(
-              `Failed to get proof from Polymer API. Status code: ${proofRequest.status}`
-            );
-          }
-
-          const jobId = proofRequest.data.result;
-
-          console.log(
-            chalk.green(
-              `✅ Proof requested for ${chalk.bold(
-                destinationChain.name
-              )}. Job ID: ${chalk.bold(jobId)}`
-            )
-          );
-
-          // Wait for the proof to be generated
-          console.log(
-            chalk.yellow(
-              `>  Waiting for proof for ${chalk.bold(
-                destinationChain.name
-              )} to be generated...`
-            )
-          );
-
-          // Check proof more frequently (500ms intervals)
-          let proofResponse;
-          let attempts = 0;
-          const maxAttempts = 10;
-          
-          while (!proofResponse?.data?.result?.proof && attempts < maxAttempts) {
-            attempts++;
-            await new Promise((resolve) => setTimeout(resolve, 500));  // Changed from 5000 to 500
-            
-            proofResponse = await axios.post(
-              POLYMER_API_URL,
+          const { jobId, proofBase64: proof, proofHex: proofInBytes, cacheKey } =
+            await this.getProof(
               {
-                jsonrpc: "2.0",
-                id: 1,
-                method: "log_queryProof",
-                params: [jobId]
+                chainId: this.config.chainId,
+                blockNumber: data.blockNumber,
+                positionInBlock: data.positionInBlock,
+                localLogIndex, // Using local log index instead of global
+                txHash: data.transactionHash,
               },
               {
-                headers: {
-                  Authorization: `Bearer ${process.env.POLYMER_API_KEY}`,
+                // Pick up the proof job of an earlier attempt
+                resumeJobId: destinationState && destinationState.jobId,
+                onResumeFailed: (error) => {
+                  destinationLogger.warn(
+                    chalk.yellow(
+                      `>  Previous proof job unusable (${error.message}), requesting a new one`
+                    )
+                  );
+                },
+                onRequested: (jobId) => {
+                  this.state.updateDestination(
+                    data.eventKey,
+                    destinationChain.chainId,
+                    { status: "proof_requested", jobId }
+                  );
+                  destinationLogger = destinationLogger.child({ jobId });
+                  destinationLogger.info(
+                    chalk.green(
+                      `✅ Proof requested for ${chalk.bold(
+                        destinationChain.name
+                      )}. Job ID: ${chalk.bold(jobId)}`
+                    )
+                  );
+                  destinationLogger.info(
+                    chalk.yellow(
+                      `>  Waiting for proof for ${chalk.bold(
+                        destinationChain.name
+                      )} to be generated...`
+                    )
+                  );
+                },
+                onStatus: ({ attempt, status, error }) => {
+                  if (error) {
+                    destinationLogger.warn(
+                      chalk.red(
+                        `>  Error querying proof for ${chalk.bold(destinationChain.name)} (Attempt ${attempt}):`
+                      ),
+                      { error, attempt }
+                    );
+                  } else {
+                    destinationLogger.info(
+                      `>  Proof status for ${chalk.bold(destinationChain.name)}: ${status}... (Attempt ${attempt})`,
+                      { attempt, proofStatus: status }
+                    );
+                  }
                 },
               }
             );
 
-            console.log(
-              `>  Proof status for ${chalk.bold(destinationChain.name)}: ${
-                proofResponse.data.result.status
-              }... (Attempt ${attempts}/${maxAttempts})`
-            );
-          }
-
-          const proof = proofResponse.data.result.proof;
-          console.log(
+          destinationLogger.info(
             chalk.green(
               `✅ Proof received for ${chalk.bold(
                 destinationChain.name
-              )}. Length: ${chalk.bold(proof.length)} bytes`
-            )
-          );
-
-          const proofInBytes = `0x${Buffer.from(proof, "base64").toString(
-            "hex"
-          )}`;
-
-          // Setup destination chain contract
-          const destinationProvider = new ethers.JsonRpcProvider(
-            destinationChain.rpcUrl
-          );
-          const destinationWallet = this.wallet.connect(destinationProvider);
-          const destinationContract = new ethers.Contract(
-            destinationChain.contractAddress,
-            CONTRACT_ABI,
-            destinationWallet
+              )} (job ${jobId}). Length: ${chalk.bold(proof.length)} bytes`
+            ),
+            { jobId }
           );
 
           // Submit proof to destination chain using new method
-          console.log(
+          destinationLogger.info(
             chalk.cyan(
               `\n📤 Submitting proof to ${chalk.bold(destinationChain.name)}...`
             )
           );
 
           // Estimate gas for new method
-          const estimatedGas = await destinationContract.setValueFromSource.estimateGas(
-            proofInBytes
-          );
+          const sender = new TransactionSender(destinationWallet, destinationChain, {
+            store: this.transactions,
+          });
+          let estimate;
+          try {
+            estimate = await withStage("simulate", () =>
+              sender.estimate(
+                {
+                  to: destinationChain.contractAddress,
+                  data: destinationContract.interface.encodeFunctionData(
+                    "setValueFromSource",
+                    [proofInBytes]
+                  ),
+                },
+                "setValueFromSource"
+              )
+            );
+          } catch (error) {
+            if (error.code === "CALL_EXCEPTION") {
+              this.discardProof({ jobId, cacheKey }, destinationLogger);
+              this.state.updateDestination(data.eventKey, destinationChain.chainId, {
+                jobId: undefined,
+              });
+            }
+            throw error;
+          }
 
-          console.log(
+          destinationLogger.info(
             chalk.cyan(
               `>  Estimated gas for ${chalk.bold(
                 destinationChain.name
-              )}: ${chalk.bold(estimatedGas.toString())}`
+              )}: ${chalk.bold(estimate.estimatedGas.toString())}`
             )
           );
 
-          const tx = await destinationContract.setValueFromSource(
-            proofInBytes,
+          // Wait for confirmation, replacing the transaction while it is stuck
+          const receipt = await this.sendTransaction(
+            sender,
+            destinationChain,
+            "setValueFromSource",
+            estimate.request,
             {
-              gasLimit: estimatedGas,
+              label: `setValueFromSource ${data.eventKey}`,
+              estimate,
+              contract: destinationContract,
+              onSent: (hash) => {
+                this.state.updateDestination(data.eventKey, destinationChain.chainId, {
+                  status: "submitted",
+                  destinationTxHash: hash,
+                });
+                destinationLogger.info(
+                  chalk.green(
+                    `⏳ Transaction sent to ${chalk.bold(
+                      destinationChain.name
+                    )}: ${chalk.bold(hash)}`
+                  ),
+                  { destinationTxHash: hash }
+                );
+              },
             }
           );
-
-          console.log(
-            chalk.green(
-              `⏳ Transaction sent to ${chalk.bold(
-                destinationChain.name
-              )}: ${chalk.bold(tx.hash)}`
-            )
-          );
-
-          // After transaction confirmation
-          const receipt = await tx.wait();
           
           // Find the ValueUpdated event
           const valueUpdatedEvent = receipt.logs.find(
@@ -340,69 +1279,93 @@ class ChainListener {
 
           if (valueUpdatedEvent) {
             const { hashedKey, value: eventValue, version } = valueUpdatedEvent.args;
-            console.log(chalk.blue("\n📝 ValueUpdated Event Details:"));
-            console.log(chalk.cyan(`>  HashedKey: ${hashedKey}`));
-            console.log(chalk.cyan(`>  Value: ${ethers.toUtf8String(eventValue)}`));
-            console.log(chalk.cyan(`>  Version: ${version}`));
+            destinationLogger.info(chalk.blue("\n📝 ValueUpdated Event Details:"));
+            destinationLogger.info(chalk.cyan(`>  HashedKey: ${hashedKey}`));
+            destinationLogger.info(chalk.cyan(`>  Value: ${ethers.toUtf8String(eventValue)}`));
+            destinationLogger.info(chalk.cyan(`>  Version: ${version}`));
 
             // Try to get value with both parameters
             try {
-                console.log(chalk.yellow("\n🔍 Attempting getValue:"));
-                console.log(chalk.cyan(">  Sender:"), data.args.sender);
-                console.log(chalk.cyan(">  Key:"), data.args.key);
+                destinationLogger.info(chalk.yellow("\n🔍 Attempting getValue:"));
+                destinationLogger.info(`${chalk.cyan(">  Sender:")} ${data.args.sender}`);
+                destinationLogger.info(`${chalk.cyan(">  Key:")} ${data.args.key}`);
                 const value = await destinationContract.getValue(data.args.sender, data.args.key);
-                console.log(chalk.cyan(">  Retrieved value:"), ethers.toUtf8String(value));
+                destinationLogger.info(`${chalk.cyan(">  Retrieved value:")} ${ethers.toUtf8String(value)}`);
             } catch (error) {
-                console.log(chalk.red(">  getValue failed with error:"), error.message);
+                destinationLogger.warn(chalk.red(">  getValue failed with error:"), { error });
             }
           }
 
-          console.log(
+          this.state.updateDestination(data.eventKey, destinationChain.chainId, {
+            status: "relayed",
+          });
+
+          destinationLogger.info(
             chalk.green(
               `✅ Transaction confirmed on ${chalk.bold(
                 destinationChain.name
               )}! Gas used: ${chalk.bold(receipt.gasUsed.toString())}`
-            )
+            ),
+            { destinationTxHash: receipt.hash }
           );
 
         } catch (error) {
-          console.error(
+          failedChains.push(destinationChain.name);
+          failedStages.push(error.stage || "prepare");
+          this.state.updateDestination(data.eventKey, destinationChain.chainId, {
+            status: "failed",
+            stage: error.stage || "prepare",
+            error: error.message,
+          });
+          destinationLogger.error(
             chalk.red(
               `❌ Error processing chain ${chalk.bold(destinationChain.name)}:`
             ),
-            error
+            { error }
           );
         }
       })
     );
+
+    if (failedChains.length > 0) {
+      const error = new Error(`Relay failed for ${failedChains.join(", ")}`);
+      error.stages = failedStages;
+      throw error;
+    }
   }
 }
 
 async function main() {
+  logger.configure({ format: getFlag("log-format"), level: getFlag("log-level") });
+
   // Validate environment variables
-  const requiredEnvVars = [
-    "PRIVATE_KEY",
-    ...activatedChains.map(
-      (chainKey) =>
-        `${chainKey.toUpperCase().replace("-", "_")}_CONTRACT_ADDRESS`
-    ),
-    ...activatedChains.map(
-      (chainKey) => `${chainKey.toUpperCase().replace("-", "_")}_RPC`
-    ),
-  ];
-
-  for (const envVar of requiredEnvVars) {
+  for (const envVar of ["PRIVATE_KEY", "POLYMER_API_KEY"]) {
     if (!process.env[envVar]) {
       throw new Error(`Missing environment variable: ${envVar}`);
     }
   }
 
-  console.log(chalk.blue("🔄 Initializing chain listeners..."));
-  console.log(chalk.cyan(`>  Watching for events...`));
+  // Source chains to listen on, from the chain registry
+  const chains = getActivatedChains();
+  if (chains.length === 0) {
+    throw new Error(
+      "No chains are activated. Please set the ACTIVATED_CHAINS environment variable."
+    );
+  }
+  for (const chain of chains) {
+    if (!chain.contractAddress) {
+      throw new Error(
+        `Missing environment variable: ${chain.envPrefix}_CONTRACT_ADDRESS`
+      );
+    }
+  }
+
+  logger.info(chalk.blue("🔄 Initializing chain listeners..."));
+  logger.info(chalk.cyan(`>  Watching for events...`));
 
   // Create wallet from private key
   const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
-  console.log(
+  logger.info(
     chalk.cyan(
       `>  Using wallet address (Pay for cross-chain gas): ${chalk.bold(
         wallet.address
@@ -410,29 +1373,162 @@ async function main() {
     )
   );
 
+  // Shared Polymer proof client for all listeners
+  const polymer = new PolymerClient({ cache: createProofCache() });
+  logger.info(chalk.cyan(`>  Polymer API: ${chalk.bold(polymer.apiUrl)}`));
+
+  const modes = getModes();
+  logger.info(chalk.cyan(`>  Relay modes: ${chalk.bold(modes.join(", "))}`));
+
+  // Every transaction sent, with its replacements (shared with the CLI's tx command)
+  const transactions = new TransactionStore();
+  logger.info(chalk.cyan(`>  Transaction log: ${chalk.bold(transactions.filePath)}`));
+
+  // Counters and histograms for every listener, served on /metrics by the admin server
+  const metrics = createRelayerMetrics();
+
+  // Multi-endpoint RPC providers for the source chains and the OrderProcessor chain
+  const usesOrderProcessor = modes.includes("orders") || modes.includes("confirmations");
+  const orderProcessorChain = usesOrderProcessor ? getOrderProcessorChain() : undefined;
+  const providers = createProviders(
+    orderProcessorChain ? [...chains, orderProcessorChain] : chains,
+    metrics
+  );
+  for (const provider of providers.values()) {
+    logger.info(
+      chalk.cyan(
+        `>  RPC endpoints on ${provider.chainName}: ${chalk.bold(
+          provider.endpoints.map((endpoint) => endpoint.name).join(", ")
+        )} (quorum ${provider.quorum})`
+      )
+    );
+  }
+
+  // OrderProcessor on the destination chain, used by the order modes
+  let orderProcessor;
+  if (usesOrderProcessor) {
+    const destinationProvider = providers.get(orderProcessorChain.chainId);
+    const destinationWallet = wallet.connect(destinationProvider);
+    orderProcessor = {
+      chain: orderProcessorChain,
+      provider: destinationProvider,
+      contract: new ethers.Contract(
+        orderProcessorChain.orderProcessorAddress,
+        ORDER_PROCESSOR_ABI,
+        destinationWallet
+      ),
+      sender: new TransactionSender(destinationWallet, orderProcessorChain, {
+        store: transactions,
+      }),
+    };
+    logger.info(
+      chalk.cyan(
+        `>  OrderProcessor on ${chalk.bold(
+          orderProcessorChain.name
+        )}: ${chalk.bold(orderProcessorChain.orderProcessorAddress)}`
+      )
+    );
+  }
+
+  // Durable checkpoints and relay status, reloaded on every start
+  const state = new RelayerStateStore().load();
+  logger.info(chalk.cyan(`>  State file: ${chalk.bold(state.filePath)}`));
+
+  // Backoff and attempts per stage for failed relays
+  const retryPolicy = getRetryPolicy();
+
+  // Backfill mode: scan the requested range on every chain, relay what was missed and exit
+  const fromBlock = getBlockFlag("from-block");
+  const toBlock = getBlockFlag("to-block");
+  if (fromBlock !== undefined) {
+    if (toBlock !== undefined && toBlock < fromBlock) {
+      throw new Error("--to-block must not be lower than --from-block");
+    }
+    for (const chainConfig of chains) {
+      const listener = new ChainListener(chainConfig, wallet, {
+        chains,
+        providers,
+        polymer,
+        orderProcessor,
+        modes,
+        state,
+        transactions,
+        metrics,
+        retryPolicy,
+      });
+      await listener.backfill(fromBlock, toBlock);
+    }
+    logger.info(chalk.green("\n✅ Backfill complete"));
+    return;
+  }
+
   // Create listeners for each chain
-  const listeners = [];
-  for (const [chainKey, chainConfig] of Object.entries(CHAINS)) {
-    console.log(
+  const listeners = chains.map(
+    (chainConfig) =>
+      new ChainListener(chainConfig, wallet, {
+        chains,
+        providers,
+        polymer,
+        orderProcessor,
+        modes,
+        state,
+        transactions,
+        metrics,
+        retryPolicy,
+      })
+  );
+
+  // Started before the listeners so /readyz reports them as not ready while they catch up
+  const httpPort = getHttpPort();
+  if (httpPort !== undefined) {
+    const host = process.env.RELAYER_HTTP_HOST || DEFAULT_HTTP_HOST;
+    const server = createAdminServer({
+      listeners,
+      state,
+      metrics,
+      token: process.env.RELAYER_ADMIN_TOKEN,
+    });
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(httpPort, host, resolve);
+    });
+    logger.info(
+      chalk.cyan(`>  Admin API and metrics: ${chalk.bold(`http://${host}:${server.address().port}`)}`)
+    );
+  }
+
+  for (const listener of listeners) {
+    logger.info(
       chalk.yellow(
-        `\n🎯 Setting up listener for ${chalk.bold(chainConfig.name)}...`
+        `\n🎯 Setting up listener for ${chalk.bold(listener.config.name)}...`
       )
     );
-    const listener = new ChainListener(chainConfig, wallet);
-    listeners.push(listener);
     await listener.start();
   }
 
-  console.log(chalk.green("\n✅ All listeners started successfully"));
-  console.log(chalk.blue("👀 Watching for events..."));
+  logger.info(chalk.green("\n✅ All listeners started successfully"));
+  logger.info(chalk.blue("👀 Watching for events..."));
 }
 
-// Handle errors
-process.on("unhandledRejection", (error) => {
-  console.error(chalk.red("❌ Unhandled promise rejection:"), error);
-});
+// Execute if run directly
+if (require.main === module) {
+  // Handle errors
+  process.on("unhandledRejection", (error) => {
+    logger.error(chalk.red("❌ Unhandled promise rejection:"), { error });
+  });
+
+  main()
+    .then(() => {
+      // Backfill runs are one-shot; listeners keep the process alive otherwise
+      if (getFlag("from-block") !== undefined) process.exit(0);
+    })
+    .catch((error) => {
+      logger.error(chalk.red("❌ Error:"), { error });
+      process.exit(1);
+    });
+}
 
-main().catch((error) => {
-  console.error(chalk.red("❌ Error:"), error);
-  process.exit(1);
-});
+// Export for tests
+module.exports = {
+  ChainListener,
+};
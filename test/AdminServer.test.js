@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createAdminServer, HttpError } = require("../lib/adminServer");
+const { RelayerStateStore, eventKey } = require("../lib/relayerState");
+const { createRelayerMetrics } = require("../lib/metrics");
+
+const TOKEN = "admin-token";
+const TX_HASH = "0x" + "ab".repeat(32);
+
+// Listener stand-in for one chain: what the admin API reads from and calls on a ChainListener
+function fakeListener(chainId, state) {
+  const listener = {
+    config: { chainId },
+    inFlight: new Map(),
+    pendingEvents: new Map(),
+    retried: [],
+    ready: true,
+    retry: async (key) => {
+      if (!state.getEvent(key)) throw new HttpError(404, `Unknown event ${key}`);
+      listener.retried.push(key);
+    },
+    skip: (key) => {
+      if (state.isFinal(key)) throw new HttpError(409, `${key} is already relayed`);
+      return state.updateEvent(key, { status: "skipped", skippedManually: true });
+    },
+    getHealth: async () => ({ chainId, ready: listener.ready }),
+  };
+  return listener;
+}
+
+describe("adminServer", function () {
+  let dir;
+  let state;
+  let listener;
+  let server;
+  let url;
+
+  // Send a request to the admin API and return { status, body } with the body parsed
+  async function request(method, pathname, { token } = {}) {
+    const response = await fetch(`${url}${pathname}`, {
+      method,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    const text = await response.text();
+    const json = (response.headers.get("content-type") || "").startsWith("application/json");
+    return { status: response.status, body: json ? JSON.parse(text) : text };
+  }
+
+  function key(logIndex, chainId = 84532) {
+    return eventKey(chainId, TX_HASH, logIndex);
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-server-"));
+    state = new RelayerStateStore(path.join(dir, "state.json"));
+    listener = fakeListener(84532, state);
+    server = createAdminServer({
+      listeners: [listener],
+      state,
+      metrics: createRelayerMetrics(),
+      token: TOKEN,
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("GET", function () {
+    it("reports health and readiness", async function () {
+      expect((await request("GET", "/healthz")).body.status).to.equal("ok");
+      expect(await request("GET", "/readyz")).to.deep.equal({
+        status: 200,
+        body: { ready: true, chains: [{ chainId: 84532, ready: true }] },
+      });
+
+      listener.ready = false;
+      expect((await request("GET", "/readyz")).status).to.equal(503);
+    });
+
+    it("serves Prometheus metrics", async function () {
+      const { status, body } = await request("GET", "/metrics");
+      expect(status).to.equal(200);
+      expect(body).to.include("# TYPE");
+    });
+
+    it("lists in-flight and failed relays", async function () {
+      state.updateEvent(key(0), { status: "pending_finality", jobId: 3 });
+      state.updateEvent(key(1), { status: "failed", error: "reverted" });
+      listener.inFlight.set(key(0), 12);
+      listener.pendingEvents.set(key(0), {});
+
+      const { body } = await request("GET", "/relays");
+      expect(body.inFlight).to.have.lengthOf(1);
+      expect(body.inFlight[0]).to.include({ key: key(0), jobId: 3, waitingForFinality: true });
+      expect(body.failed.map((event) => event.key)).to.deep.equal([key(1)]);
+    });
+
+    it("shows one event, or 404 for an unknown one", async function () {
+      state.updateEvent(key(0), { status: "relayed" });
+      expect((await request("GET", `/relays/${key(0)}`)).body).to.include({
+        key: key(0),
+        status: "relayed",
+      });
+      expect(await request("GET", `/relays/${key(1)}`)).to.deep.equal({
+        status: 404,
+        body: { error: `Unknown event ${key(1)}` },
+      });
+    });
+
+    it("answers 404 for unknown paths and 405 for other methods", async function () {
+      expect((await request("GET", "/nope")).status).to.equal(404);
+      expect(await request("DELETE", `/relays/${key(0)}`, { token: TOKEN })).to.deep.equal({
+        status: 405,
+        body: { error: "Method not allowed" },
+      });
+    });
+  });
+
+  describe("POST", function () {
+    beforeEach(function () {
+      state.updateEvent(key(0), { status: "failed" });
+    });
+
+    it("needs the bearer token", async function () {
+      for (const token of [undefined, "wrong"]) {
+        expect(await request("POST", `/relays/${key(0)}/retry`, { token })).to.deep.equal({
+          status: 401,
+          body: { error: "Unauthorized" },
+        });
+      }
+      expect(listener.retried).to.deep.equal([]);
+    });
+
+    it("retries a relay", async function () {
+      expect(await request("POST", `/relays/${key(0)}/retry`, { token: TOKEN })).to.deep.equal({
+        status: 202,
+        body: { key: key(0), status: "queued" },
+      });
+      expect(listener.retried).to.deep.equal([key(0)]);
+    });
+
+    it("skips a relay, and passes on the listener's refusals", async function () {
+      const skipped = await request("POST", `/relays/${key(0)}/skip`, { token: TOKEN });
+      expect(skipped.status).to.equal(200);
+      expect(skipped.body).to.include({ key: key(0), status: "skipped", skippedManually: true });
+
+      const again = await request("POST", `/relays/${key(0)}/skip`, { token: TOKEN });
+      expect(again).to.deep.equal({ status: 409, body: { error: `${key(0)} is already relayed` } });
+    });
+
+    it("answers 404 for chains it does not listen on and unknown actions", async function () {
+      expect(await request("POST", `/relays/${key(0, 1)}/retry`, { token: TOKEN })).to.deep.equal({
+        status: 404,
+        body: { error: "Not listening on chain 1" },
+      });
+      expect((await request("POST", `/relays/${key(0)}/relay`, { token: TOKEN })).status).to.equal(
+        404
+      );
+    });
+  });
+
+  describe("dead letters", function () {
+    beforeEach(function () {
+      state.updateEvent(key(0), { status: "dead_letter", stage: "simulate" });
+      state.updateEvent(key(1), { status: "retry_scheduled" });
+      state.updateEvent(key(2, 1), { status: "dead_letter", stage: "submit" });
+    });
+
+    it("lists dead letters and relays waiting for a retry", async function () {
+      const deadLetters = await request("GET", "/dead-letters");
+      expect(deadLetters.body.map((event) => event.key)).to.deep.equal([key(0), key(2, 1)]);
+
+      const { body } = await request("GET", "/relays");
+      expect(body.retrying.map((event) => event.key)).to.deep.equal([key(1)]);
+      expect(body.deadLetters.map((event) => event.key)).to.deep.equal([key(0), key(2, 1)]);
+    });
+
+    it("replays every dead letter, reporting those it cannot", async function () {
+      expect((await request("POST", "/dead-letters/replay")).status).to.equal(401);
+
+      const { status, body } = await request("POST", "/dead-letters/replay", { token: TOKEN });
+      expect(status).to.equal(202);
+      expect(body).to.deep.equal({
+        replayed: [key(0)],
+        errors: [{ key: key(2, 1), error: "Not listening on chain 1" }],
+      });
+      expect(listener.retried).to.deep.equal([key(0)]);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ChainListener } = require("../scripts/relayerV2");
+const { RelayerStateStore } = require("../lib/relayerState");
+const { createRelayerMetrics } = require("../lib/metrics");
+const { PolymerClient } = require("../lib/polymerClient");
+const { ProofCache } = require("../lib/proofCache");
+
+const CHAIN = {
+  slug: "localhost",
+  name: "Localhost",
+  chainId: 31337,
+  contractAddress: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0",
+  confirmations: 0,
+};
+
+const LOG = {
+  blockNumber: 10,
+  blockHash: ethers.id("block-10"),
+  transactionHash: ethers.id("tx-1"),
+  index: 0,
+};
+
+describe("ChainListener", function () {
+  let stateDir;
+  let provider;
+  let listener;
+  let relayed;
+  let errors;
+
+  beforeEach(function () {
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-state-"));
+    provider = {
+      getBlockNumber: async () => LOG.blockNumber,
+      getBlock: async () => ({ hash: LOG.blockHash }),
+    };
+    listener = new ChainListener(CHAIN, new ethers.Wallet(ethers.id("key")), {
+      chains: [CHAIN],
+      providers: new Map([[CHAIN.chainId, provider]]),
+      modes: ["orders"],
+      state: new RelayerStateStore(path.join(stateDir, "state.json")),
+      metrics: createRelayerMetrics(),
+    });
+
+    relayed = [];
+    errors = [];
+    listener.relayEvent = async (key) => {
+      relayed.push(key);
+      listener.inFlight.delete(key);
+    };
+    listener.log = { info() {}, warn() {}, debug() {}, error: (message) => errors.push(message) };
+  });
+
+  afterEach(function () {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  describe("processPending", function () {
+    it("keeps an event queued when its block cannot be fetched, and relays it on the next tick", async function () {
+      const getBlock = provider.getBlock;
+      provider.getBlock = async () => {
+        provider.getBlock = getBlock;
+        throw new Error("connection reset");
+      };
+
+      await listener.processEvent("OrderCreated", LOG, async () => {});
+      expect(relayed).to.deep.equal([]);
+      expect(errors).to.have.lengthOf(1);
+      expect(listener.pendingEvents.size).to.equal(1);
+
+      await listener.processPending();
+      expect(relayed).to.deep.equal([`31337:${LOG.transactionHash}:0`]);
+      expect(listener.pendingEvents.size).to.equal(0);
+      expect(listener.inFlight.size).to.equal(0);
+    });
+
+    it("keeps an event queued while the RPC does not know its block yet", async function () {
+      const getBlock = provider.getBlock;
+      provider.getBlock = async () => null;
+
+      await listener.processEvent("OrderCreated", LOG, async () => {});
+      const key = `31337:${LOG.transactionHash}:0`;
+      expect(relayed).to.deep.equal([]);
+      expect(listener.pendingEvents.has(key)).to.equal(true);
+      expect(listener.state.getEvent(key).status).to.not.equal("reorged");
+
+      provider.getBlock = getBlock;
+      await listener.processPending();
+      expect(relayed).to.deep.equal([key]);
+      expect(listener.pendingEvents.size).to.equal(0);
+    });
+
+    it("drops an event whose block was reorged away", async function () {
+      provider.getBlock = async () => ({ hash: ethers.id("other-block") });
+
+      await listener.processEvent("OrderCreated", LOG, async () => {});
+      const key = `31337:${LOG.transactionHash}:0`;
+      expect(relayed).to.deep.equal([]);
+      expect(listener.pendingEvents.size).to.equal(0);
+      expect(listener.inFlight.has(key)).to.equal(false);
+      expect(listener.state.getEvent(key).status).to.equal("reorged");
+    });
+  });
+
+  describe("catchUp", function () {
+    const orderCreated = () => listener.contract.interface.getEvent("OrderCreated").topicHash;
+    let ranges;
+
+    // Head at block 20; order logs the RPC returns for any range: one in block 12, one in block 15
+    beforeEach(function () {
+      ranges = [];
+      provider.getBlockNumber = async () => 20;
+      provider.getLogs = async ({ fromBlock, toBlock }) => {
+        ranges.push([fromBlock, toBlock]);
+        return [12, 15].map((blockNumber) => ({
+          ...LOG,
+          blockNumber,
+          transactionHash: ethers.id(`tx-${blockNumber}`),
+          topics: [orderCreated()],
+        }));
+      };
+    });
+
+    it("relays the events not relayed yet and moves the checkpoint to the end of the range", async function () {
+      listener.state.setLastProcessedBlock(CHAIN.chainId, 10);
+      listener.state.updateEvent(`31337:${ethers.id("tx-12")}:0`, { status: "relayed" });
+
+      await listener.catchUp(11, 20, listener.getHandlers());
+      expect(ranges).to.deep.equal([[11, 20]]);
+      expect(relayed).to.deep.equal([`31337:${ethers.id("tx-15")}:0`]);
+      expect(listener.state.getLastProcessedBlock(CHAIN.chainId)).to.equal(20);
+    });
+
+    it("keeps the checkpoint below an event still being relayed", async function () {
+      listener.relayEvent = async (key) => relayed.push(key);
+
+      await listener.catchUp(11, 20, listener.getHandlers());
+      expect(relayed).to.have.lengthOf(2);
+      expect(listener.state.getLastProcessedBlock(CHAIN.chainId)).to.equal(11);
+    });
+
+    it("backfills up to the last final block without moving the checkpoint", async function () {
+      listener.config = { ...CHAIN, confirmations: 2 };
+      listener.state.setLastProcessedBlock(CHAIN.chainId, 10);
+
+      await listener.backfill(5, 100);
+      expect(ranges).to.deep.equal([[5, 18]]);
+      expect(relayed).to.have.lengthOf(2);
+      expect(listener.state.getLastProcessedBlock(CHAIN.chainId)).to.equal(10);
+    });
+  });
+
+  describe("submitToOrderProcessor", function () {
+    const key = `31337:${LOG.transactionHash}:0`;
+    let cache;
+    let proof;
+    let data;
+
+    beforeEach(function () {
+      cache = new ProofCache(path.join(stateDir, "proofs"));
+      listener.polymer = new PolymerClient({ apiUrl: "http://127.0.0.1:1", apiKey: "key", cache });
+      const entry = cache.put(
+        { chainId: 31337, blockNumber: LOG.blockNumber, positionInBlock: 0, localLogIndex: 0 },
+        listener.polymer.apiUrl,
+        { jobId: 5, proofBase64: "AQ==", proofHex: "0x01" }
+      );
+      proof = { jobId: 5, proofHex: "0x01", cacheKey: entry.key };
+      listener.state.updateEvent(key, { status: "processing", jobId: 5 });
+      data = { args: { id: ethers.id("order-1") }, eventKey: key, logger: listener.log };
+    });
+
+    function simulationFailsWith(error) {
+      listener.orderProcessor = {
+        chain: { name: "t3rn", chainId: 334 },
+        contract: {
+          openOrder: {
+            staticCall: async () => {
+              throw error;
+            },
+          },
+        },
+      };
+      return listener
+        .submitToOrderProcessor("openOrder", proof, "OrderOpened", data)
+        .catch((caught) => caught);
+    }
+
+    it("drops a cached proof the OrderProcessor reverts on, and its job ID", async function () {
+      const error = await simulationFailsWith(
+        ethers.makeError("execution reverted", "CALL_EXCEPTION")
+      );
+      expect(error.stage).to.equal("simulate");
+      expect(cache.getByKey(proof.cacheKey)).to.equal(undefined);
+      expect(listener.state.getEvent(key).jobId).to.equal(undefined);
+    });
+
+    it("keeps the proof when the simulation fails for another reason", async function () {
+      const error = await simulationFailsWith(new Error("connection reset"));
+      expect(error.stage).to.equal("simulate");
+      expect(cache.getByKey(proof.cacheKey).jobId).to.equal(5);
+      expect(listener.state.getEvent(key).jobId).to.equal(5);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { DeploymentStore, checkDeployment } = require("../lib/deployments");
+const { getChain } = require("../config/chains");
+const { logger } = require("../lib/logger");
+
+const DEPLOYED = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const PROVER = "0x03Fb5bFA4EB2Cba072A477A372bB87880A60fC96";
+const ENV_NAMES = ["DEPLOYMENTS_DIR", "BASE_SEPOLIA_ORDER_PROCESSOR_ADDRESS"];
+
+describe("deployments", function () {
+  let dir;
+  let saved;
+
+  function record(overrides = {}) {
+    return {
+      address: DEPLOYED,
+      txHash: ethers.id("deploy"),
+      blockNumber: 12,
+      deployer: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+      constructorArgs: [PROVER],
+      ...overrides,
+    };
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    saved = Object.fromEntries(ENV_NAMES.map((name) => [name, process.env[name]]));
+    process.env.DEPLOYMENTS_DIR = dir;
+    delete process.env.BASE_SEPOLIA_ORDER_PROCESSOR_ADDRESS;
+  });
+
+  afterEach(function () {
+    for (const name of ENV_NAMES) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("DeploymentStore", function () {
+    it("records one entry per contract in the network's manifest", function () {
+      const store = new DeploymentStore();
+      expect(store.load("baseSepolia")).to.equal(undefined);
+
+      store.record("baseSepolia", 84532, "OrderProcessor", record({ address: PROVER }));
+      store.record("baseSepolia", 84532, "OrderProcessor", record());
+
+      const manifest = JSON.parse(fs.readFileSync(path.join(dir, "baseSepolia.json"), "utf8"));
+      expect(manifest).to.include({ version: 1, network: "baseSepolia", chainId: 84532 });
+      expect(Object.keys(manifest.contracts)).to.deep.equal(["OrderProcessor"]);
+      expect(store.get("baseSepolia", "OrderProcessor")).to.include({ address: DEPLOYED });
+      expect(store.get("baseSepolia", "OrderProcessor").deployedAt).to.be.a("string");
+    });
+
+    it("refuses a manifest of another chain or version", function () {
+      const store = new DeploymentStore();
+      store.record("baseSepolia", 84532, "OrderProcessor", record());
+      expect(() => store.record("baseSepolia", 1, "OrderProcessor", record())).to.throw(
+        `${store.filePath("baseSepolia")} is for chain 84532, not 1`
+      );
+
+      fs.writeFileSync(store.filePath("t3rn"), JSON.stringify({ version: 2, contracts: {} }));
+      expect(() => store.load("t3rn")).to.throw("Unsupported deployment manifest version 2");
+    });
+  });
+
+  describe("chain registry", function () {
+    it("uses the OrderProcessor recorded in the manifest", function () {
+      new DeploymentStore().record("baseSepolia", 84532, "OrderProcessor", record());
+      expect(getChain(84532).orderProcessorAddress).to.equal(DEPLOYED);
+    });
+
+    it("uses <PREFIX>_ORDER_PROCESSOR_ADDRESS for networks without a manifest record", function () {
+      process.env.BASE_SEPOLIA_ORDER_PROCESSOR_ADDRESS = PROVER;
+      expect(getChain(84532).orderProcessorAddress).to.equal(PROVER);
+    });
+
+    it("prefers the manifest over a stale address in .env, with a warning", function () {
+      const warnings = [];
+      const warn = logger.warn;
+      logger.warn = (message) => warnings.push(message);
+      try {
+        new DeploymentStore().record("baseSepolia", 84532, "OrderProcessor", record());
+        process.env.BASE_SEPOLIA_ORDER_PROCESSOR_ADDRESS = PROVER;
+
+        expect(getChain(84532).orderProcessorAddress).to.equal(DEPLOYED);
+        expect(getChain(84532).orderProcessorAddress).to.equal(DEPLOYED);
+      } finally {
+        logger.warn = warn;
+      }
+      expect(warnings).to.have.lengthOf(1);
+      expect(warnings[0]).to.include(`Ignoring BASE_SEPOLIA_ORDER_PROCESSOR_ADDRESS=${PROVER}`);
+    });
+  });
+
+  describe("checkDeployment", function () {
+    const BYTECODE_HASH = ethers.id("creation bytecode");
+    const CODE = "0x6080604052";
+    const provider = { getCode: async (address) => (address === DEPLOYED ? CODE : "0x") };
+    const current = { bytecodeHash: BYTECODE_HASH, constructorArgs: [PROVER.toLowerCase()] };
+
+    function deployed(overrides) {
+      return record({
+        bytecodeHash: BYTECODE_HASH,
+        deployedBytecodeHash: ethers.keccak256(CODE),
+        ...overrides,
+      });
+    }
+
+    it("is current when the bytecode, args and code on chain all match", async function () {
+      expect(await checkDeployment(deployed(), provider, current)).to.deep.equal({
+        current: true,
+        reason: "matching bytecode on chain",
+      });
+    });
+
+    it("redeploys what was never deployed or has changed since", async function () {
+      const reasons = [
+        await checkDeployment(undefined, provider, current),
+        await checkDeployment(deployed({ bytecodeHash: ethers.id("older build") }), provider, current),
+        await checkDeployment(deployed({ constructorArgs: [DEPLOYED] }), provider, current),
+        await checkDeployment(deployed({ address: PROVER }), provider, current),
+        await checkDeployment(
+          deployed({ deployedBytecodeHash: ethers.id("other build") }),
+          provider,
+          current
+        ),
+      ];
+      expect(reasons).to.deep.equal([
+        { current: false, reason: "not deployed" },
+        { current: false, reason: "bytecode changed since the recorded deployment" },
+        { current: false, reason: "constructor args changed" },
+        { current: false, reason: `no code at ${PROVER}` },
+        { current: false, reason: `code at ${DEPLOYED} does not match the record` },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  EventDecoder,
+  SOURCE_EVENTS_ABI,
+  decodeEvent,
+  splitTopics,
+} = require("../lib/eventDecoder");
+
+const iface = new ethers.Interface(SOURCE_EVENTS_ABI);
+
+const ORDER_ID = ethers.id("order-1");
+const SOURCE_ACCOUNT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const REWARD_ASSET = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+function orderCreatedLog() {
+  return iface.encodeEventLog("OrderCreated", [
+    ORDER_ID,
+    "0x33333333",
+    1,
+    ethers.zeroPadValue(SOURCE_ACCOUNT, 32),
+    ethers.parseEther("1"),
+    REWARD_ASSET,
+    ethers.parseEther("0.1"),
+    ethers.parseEther("0.05"),
+    7,
+    SOURCE_ACCOUNT,
+    1700000000,
+  ]);
+}
+
+describe("EventDecoder", function () {
+  describe("splitTopics", function () {
+    it("splits concatenated topics into 32-byte topics", function () {
+      const { topics } = orderCreatedLog();
+      expect(splitTopics(ethers.concat(topics))).to.deep.equal(topics);
+    });
+
+    it("rejects topics that are not a multiple of 32 bytes", function () {
+      expect(() => splitTopics("0x1234")).to.throw("multiple of 32 bytes");
+    });
+  });
+
+  describe("decode", function () {
+    it("decodes validateEvent output with concatenated topics", function () {
+      const { topics, data } = orderCreatedLog();
+      const event = new EventDecoder().decode({
+        topics: ethers.concat(topics),
+        unindexedData: data,
+      });
+
+      expect(event.name).to.equal("OrderCreated");
+      expect(event.topics).to.deep.equal(topics);
+      expect(event.args.id).to.equal(ORDER_ID);
+      expect(event.args.destination).to.equal("0x33333333");
+      expect(event.args.amount).to.equal(ethers.parseEther("1"));
+      expect(event.args.nonce).to.equal(7n);
+      expect(event.args.sourceAccount).to.equal(SOURCE_ACCOUNT);
+      expect(event.args.rewardAsset).to.equal(REWARD_ASSET);
+    });
+
+    it("decodes ethers logs", function () {
+      const log = orderCreatedLog();
+      expect(new EventDecoder().decodeLog(log).args.id).to.equal(ORDER_ID);
+    });
+
+    it("decodes ValueSet events", function () {
+      const { topics, data } = iface.encodeEventLog("ValueSet", [
+        SOURCE_ACCOUNT,
+        "key",
+        "0x1234",
+        1,
+        ethers.id("key"),
+        2,
+      ]);
+      const event = new EventDecoder().decode({ topics, unindexedData: data });
+      expect(event.args.sender).to.equal(SOURCE_ACCOUNT);
+      expect(event.args.key).to.equal("key");
+      expect(event.args.value).to.equal("0x1234");
+      expect(event.args.hashedKey).to.equal(ethers.id("key"));
+      expect(event.args.version).to.equal(2n);
+    });
+
+    it("rejects events that are not registered", function () {
+      const { topics, data } = orderCreatedLog();
+      const decoder = new EventDecoder([SOURCE_EVENTS_ABI[0]]);
+      expect(decoder.isRegistered(topics)).to.equal(false);
+      expect(() => decoder.decode({ topics, unindexedData: data })).to.throw(
+        "No event registered"
+      );
+    });
+
+    it("ignores non-event entries of a registered contract ABI", function () {
+      const decoder = new EventDecoder([
+        ...SOURCE_EVENTS_ABI,
+        "function openOrder(bytes calldata proof) external",
+      ]);
+      expect(decoder.events.size).to.equal(SOURCE_EVENTS_ABI.length);
+    });
+  });
+
+  describe("decodeEvent", function () {
+    it("returns indexed dynamic values as their hash", function () {
+      const fragment = "event Tagged(string indexed tag, uint256 value)";
+      const { topics, data } = new ethers.Interface([fragment]).encodeEventLog("Tagged", [
+        "urgent",
+        5,
+      ]);
+      const event = decodeEvent(fragment, topics, data);
+      expect(event.args.tag).to.equal(ethers.id("urgent"));
+      expect(event.args.value).to.equal(5n);
+    });
+
+    it("rejects a wrong number of topics", function () {
+      const { topics, data } = orderCreatedLog();
+      expect(() => decodeEvent(SOURCE_EVENTS_ABI[1], topics.slice(0, 2), data)).to.throw(
+        "OrderCreated expects 3 topics, got 2"
+      );
+    });
+
+    it("rejects a signature topic of another event", function () {
+      const { topics, data } = orderCreatedLog();
+      const confirmationTopic = iface.getEvent("Confirmation").topicHash;
+      expect(() =>
+        decodeEvent(SOURCE_EVENTS_ABI[1], [confirmationTopic, ...topics.slice(1)], data)
+      ).to.throw("is not the OrderCreated signature");
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const { scanLogs, isRangeError } = require("../lib/logScanner");
+
+// Provider whose getLogs answers with one log per block, rejecting ranges wider than
+// maxRange with rangeMessage. Records every range asked for.
+function stubProvider({ maxRange = Infinity, rangeMessage = "block range is too wide" } = {}) {
+  const provider = {
+    ranges: [],
+    getLogs: async ({ fromBlock, toBlock }) => {
+      provider.ranges.push([fromBlock, toBlock]);
+      if (toBlock - fromBlock + 1 > maxRange) throw new Error(rangeMessage);
+      return Array.from({ length: toBlock - fromBlock + 1 }, (_, i) => ({
+        blockNumber: fromBlock + i,
+      }));
+    },
+  };
+  return provider;
+}
+
+describe("logScanner", function () {
+  describe("scanLogs", function () {
+    it("fetches a range in chunks and reports each one", async function () {
+      const provider = stubProvider();
+      const chunks = [];
+      const logs = await scanLogs(provider, {
+        fromBlock: 100,
+        toBlock: 349,
+        chunkSize: 100,
+        onChunk: ({ fromBlock, toBlock, logs: chunk }) =>
+          chunks.push([fromBlock, toBlock, chunk.length]),
+      });
+
+      expect(provider.ranges).to.deep.equal([
+        [100, 199],
+        [200, 299],
+        [300, 349],
+      ]);
+      expect(chunks).to.deep.equal([
+        [100, 199, 100],
+        [200, 299, 100],
+        [300, 349, 50],
+      ]);
+      expect(logs.map((log) => log.blockNumber)).to.deep.equal(
+        Array.from({ length: 250 }, (_, i) => 100 + i)
+      );
+    });
+
+    it("halves the chunk while the RPC rejects the range, and keeps the smaller size", async function () {
+      const provider = stubProvider({ maxRange: 30 });
+      const logs = await scanLogs(provider, { fromBlock: 0, toBlock: 99, chunkSize: 100 });
+
+      expect(provider.ranges).to.deep.equal([
+        [0, 99],
+        [0, 49],
+        [0, 24],
+        [25, 49],
+        [50, 74],
+        [75, 99],
+      ]);
+      expect(logs).to.have.lengthOf(100);
+    });
+
+    it("gives up once the chunk cannot shrink any more", async function () {
+      const provider = stubProvider({
+        maxRange: 5,
+        rangeMessage: "query returned more than 10000 results",
+      });
+      const error = await scanLogs(provider, { fromBlock: 0, toBlock: 99, chunkSize: 40 }).catch(
+        (caught) => caught
+      );
+
+      expect(error.message).to.equal("query returned more than 10000 results");
+      expect(provider.ranges.map(([from, to]) => to - from + 1)).to.deep.equal([40, 20, 10]);
+    });
+
+    it("does not retry other errors", async function () {
+      const provider = {
+        calls: 0,
+        getLogs: async () => {
+          provider.calls++;
+          throw new Error("connect ECONNREFUSED");
+        },
+      };
+      const error = await scanLogs(provider, { fromBlock: 0, toBlock: 99, chunkSize: 100 }).catch(
+        (caught) => caught
+      );
+
+      expect(error.message).to.equal("connect ECONNREFUSED");
+      expect(provider.calls).to.equal(1);
+    });
+  });
+
+  describe("isRangeError", function () {
+    it("recognises range errors in the message or the RPC error ethers wraps", function () {
+      expect(isRangeError(new Error("eth_getLogs block range limit exceeded"))).to.equal(true);
+      expect(
+        isRangeError({
+          message: "could not coalesce error",
+          error: { message: "Log response size exceeded" },
+        })
+      ).to.equal(true);
+      expect(
+        isRangeError({
+          message: "could not coalesce error",
+          info: { error: { code: -32005, message: "query returned more than 10000 results" } },
+        })
+      ).to.equal(true);
+      expect(isRangeError(new Error("execution reverted"))).to.equal(false);
+    });
+  });
+
+  describe("LOG_SCAN_CHUNK_SIZE", function () {
+    let saved;
+
+    beforeEach(function () {
+      saved = process.env.LOG_SCAN_CHUNK_SIZE;
+    });
+
+    afterEach(function () {
+      if (saved === undefined) delete process.env.LOG_SCAN_CHUNK_SIZE;
+      else process.env.LOG_SCAN_CHUNK_SIZE = saved;
+    });
+
+    it("sets the default chunk size, read when a scan starts", async function () {
+      process.env.LOG_SCAN_CHUNK_SIZE = "50";
+      const provider = stubProvider();
+      await scanLogs(provider, { fromBlock: 0, toBlock: 99 });
+      expect(provider.ranges).to.deep.equal([
+        [0, 49],
+        [50, 99],
+      ]);
+    });
+
+    it("keeps the default when empty and rejects invalid values", async function () {
+      process.env.LOG_SCAN_CHUNK_SIZE = "";
+      const provider = stubProvider();
+      await scanLogs(provider, { fromBlock: 0, toBlock: 2999 });
+      expect(provider.ranges).to.deep.equal([
+        [0, 1999],
+        [2000, 2999],
+      ]);
+
+      process.env.LOG_SCAN_CHUNK_SIZE = "5";
+      const error = await scanLogs(provider, { fromBlock: 0, toBlock: 99 }).catch((caught) => caught);
+      expect(error.message).to.equal("Invalid LOG_SCAN_CHUNK_SIZE: 5");
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const { Logger } = require("../lib/logger");
+
+const SECRET_NAMES = [
+  "LOGGER_TEST_API_KEY",
+  "LOGGER_TEST_PRIVATE_KEY",
+  "LOGGER_TEST_SECRET",
+  "LOGGER_TEST_TOKEN",
+];
+const API_KEY = "pk_live_4f9a2c71";
+const PRIVATE_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+describe("Logger", function () {
+  let saved;
+  let printed;
+  let consoleLog;
+  let consoleError;
+
+  // Console output goes to printed; at info level errors print without their stack
+  function createLogger(format) {
+    return new Logger({ format, level: "info" });
+  }
+
+  beforeEach(function () {
+    saved = Object.fromEntries(SECRET_NAMES.map((name) => [name, process.env[name]]));
+    process.env.LOGGER_TEST_API_KEY = API_KEY;
+    process.env.LOGGER_TEST_PRIVATE_KEY = PRIVATE_KEY;
+
+    printed = [];
+    consoleLog = console.log;
+    consoleError = console.error;
+    console.log = (line) => printed.push(line);
+    console.error = (line) => printed.push(line);
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    console.error = consoleError;
+    for (const name of SECRET_NAMES) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  });
+
+  describe("pretty", function () {
+    it("redacts secret env values, with and without 0x", function () {
+      const log = createLogger("pretty");
+      log.info(`key ${API_KEY}, signer ${PRIVATE_KEY}, raw ${PRIVATE_KEY.slice(2)}`);
+      expect(printed).to.deep.equal(["key [REDACTED], signer [REDACTED], raw [REDACTED]"]);
+    });
+
+    it("redacts bearer tokens and API keys in URLs", function () {
+      const log = createLogger("pretty");
+      log.warn("Authorization: Bearer eyJhbGciOi.abc failed");
+      log.error("GET https://rpc.example/v2?key=abc123&chain=base", {
+        error: new Error("request to https://rpc.example/?token=xyz987 failed"),
+      });
+      expect(printed).to.deep.equal([
+        "Authorization: Bearer [REDACTED] failed",
+        "GET https://rpc.example/v2?key=[REDACTED]&chain=base request to https://rpc.example/?token=[REDACTED] failed",
+      ]);
+    });
+  });
+
+  describe("json", function () {
+    it("redacts secrets in the message, fields and errors", function () {
+      const log = createLogger("json").child({ chainId: 84532 });
+      log.error(`Polymer call with ${API_KEY} failed`, {
+        url: `https://rpc.example/?api_key=${API_KEY}`,
+        headers: { Authorization: "Bearer abc.def", "Content-Type": "application/json" },
+        privateKey: "not-from-env",
+        error: new Error(`signer ${PRIVATE_KEY} rejected`),
+      });
+
+      const entry = JSON.parse(printed[0]);
+      expect(entry).to.include({
+        level: "error",
+        msg: "Polymer call with [REDACTED] failed",
+        chainId: 84532,
+        url: "https://rpc.example/?api_key=[REDACTED]",
+        privateKey: "[REDACTED]",
+      });
+      expect(entry.headers).to.deep.equal({
+        Authorization: "[REDACTED]",
+        "Content-Type": "application/json",
+      });
+      expect(entry.error.message).to.equal("signer [REDACTED] rejected");
+      expect(printed[0]).to.not.include(PRIVATE_KEY.slice(2));
+    });
+  });
+
+  it("does not redact text matching short or empty secret values", function () {
+    process.env.LOGGER_TEST_SECRET = "base";
+    process.env.LOGGER_TEST_TOKEN = "";
+    const log = createLogger("pretty");
+    log.info("Relaying from base to t3rn");
+    createLogger("json").info("Relaying from base", { chain: "base" });
+
+    expect(printed[0]).to.equal("Relaying from base to t3rn");
+    expect(JSON.parse(printed[1])).to.include({ msg: "Relaying from base", chain: "base" });
+  });
+
+  it("picks up secrets loaded after it was configured", function () {
+    const log = createLogger("pretty");
+    log.info("first");
+    process.env.LOGGER_TEST_SECRET = "late-loaded-secret";
+    log.configure({ level: "info" });
+    log.info("value late-loaded-secret");
+    expect(printed[1]).to.equal("value [REDACTED]");
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { NonceManager } = require("../lib/nonceManager");
+const { logger } = require("../lib/logger");
+
+const ADDRESS = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+// Provider whose pending transaction count a test sets
+function stubProvider(pendingCount) {
+  const provider = {
+    pendingCount,
+    reads: 0,
+    getTransactionCount: async (address, blockTag) => {
+      expect(address).to.equal(ADDRESS);
+      expect(blockTag).to.equal("pending");
+      provider.reads++;
+      return provider.pendingCount;
+    },
+  };
+  return provider;
+}
+
+describe("NonceManager", function () {
+  let level;
+
+  before(function () {
+    // Resyncs warn; keep the test output clean
+    level = logger.level;
+    logger.configure({ level: "error" });
+  });
+
+  after(function () {
+    logger.configure({ level });
+  });
+
+  describe("next", function () {
+    it("hands out consecutive nonces from the pending count", async function () {
+      const provider = stubProvider(5);
+      const nonces = new NonceManager("Localhost", ADDRESS);
+
+      expect(await nonces.next(provider)).to.equal(5);
+      expect(await nonces.next(provider)).to.equal(6);
+      expect(provider.reads).to.equal(1);
+    });
+
+    it("never hands out the same nonce to concurrent sends", async function () {
+      const nonces = new NonceManager("Localhost", ADDRESS);
+      const provider = stubProvider(3);
+
+      const handedOut = await Promise.all(
+        Array.from({ length: 5 }, () => nonces.next(provider))
+      );
+      expect(handedOut).to.deep.equal([3, 4, 5, 6, 7]);
+      expect(nonces.inFlight).to.equal(5);
+    });
+
+    it("reads the pending count again once nothing is in flight", async function () {
+      const provider = stubProvider(5);
+      const nonces = new NonceManager("Localhost", ADDRESS);
+
+      await nonces.next(provider);
+      nonces.complete();
+      provider.pendingCount = 9;
+      expect(await nonces.next(provider)).to.equal(9);
+      expect(provider.reads).to.equal(2);
+    });
+  });
+
+  describe("release", function () {
+    it("gives back the last nonce handed out", async function () {
+      const provider = stubProvider(5);
+      const nonces = new NonceManager("Localhost", ADDRESS);
+
+      await nonces.next(provider);
+      const nonce = await nonces.next(provider);
+      expect(nonces.release(nonce)).to.equal(true);
+      expect(await nonces.next(provider)).to.equal(6);
+    });
+
+    it("reports a gap when later nonces were already handed out", async function () {
+      const provider = stubProvider(5);
+      const nonces = new NonceManager("Localhost", ADDRESS);
+
+      const first = await nonces.next(provider);
+      await nonces.next(provider);
+      expect(nonces.release(first)).to.equal(false);
+      expect(await nonces.next(provider)).to.equal(7);
+    });
+  });
+
+  describe("resync", function () {
+    it("moves forward to a pending count that is ahead", async function () {
+      const provider = stubProvider(5);
+      const nonces = new NonceManager("Localhost", ADDRESS);
+
+      await nonces.next(provider);
+      provider.pendingCount = 20;
+      await nonces.resync(provider);
+      expect(await nonces.next(provider)).to.equal(20);
+    });
+
+    it("does not move back below nonces handed out but not broadcast yet", async function () {
+      const provider = stubProvider(5);
+      const nonces = new NonceManager("Localhost", ADDRESS);
+
+      // 5 is mined, 6 and 7 are still being signed by concurrent sends
+      const handedOut = await Promise.all([
+        nonces.next(provider),
+        nonces.next(provider),
+        nonces.next(provider),
+      ]);
+      provider.pendingCount = 6;
+      await nonces.resync(provider);
+
+      const next = await nonces.next(provider);
+      expect(next).to.equal(8);
+      expect(handedOut).to.not.include(next);
+    });
+  });
+});
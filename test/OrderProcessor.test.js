@@ -0,0 +1,367 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { encodeMockProof } = require("../lib/mockPolymerServer");
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+const ORDER_CREATED_TOPIC = ethers.id(
+  "OrderCreated(bytes32,bytes4,uint32,bytes32,uint256,address,uint256,uint256,uint32,address,uint256)"
+);
+const CONFIRMATION_TOPIC = ethers.id(
+  "Confirmation(bytes32,address,uint256,address,address,bytes32,uint256)"
+);
+
+const SOURCE_CHAIN_ID = 84532;
+const ORDER_ID = ethers.id("order-1");
+const DESTINATION = ethers.zeroPadBytes("0x33333333", 32);
+const AMOUNT = ethers.parseEther("1");
+const NONCE = 7;
+const ORDER_TIMESTAMP = 1700000000;
+const COMPLETED_TIMESTAMP = 1700000600;
+
+const OrderState = { NONEXISTENT: 0n, OPEN: 1n, COMPLETED: 2n };
+
+function addressTopic(address) {
+  return ethers.zeroPadValue(address, 32);
+}
+
+function orderCreatedData({ amount = AMOUNT, sourceAccount, rewardAsset }) {
+  return abiCoder.encode(
+    [
+      "uint32",
+      "bytes32",
+      "uint256",
+      "address",
+      "uint256",
+      "uint256",
+      "uint32",
+      "address",
+      "uint256",
+    ],
+    [
+      1,
+      addressTopic(sourceAccount),
+      amount,
+      rewardAsset,
+      ethers.parseEther("0.1"),
+      ethers.parseEther("0.05"),
+      NONCE,
+      sourceAccount,
+      ORDER_TIMESTAMP,
+    ]
+  );
+}
+
+function confirmationData({ amount = AMOUNT, asset, confirmationId }) {
+  return abiCoder.encode(
+    ["uint256", "address", "bytes32", "uint256"],
+    [amount, asset, confirmationId, COMPLETED_TIMESTAMP]
+  );
+}
+
+describe("OrderProcessor", function () {
+  async function deployFixture() {
+    const [owner, source, target, sender] = await ethers.getSigners();
+
+    const MockPolymerProver = await ethers.getContractFactory("MockPolymerProver");
+    const prover = await MockPolymerProver.deploy();
+
+    const OrderProcessor = await ethers.getContractFactory("OrderProcessor");
+    const orderProcessor = await OrderProcessor.deploy(await prover.getAddress());
+
+    const rewardAsset = ethers.Wallet.createRandom().address;
+
+    return { orderProcessor, prover, owner, source, target, sender, rewardAsset };
+  }
+
+  // Make the prover return an OrderCreated event for ORDER_ID
+  async function proveOrderCreated(prover, { source, rewardAsset, amount }) {
+    await prover.setEvent(
+      SOURCE_CHAIN_ID,
+      source.address,
+      ethers.concat([ORDER_CREATED_TOPIC, ORDER_ID, DESTINATION]),
+      orderCreatedData({ amount, sourceAccount: source.address, rewardAsset })
+    );
+  }
+
+  // Make the prover return a Confirmation event for ORDER_ID
+  async function proveConfirmation(prover, { target, sender, amount }) {
+    await prover.setEvent(
+      SOURCE_CHAIN_ID,
+      sender.address,
+      ethers.concat([
+        CONFIRMATION_TOPIC,
+        ORDER_ID,
+        addressTopic(target.address),
+        addressTopic(sender.address),
+      ]),
+      confirmationData({
+        amount,
+        asset: ethers.ZeroAddress,
+        confirmationId: ethers.id("confirmation-1"),
+      })
+    );
+  }
+
+  async function openOrderFixture() {
+    const fixture = await deployFixture();
+    await proveOrderCreated(fixture.prover, fixture);
+    await fixture.orderProcessor.openOrder("0x");
+    return fixture;
+  }
+
+  describe("openOrder", function () {
+    it("opens an order and emits OrderOpened", async function () {
+      const { orderProcessor, prover, source, rewardAsset } =
+        await loadFixture(deployFixture);
+      await proveOrderCreated(prover, { source, rewardAsset });
+
+      await expect(orderProcessor.openOrder("0x"))
+        .to.emit(orderProcessor, "OrderOpened")
+        .withArgs(
+          ORDER_ID,
+          DESTINATION,
+          1,
+          addressTopic(source.address),
+          AMOUNT,
+          rewardAsset,
+          ethers.parseEther("0.1"),
+          ethers.parseEther("0.05"),
+          NONCE,
+          source.address,
+          ORDER_TIMESTAMP
+        );
+
+      const info = await orderProcessor.getOrderInfo(ORDER_ID);
+      expect(info.state).to.equal(OrderState.OPEN);
+      expect(info.sourceAccount).to.equal(source.address);
+      expect(info.amount).to.equal(AMOUNT);
+      expect(info.rewardAsset).to.equal(rewardAsset);
+      expect(info.nonce).to.equal(NONCE);
+      expect(info.networkId).to.equal(DESTINATION);
+      expect(await orderProcessor.isOrderOpen(ORDER_ID)).to.equal(true);
+      expect(await orderProcessor.isOrderCompleted(ORDER_ID)).to.equal(false);
+    });
+
+    it("accepts proofs in the mock Polymer server format", async function () {
+      const { orderProcessor, source, rewardAsset } =
+        await loadFixture(deployFixture);
+
+      const proof = encodeMockProof({
+        chainId: SOURCE_CHAIN_ID,
+        emittingContract: source.address,
+        topics: [ORDER_CREATED_TOPIC, ORDER_ID, DESTINATION],
+        data: orderCreatedData({ sourceAccount: source.address, rewardAsset }),
+      });
+
+      await expect(orderProcessor.openOrder(proof)).to.emit(
+        orderProcessor,
+        "OrderOpened"
+      );
+      expect(await orderProcessor.isOrderOpen(ORDER_ID)).to.equal(true);
+    });
+
+    it("rejects events with the wrong signature", async function () {
+      const { orderProcessor, prover, source, rewardAsset } =
+        await loadFixture(deployFixture);
+      await prover.setEvent(
+        SOURCE_CHAIN_ID,
+        source.address,
+        ethers.concat([CONFIRMATION_TOPIC, ORDER_ID, DESTINATION]),
+        orderCreatedData({ sourceAccount: source.address, rewardAsset })
+      );
+
+      await expect(orderProcessor.openOrder("0x")).to.be.revertedWith(
+        "Invalid event signature"
+      );
+    });
+
+    it("rejects events with fewer than three topics", async function () {
+      const { orderProcessor, prover, source, rewardAsset } =
+        await loadFixture(deployFixture);
+      await prover.setEvent(
+        SOURCE_CHAIN_ID,
+        source.address,
+        ethers.concat([ORDER_CREATED_TOPIC, ORDER_ID]),
+        orderCreatedData({ sourceAccount: source.address, rewardAsset })
+      );
+
+      await expect(orderProcessor.openOrder("0x")).to.be.revertedWith(
+        "Invalid topics length"
+      );
+    });
+
+    it("rejects an order that already exists", async function () {
+      const { orderProcessor } = await loadFixture(openOrderFixture);
+
+      await expect(orderProcessor.openOrder("0x")).to.be.revertedWith(
+        "Order already exists"
+      );
+    });
+  });
+
+  describe("orderCompleted", function () {
+    it("completes an open order and emits OrderCompleted and ReclaimReady", async function () {
+      const { orderProcessor, prover, source, target, sender, rewardAsset } =
+        await loadFixture(openOrderFixture);
+      await proveConfirmation(prover, { target, sender });
+
+      await expect(orderProcessor.orderCompleted("0x"))
+        .to.emit(orderProcessor, "OrderCompleted")
+        .withArgs(
+          ORDER_ID,
+          target.address,
+          ethers.id("confirmation-1"),
+          AMOUNT,
+          ethers.ZeroAddress,
+          COMPLETED_TIMESTAMP
+        )
+        .and.to.emit(orderProcessor, "ReclaimReady")
+        .withArgs(ORDER_ID, source.address, rewardAsset, COMPLETED_TIMESTAMP);
+
+      const info = await orderProcessor.getOrderInfo(ORDER_ID);
+      expect(info.state).to.equal(OrderState.COMPLETED);
+      expect(info.confirmationId).to.equal(ethers.id("confirmation-1"));
+      expect(info.timestamp).to.equal(COMPLETED_TIMESTAMP);
+      expect(await orderProcessor.isOrderOpen(ORDER_ID)).to.equal(false);
+      expect(await orderProcessor.isOrderCompleted(ORDER_ID)).to.equal(true);
+    });
+
+    it("rejects orders that are not open", async function () {
+      const { orderProcessor, prover, target, sender } =
+        await loadFixture(deployFixture);
+      await proveConfirmation(prover, { target, sender });
+
+      await expect(orderProcessor.orderCompleted("0x")).to.be.revertedWith(
+        "Order not in open state"
+      );
+    });
+
+    it("rejects orders that are already completed", async function () {
+      const { orderProcessor, prover, target, sender } =
+        await loadFixture(openOrderFixture);
+      await proveConfirmation(prover, { target, sender });
+      await orderProcessor.orderCompleted("0x");
+
+      await expect(orderProcessor.orderCompleted("0x")).to.be.revertedWith(
+        "Order not in open state"
+      );
+    });
+
+    it("rejects a confirmation whose amount does not match the order", async function () {
+      const { orderProcessor, prover, target, sender } =
+        await loadFixture(openOrderFixture);
+      await proveConfirmation(prover, {
+        target,
+        sender,
+        amount: AMOUNT - 1n,
+      });
+
+      await expect(orderProcessor.orderCompleted("0x")).to.be.revertedWith(
+        "Amount mismatch between order and confirmation"
+      );
+    });
+
+    it("rejects events with the wrong signature", async function () {
+      const { orderProcessor, prover, target, sender } =
+        await loadFixture(openOrderFixture);
+      await prover.setEvent(
+        SOURCE_CHAIN_ID,
+        sender.address,
+        ethers.concat([
+          ORDER_CREATED_TOPIC,
+          ORDER_ID,
+          addressTopic(target.address),
+          addressTopic(sender.address),
+        ]),
+        confirmationData({
+          asset: ethers.ZeroAddress,
+          confirmationId: ethers.id("confirmation-1"),
+        })
+      );
+
+      await expect(orderProcessor.orderCompleted("0x")).to.be.revertedWith(
+        "Invalid event signature"
+      );
+    });
+
+    it("rejects events with fewer than four topics", async function () {
+      const { orderProcessor, prover, target, sender } =
+        await loadFixture(openOrderFixture);
+      await prover.setEvent(
+        SOURCE_CHAIN_ID,
+        sender.address,
+        ethers.concat([
+          CONFIRMATION_TOPIC,
+          ORDER_ID,
+          addressTopic(target.address),
+        ]),
+        confirmationData({
+          asset: ethers.ZeroAddress,
+          confirmationId: ethers.id("confirmation-1"),
+        })
+      );
+
+      await expect(orderProcessor.orderCompleted("0x")).to.be.revertedWith(
+        "Invalid topics length"
+      );
+    });
+  });
+
+  describe("generateIdFull", function () {
+    it("hashes requester, nonce and network ID the same way as off-chain", async function () {
+      const { orderProcessor, source } = await loadFixture(deployFixture);
+
+      const inner = ethers.keccak256(
+        abiCoder.encode(
+          ["address", "uint32", "bytes32"],
+          [source.address, NONCE, DESTINATION]
+        )
+      );
+      const expected = ethers.keccak256(
+        abiCoder.encode(["bytes32", "bytes32"], [inner, ethers.ZeroHash])
+      );
+
+      expect(
+        await orderProcessor.generateIdFull(source.address, NONCE, DESTINATION)
+      ).to.equal(expected);
+    });
+
+    it("changes with the nonce", async function () {
+      const { orderProcessor, source } = await loadFixture(deployFixture);
+
+      expect(
+        await orderProcessor.generateIdFull(source.address, NONCE, DESTINATION)
+      ).to.not.equal(
+        await orderProcessor.generateIdFull(source.address, NONCE + 1, DESTINATION)
+      );
+    });
+  });
+
+  describe("generateConfirmationId", function () {
+    it("hashes the confirmation fields the same way as off-chain", async function () {
+      const { orderProcessor, target, sender, rewardAsset } =
+        await loadFixture(deployFixture);
+
+      const expected = ethers.keccak256(
+        abiCoder.encode(
+          ["bytes32", "address", "uint256", "address", "address"],
+          [ORDER_ID, target.address, AMOUNT, rewardAsset, sender.address]
+        )
+      );
+
+      expect(
+        await orderProcessor.generateConfirmationId(
+          ORDER_ID,
+          target.address,
+          AMOUNT,
+          rewardAsset,
+          sender.address
+        )
+      ).to.equal(expected);
+    });
+  });
+});
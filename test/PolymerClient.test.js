@@ -0,0 +1,341 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const {
+  PolymerClient,
+  PolymerApiError,
+  PolymerAuthError,
+  PolymerRateLimitError,
+  PolymerTimeoutError,
+  PolymerProofFailedError,
+} = require("../lib/polymerClient");
+const { ProofCache } = require("../lib/proofCache");
+const { createMockPolymerServer, encodeMockProof } = require("../lib/mockPolymerServer");
+
+const API_KEY = "test-api-key";
+const POLL_OPTIONS = { initialDelayMs: 1, maxDelayMs: 5, timeoutMs: 2000 };
+
+// Start an HTTP server on a free local port and return its URL
+async function listen(server) {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function close(server) {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+}
+
+// Polymer API stand-in answering each JSON-RPC request with handler(request): the result,
+// or { httpStatus, headers, body } for anything else
+function stubPolymerServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const request = JSON.parse(body);
+      requests.push(request);
+      const answer = handler(request);
+      const reply = answer && answer.httpStatus ? answer : { httpStatus: 200, body: { result: answer } };
+      res.writeHead(reply.httpStatus, { "Content-Type": "application/json", ...reply.headers });
+      res.end(JSON.stringify({ jsonrpc: "2.0", id: request.id, ...reply.body }));
+    });
+  });
+  server.requests = requests;
+  return server;
+}
+
+// JSON-RPC endpoint over the in-process Hardhat network, for the mock Polymer server
+function hardhatRpcServer() {
+  return http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      const payload = JSON.parse(body);
+      const answer = async ({ id, method, params }) => {
+        try {
+          return { jsonrpc: "2.0", id, result: await network.provider.send(method, params) };
+        } catch (error) {
+          return { jsonrpc: "2.0", id, error: { code: -32000, message: error.message } };
+        }
+      };
+      const response = Array.isArray(payload)
+        ? await Promise.all(payload.map(answer))
+        : await answer(payload);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(response));
+    });
+  });
+}
+
+describe("PolymerClient", function () {
+  const servers = [];
+
+  async function start(server) {
+    servers.push(server);
+    return listen(server);
+  }
+
+  afterEach(async function () {
+    await Promise.all(servers.splice(0).map(close));
+  });
+
+  describe("call", function () {
+    it("requires an API key", async function () {
+      const client = new PolymerClient({ apiUrl: "http://127.0.0.1:1", apiKey: "" });
+      client.apiKey = undefined;
+      await expectRejection(client.call("log_queryProof", [1]), PolymerAuthError, "Missing POLYMER_API_KEY");
+    });
+
+    it("sends the API key as a bearer token", async function () {
+      const server = stubPolymerServer(() => ({ status: "complete" }));
+      let authorization;
+      server.prependListener("request", (req) => (authorization = req.headers.authorization));
+      const client = new PolymerClient({ apiUrl: await start(server), apiKey: API_KEY });
+
+      expect(await client.call("log_queryProof", [1])).to.deep.equal({ status: "complete" });
+      expect(authorization).to.equal(`Bearer ${API_KEY}`);
+      expect(server.requests[0]).to.include({ method: "log_queryProof" });
+    });
+
+    it("maps a rejected API key to PolymerAuthError", async function () {
+      const server = stubPolymerServer(() => ({ httpStatus: 401, body: {} }));
+      const client = new PolymerClient({ apiUrl: await start(server), apiKey: API_KEY });
+      await expectRejection(client.call("log_queryProof", [1]), PolymerAuthError, "status 401");
+    });
+
+    it("maps 429 to PolymerRateLimitError with the Retry-After delay", async function () {
+      const server = stubPolymerServer(() => ({
+        httpStatus: 429,
+        headers: { "Retry-After": "3" },
+        body: {},
+      }));
+      const client = new PolymerClient({ apiUrl: await start(server), apiKey: API_KEY });
+      const error = await expectRejection(
+        client.call("log_queryProof", [1]),
+        PolymerRateLimitError,
+        "rate limit"
+      );
+      expect(error.retryAfterMs).to.equal(3000);
+    });
+
+    it("maps JSON-RPC errors to PolymerApiError", async function () {
+      const server = stubPolymerServer(() => ({
+        httpStatus: 200,
+        body: { error: { code: -32000, message: "Unknown job ID 9" } },
+      }));
+      const client = new PolymerClient({ apiUrl: await start(server), apiKey: API_KEY });
+      const error = await expectRejection(
+        client.call("log_queryProof", [9]),
+        PolymerApiError,
+        "Unknown job ID 9"
+      );
+      expect(error.code).to.equal(-32000);
+    });
+  });
+
+  describe("waitForProof", function () {
+    it("polls until the job is complete", async function () {
+      const statuses = ["initialized", "pending", "complete"];
+      const server = stubPolymerServer(() => {
+        const status = statuses.shift();
+        return status === "complete" ? { status, proof: "AQID" } : { status };
+      });
+      const client = new PolymerClient({ apiUrl: await start(server), apiKey: API_KEY, ...POLL_OPTIONS });
+
+      const seen = [];
+      const proof = await client.waitForProof(7, { onStatus: ({ status }) => seen.push(status) });
+      expect(proof).to.deep.equal({ jobId: 7, attempts: 3, proofBase64: "AQID", proofHex: "0x010203" });
+      expect(seen).to.deep.equal(["initialized", "pending", "complete"]);
+    });
+
+    it("retries failed queries and waits at least the Retry-After delay", async function () {
+      const answers = [
+        { httpStatus: 429, headers: { "Retry-After": "0.05" }, body: {} },
+        { httpStatus: 502, body: {} },
+        { status: "complete", proof: "AQID" },
+      ];
+      const server = stubPolymerServer(() => answers.shift());
+      const client = new PolymerClient({ apiUrl: await start(server), apiKey: API_KEY, ...POLL_OPTIONS });
+
+      const errors = [];
+      const startedAt = Date.now();
+      const proof = await client.waitForProof(7, {
+        onStatus: ({ error }) => error && errors.push(error.name),
+      });
+      expect(proof.attempts).to.equal(3);
+      expect(errors).to.deep.equal(["PolymerRateLimitError", "PolymerApiError"]);
+      expect(Date.now() - startedAt).to.be.at.least(50);
+    });
+
+    it("gives up on a rejected API key", async function () {
+      const server = stubPolymerServer(() => ({ httpStatus: 403, body: {} }));
+      const client = new PolymerClient({ apiUrl: await start(server), apiKey: API_KEY, ...POLL_OPTIONS });
+      await expectRejection(client.waitForProof(7), PolymerAuthError, "status 403");
+      expect(server.requests).to.have.lengthOf(1);
+    });
+
+    it("throws PolymerProofFailedError when the job fails", async function () {
+      const server = stubPolymerServer(() => ({ status: "error" }));
+      const client = new PolymerClient({ apiUrl: await start(server), apiKey: API_KEY, ...POLL_OPTIONS });
+      const error = await expectRejection(client.waitForProof(7), PolymerProofFailedError, "failed");
+      expect(error.jobId).to.equal(7);
+    });
+
+    it("throws PolymerTimeoutError after the deadline", async function () {
+      const server = stubPolymerServer(() => ({ status: "pending" }));
+      const client = new PolymerClient({ apiUrl: await start(server), apiKey: API_KEY, ...POLL_OPTIONS });
+      const error = await expectRejection(
+        client.waitForProof(7, { timeoutMs: 50 }),
+        PolymerTimeoutError,
+        "last status: pending"
+      );
+      expect(error.jobId).to.equal(7);
+      expect(error.lastStatus).to.equal("pending");
+    });
+  });
+
+  describe("getProof with the mock Polymer server", function () {
+    let log;
+    let cacheDir;
+    let polymerServer;
+    let apiUrl;
+
+    beforeEach(async function () {
+      const MockOrderSource = await ethers.getContractFactory("MockOrderSource");
+      const source = await MockOrderSource.deploy();
+      const tx = await source.createOrder(ethers.id("order-1"), "0x33333333", 1000, 1);
+      const receipt = await tx.wait();
+      log = {
+        chainId: Number(network.config.chainId),
+        blockNumber: receipt.blockNumber,
+        positionInBlock: receipt.index,
+        localLogIndex: 0,
+        txHash: receipt.hash,
+        proofHex: encodeMockProof({
+          chainId: Number(network.config.chainId),
+          emittingContract: receipt.logs[0].address,
+          topics: receipt.logs[0].topics,
+          data: receipt.logs[0].data,
+        }),
+      };
+
+      polymerServer = createMockPolymerServer({
+        defaultRpcUrl: await start(hardhatRpcServer()),
+        statuses: ["pending", "complete"],
+        apiKey: API_KEY,
+      });
+      apiUrl = await start(polymerServer);
+      cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "proof-cache-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    function createClient() {
+      return new PolymerClient({
+        apiUrl,
+        apiKey: API_KEY,
+        cache: new ProofCache(cacheDir),
+        ...POLL_OPTIONS,
+      });
+    }
+
+    it("requests a proof of the log, waits for it and caches it", async function () {
+      const client = createClient();
+      const requested = [];
+
+      const proof = await client.getProof(log, { onRequested: (jobId) => requested.push(jobId) });
+      expect(proof.proofHex).to.equal(log.proofHex);
+      expect(proof.cached).to.equal(false);
+      expect(requested).to.deep.equal([proof.jobId]);
+
+      let cachedEntry;
+      const cached = await createClient().getProof(log, {
+        onCached: (entry) => (cachedEntry = entry),
+      });
+      expect(cached).to.include({ cached: true, jobId: proof.jobId, proofHex: log.proofHex });
+      expect(cachedEntry.key).to.equal(proof.cacheKey);
+      expect(polymerServer.jobs.size).to.equal(1);
+    });
+
+    it("resumes an earlier job instead of requesting a new one", async function () {
+      const client = createClient();
+      const jobId = await client.requestProof(log);
+
+      const proof = await client.getProof(log, {
+        resumeJobId: jobId,
+        onRequested: () => expect.fail("requested a new job"),
+      });
+      expect(proof.jobId).to.equal(jobId);
+      expect(polymerServer.jobs.size).to.equal(1);
+    });
+
+    it("requests a new job when the earlier one is unknown", async function () {
+      const client = createClient();
+      const resumeErrors = [];
+
+      const proof = await client.getProof(log, {
+        resumeJobId: 99,
+        timeoutMs: 200,
+        onResumeFailed: (error) => resumeErrors.push(error),
+      });
+      expect(resumeErrors).to.have.lengthOf(1);
+      expect(resumeErrors[0]).to.be.instanceOf(PolymerTimeoutError);
+      expect(proof.jobId).to.equal(1);
+    });
+
+    it("shares one job between concurrent callers and reports it to each of them", async function () {
+      const client = createClient();
+      const callers = [0, 1].map(() => ({ requested: [], statuses: [] }));
+
+      const proofs = await Promise.all(
+        callers.map((caller) =>
+          client.getProof(log, {
+            onRequested: (jobId) => caller.requested.push(jobId),
+            onStatus: ({ status }) => caller.statuses.push(status),
+          })
+        )
+      );
+      expect(polymerServer.jobs.size).to.equal(1);
+      expect(proofs[0].proofHex).to.equal(proofs[1].proofHex);
+      for (const caller of callers) {
+        expect(caller.requested).to.deep.equal([proofs[0].jobId]);
+        expect(caller.statuses).to.deep.equal(["pending", "complete"]);
+      }
+    });
+
+    it("tells a caller that joins after the job was requested its job ID", async function () {
+      const client = createClient();
+      let joined;
+
+      const first = client.getProof(log, {
+        onRequested: () => {
+          joined = [];
+          joined.proof = client.getProof(log, { onRequested: (jobId) => joined.push(jobId) });
+        },
+      });
+      const proof = await first;
+      await joined.proof;
+      expect(joined).to.deep.equal([proof.jobId]);
+      expect(polymerServer.jobs.size).to.equal(1);
+    });
+  });
+});
+
+// Await a rejection of the given error class whose message includes text
+async function expectRejection(promise, ErrorClass, text) {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error).to.be.instanceOf(ErrorClass);
+    expect(error.message).to.include(text);
+    return error;
+  }
+  return expect.fail(`expected ${ErrorClass.name}`);
+}
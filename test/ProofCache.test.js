@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ProofCache, proofCacheKey } = require("../lib/proofCache");
+const { logger } = require("../lib/logger");
+
+const API_URL = "https://proof.testnet.polymer.zone";
+const LOG = { chainId: 84532, blockNumber: 100, positionInBlock: 2, localLogIndex: 1 };
+const PROOF = { jobId: 7, proofBase64: "AQI=", proofHex: "0x0102" };
+
+describe("ProofCache", function () {
+  let dir;
+  let cache;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "proof-cache-"));
+    cache = new ProofCache(dir);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("stores one proof per proof API and source log", function () {
+    const entry = cache.put({ ...LOG, txHash: "0xAB" }, `${API_URL}/`, PROOF);
+    expect(entry.key).to.equal(proofCacheKey(LOG, API_URL));
+    expect(cache.get(LOG, API_URL)).to.include({ jobId: 7, proofHex: "0x0102", txHash: "0xAB" });
+    expect(cache.get(LOG, "http://127.0.0.1:3000")).to.equal(undefined);
+    expect(cache.get({ ...LOG, localLogIndex: 2 }, API_URL)).to.equal(undefined);
+  });
+
+  it("misses when the coordinates now point at another transaction", function () {
+    cache.put({ ...LOG, txHash: "0xab" }, API_URL, PROOF);
+    expect(cache.get({ ...LOG, txHash: "0xAB" }, API_URL)).to.not.equal(undefined);
+    expect(cache.get({ ...LOG, txHash: "0xcd" }, API_URL)).to.equal(undefined);
+  });
+
+  it("finds entries by an unambiguous key prefix and removes them", function () {
+    const { key } = cache.put(LOG, API_URL, PROOF);
+    expect(cache.find(key.slice(0, 8)).key).to.equal(key);
+    expect(cache.remove(key)).to.equal(true);
+    expect(cache.remove(key)).to.equal(false);
+    expect(cache.list()).to.deep.equal([]);
+  });
+
+  describe("unreadable files", function () {
+    let warnings;
+    let warn;
+
+    beforeEach(function () {
+      warnings = [];
+      warn = logger.warn;
+      logger.warn = (message) => warnings.push(message);
+    });
+
+    afterEach(function () {
+      logger.warn = warn;
+    });
+
+    it("skips them with a warning and lets put overwrite them", function () {
+      const { key } = cache.put(LOG, API_URL, PROOF);
+      const corrupt = proofCacheKey({ ...LOG, blockNumber: 101 }, API_URL);
+      fs.writeFileSync(path.join(dir, `${corrupt}.json`), '{"version": 2, "key"');
+
+      expect(cache.list().map((entry) => entry.key)).to.deep.equal([key]);
+      expect(cache.getByKey(corrupt)).to.equal(undefined);
+      expect(warnings).to.have.lengthOf(2);
+      expect(warnings[0]).to.include(`${corrupt}.json`);
+
+      cache.put({ ...LOG, blockNumber: 101 }, API_URL, PROOF);
+      expect(cache.getByKey(corrupt).jobId).to.equal(7);
+    });
+  });
+});
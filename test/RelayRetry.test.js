@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { RETRY_STAGES, getRetryPolicy, withStage, planRetry } = require("../lib/relayRetry");
+
+const NOW = Date.parse("2026-01-01T00:00:00.000Z");
+
+const POLICY = {
+  maxAttempts: { ...Object.fromEntries(RETRY_STAGES.map((stage) => [stage, 5])), simulate: 3 },
+  baseDelayMs: 1000,
+  maxDelayMs: 5000,
+};
+
+function stageError(stage, message = `${stage} failed`) {
+  const error = new Error(message);
+  error.stage = stage;
+  return error;
+}
+
+// Seconds from NOW to a plan's next attempt
+function delayOf(plan) {
+  return (Date.parse(plan.nextAttemptAt) - NOW) / 1000;
+}
+
+describe("relayRetry", function () {
+  describe("getRetryPolicy", function () {
+    const NAMES = [
+      "RELAYER_RETRY_MAX_ATTEMPTS",
+      "RELAYER_RETRY_BASE_DELAY_MS",
+      "RELAYER_RETRY_MAX_DELAY_MS",
+    ];
+    let saved;
+
+    beforeEach(function () {
+      saved = Object.fromEntries(NAMES.map((name) => [name, process.env[name]]));
+    });
+
+    afterEach(function () {
+      for (const name of NAMES) {
+        if (saved[name] === undefined) delete process.env[name];
+        else process.env[name] = saved[name];
+      }
+    });
+
+    it("uses the defaults for unset and empty env values", function () {
+      delete process.env.RELAYER_RETRY_MAX_ATTEMPTS;
+      process.env.RELAYER_RETRY_BASE_DELAY_MS = "";
+      delete process.env.RELAYER_RETRY_MAX_DELAY_MS;
+
+      const policy = getRetryPolicy();
+      expect(policy.maxAttempts.submit).to.equal(5);
+      expect(policy.maxAttempts.simulate).to.equal(3);
+      expect(policy.baseDelayMs).to.equal(10000);
+      expect(policy.maxDelayMs).to.equal(600000);
+    });
+
+    it("overrides the attempts of every stage with RELAYER_RETRY_MAX_ATTEMPTS", function () {
+      process.env.RELAYER_RETRY_MAX_ATTEMPTS = "2";
+      const { maxAttempts } = getRetryPolicy();
+      for (const stage of RETRY_STAGES) expect(maxAttempts[stage]).to.equal(2);
+    });
+
+    it("rejects invalid values", function () {
+      process.env.RELAYER_RETRY_MAX_ATTEMPTS = "0";
+      expect(() => getRetryPolicy()).to.throw("Invalid RELAYER_RETRY_MAX_ATTEMPTS");
+    });
+  });
+
+  describe("withStage", function () {
+    it("tags errors with the stage", async function () {
+      const error = await withStage("simulate", async () => {
+        throw new Error("reverted");
+      }).catch((caught) => caught);
+      expect(error.stage).to.equal("simulate");
+    });
+
+    it("keeps the stage a deeper call already set", async function () {
+      const error = await withStage("prepare", () =>
+        withStage("proof_poll", async () => {
+          throw new Error("timeout");
+        })
+      ).catch((caught) => caught);
+      expect(error.stage).to.equal("proof_poll");
+    });
+  });
+
+  describe("planRetry", function () {
+    it("backs off exponentially per stage up to the maximum delay", function () {
+      let event = {};
+      const delays = [];
+      for (let i = 0; i < 4; i++) {
+        event = planRetry(POLICY, event, stageError("submit"), NOW);
+        expect(event.status).to.equal("retry_scheduled");
+        delays.push(delayOf(event));
+      }
+      expect(delays).to.deep.equal([1, 2, 4, 5]);
+      expect(event.attempts).to.deep.equal({ submit: 4 });
+    });
+
+    it("honours a longer Retry-After", function () {
+      const error = stageError("proof_request");
+      error.retryAfterMs = 30000;
+      expect(delayOf(planRetry(POLICY, {}, error, NOW))).to.equal(30);
+    });
+
+    it("counts attempts separately per stage", function () {
+      let event = planRetry(POLICY, {}, stageError("proof_poll"), NOW);
+      event = planRetry(POLICY, event, stageError("submit"), NOW);
+      expect(event.attempts).to.deep.equal({ proof_poll: 1, submit: 1 });
+      expect(delayOf(event)).to.equal(1);
+    });
+
+    it("treats untagged errors as prepare failures", function () {
+      const plan = planRetry(POLICY, {}, new Error("no receipt"), NOW);
+      expect(plan.stage).to.equal("prepare");
+    });
+
+    it("dead-letters a relay once a stage has used up its attempts", function () {
+      let event = {};
+      for (let i = 0; i < 2; i++) {
+        event = planRetry(POLICY, event, stageError("simulate"), NOW);
+        expect(event.status).to.equal("retry_scheduled");
+      }
+      event = planRetry(POLICY, event, stageError("simulate", "execution reverted"), NOW);
+
+      expect(event.status).to.equal("dead_letter");
+      expect(event.stage).to.equal("simulate");
+      expect(event.error).to.equal("execution reverted");
+      expect(event.nextAttemptAt).to.equal(undefined);
+      expect(event.deadLetteredAt).to.equal(new Date(NOW).toISOString());
+      expect(event.failures).to.have.lengthOf(3);
+    });
+
+    it("counts every failed destination stage of a fan-out", function () {
+      const error = new Error("2 destinations failed");
+      error.stages = ["submit", "simulate", "submit"];
+      const plan = planRetry(POLICY, {}, error, NOW);
+      expect(plan.stage).to.equal("submit,simulate");
+      expect(plan.attempts).to.deep.equal({ submit: 1, simulate: 1 });
+    });
+
+    it("keeps only the last ten failures", function () {
+      const policy = { ...POLICY, maxAttempts: { ...POLICY.maxAttempts, prepare: 100 } };
+      let event = {};
+      for (let i = 0; i < 12; i++) {
+        event = planRetry(policy, event, stageError("prepare", `failure ${i}`), NOW);
+      }
+      expect(event.failures).to.have.lengthOf(10);
+      expect(event.failures[0].error).to.equal("failure 2");
+      expect(event.failures[9].error).to.equal("failure 11");
+    });
+  });
+});
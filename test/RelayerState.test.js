@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RelayerStateStore, eventKey, FINAL_STATUSES } = require("../lib/relayerState");
+
+const TX_HASH = "0xABCDEF0000000000000000000000000000000000000000000000000000000001";
+
+describe("RelayerStateStore", function () {
+  let dir;
+  let filePath;
+
+  // A store reading the file again, as after a restart
+  function restart() {
+    return new RelayerStateStore(filePath).load();
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-state-"));
+    filePath = path.join(dir, "relayer", "state.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("keys events by chain, lowercased transaction hash and log index", function () {
+    expect(eventKey(84532, TX_HASH, 3)).to.equal(`84532:${TX_HASH.toLowerCase()}:3`);
+  });
+
+  it("starts empty without a state file", function () {
+    const state = restart();
+    expect(state.getLastProcessedBlock(84532)).to.equal(undefined);
+    expect(state.listEvents()).to.deep.equal([]);
+    expect(fs.existsSync(filePath)).to.equal(false);
+  });
+
+  describe("checkpoints", function () {
+    it("persist per chain and only move forward", function () {
+      const state = restart();
+      state.setLastProcessedBlock(84532, 100);
+      state.setLastProcessedBlock(84532, 90);
+      state.setLastProcessedBlock(11155420, 7);
+
+      const reloaded = restart();
+      expect(reloaded.getLastProcessedBlock(84532)).to.equal(100);
+      expect(reloaded.getLastProcessedBlock(11155420)).to.equal(7);
+
+      reloaded.setLastProcessedBlock(84532, 101);
+      expect(restart().getLastProcessedBlock(84532)).to.equal(101);
+    });
+  });
+
+  describe("events", function () {
+    const key = eventKey(84532, TX_HASH, 0);
+
+    it("merge updates and survive a restart", function () {
+      const state = restart();
+      state.updateEvent(key, { status: "processing", jobId: 12 });
+      state.updateEvent(key, { status: "relayed", txHash: "0x01" });
+
+      const event = restart().getEvent(key);
+      expect(event).to.include({ status: "relayed", jobId: 12, txHash: "0x01" });
+      expect(event.updatedAt).to.be.a("string");
+    });
+
+    it("are final only once relayed or skipped", function () {
+      const state = restart();
+      expect(state.isFinal(key)).to.equal(false);
+      for (const status of ["processing", "failed"]) {
+        state.updateEvent(key, { status });
+        expect(state.isFinal(key), status).to.equal(false);
+      }
+      for (const status of FINAL_STATUSES) {
+        state.updateEvent(key, { status });
+        expect(restart().isFinal(key), status).to.equal(true);
+      }
+    });
+
+    it("track each destination of a fan-out separately", function () {
+      const state = restart();
+      state.updateEvent(key, { status: "processing" });
+      state.updateDestination(key, 11155420, { status: "relayed", txHash: "0x01" });
+      state.updateDestination(key, 84532, { status: "failed" });
+      state.updateDestination(key, 84532, { status: "relayed" });
+
+      const event = restart().getEvent(key);
+      expect(event.status).to.equal("processing");
+      expect(event.destinations).to.deep.equal({
+        11155420: { status: "relayed", txHash: "0x01" },
+        84532: { status: "relayed" },
+      });
+    });
+
+    it("can be listed with a filter", function () {
+      const state = restart();
+      state.updateEvent(key, { status: "relayed" });
+      state.updateEvent(eventKey(84532, TX_HASH, 1), { status: "processing" });
+
+      const pending = restart().listEvents((event) => event.status === "processing");
+      expect(pending.map((event) => event.key)).to.deep.equal([eventKey(84532, TX_HASH, 1)]);
+    });
+  });
+
+  it("refuses a state file of another version", function () {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ version: 2, chains: {}, events: {} }));
+    expect(() => restart()).to.throw(`Unsupported relayer state version 2 in ${filePath}`);
+  });
+});
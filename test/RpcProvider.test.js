@@ -0,0 +1,308 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { RpcProvider } = require("../lib/rpcProvider");
+const { scanLogs } = require("../lib/logScanner");
+
+const URLS = ["https://rpc-a.example", "https://rpc-b.example/secret-key", "https://rpc-c.example"];
+
+const BLOCK_10 = { number: "0xa", hash: ethers.id("block-10") };
+
+function payload(method, params = []) {
+  return { method, params, id: 1, jsonrpc: "2.0" };
+}
+
+// Swap each endpoint's connection for one answering with handlers[i](payload): a result, a
+// { error } response, or a throw for a transport failure. Returns the endpoint names asked.
+function stubConnections(provider, handlers) {
+  const asked = [];
+  provider.endpoints.forEach((endpoint, i) => {
+    endpoint.connection.destroy();
+    endpoint.connection = {
+      _send: async (request) => {
+        asked.push(endpoint.name);
+        const answer = await handlers[i](request);
+        const response = answer && answer.error ? answer : { result: answer };
+        return [{ id: request.id, ...response }];
+      },
+      destroy() {},
+    };
+  });
+  return asked;
+}
+
+function transportError() {
+  throw new Error("connect ECONNREFUSED");
+}
+
+describe("RpcProvider", function () {
+  let provider;
+
+  function createProvider(urls, options = {}) {
+    provider = new RpcProvider(urls, ethers.Network.from(31337), {
+      name: "Localhost",
+      timeoutMs: 1000,
+      cooldownMs: 60000,
+      ...options,
+    });
+    return provider;
+  }
+
+  afterEach(function () {
+    if (provider) provider.destroy();
+    provider = undefined;
+  });
+
+  it("names endpoints by origin only", function () {
+    createProvider([URLS[0], URLS[1], URLS[1]]);
+    expect(provider.endpoints.map((endpoint) => endpoint.name)).to.deep.equal([
+      "https://rpc-a.example",
+      "https://rpc-b.example",
+      "https://rpc-b.example#3",
+    ]);
+  });
+
+  describe("sendWithFailover", function () {
+    it("fails over to the next endpoint on a transport error", async function () {
+      createProvider(URLS);
+      const asked = stubConnections(provider, [transportError, () => "0x64", () => "0x65"]);
+
+      expect(await provider.getBlockNumber()).to.equal(100);
+      expect(asked).to.deep.equal(["https://rpc-a.example", "https://rpc-b.example"]);
+
+      const [a] = provider.getEndpointStats();
+      expect(a.healthy).to.equal(false);
+      expect(a.failures).to.equal(1);
+      expect(a.lastError).to.equal("connect ECONNREFUSED");
+    });
+
+    it("tries a failed endpoint last until its cooldown is over", async function () {
+      createProvider(URLS.slice(0, 2));
+      let down = true;
+      const asked = stubConnections(provider, [
+        () => (down ? transportError() : "0x1"),
+        () => "0x2",
+      ]);
+
+      await provider._send(payload("eth_chainId"));
+      asked.length = 0;
+      down = false;
+      const [response] = await provider._send(payload("eth_chainId"));
+      expect(response.result).to.equal("0x2");
+      expect(asked).to.deep.equal(["https://rpc-b.example"]);
+
+      provider.endpoints[0].unhealthyUntil = Date.now() - 1;
+      asked.length = 0;
+      expect((await provider._send(payload("eth_chainId")))[0].result).to.equal("0x1");
+      expect(asked).to.deep.equal(["https://rpc-a.example"]);
+      expect(provider.getEndpointStats()[0].healthy).to.equal(true);
+    });
+
+    it("still asks endpoints in cooldown when every other one fails", async function () {
+      createProvider(URLS.slice(0, 2));
+      let bUp = true;
+      stubConnections(provider, [() => "0x1", () => (bUp ? "0x2" : transportError())]);
+
+      provider.markFailed(provider.endpoints[0], "lagging");
+      bUp = false;
+      expect((await provider._send(payload("eth_chainId")))[0].result).to.equal("0x1");
+    });
+
+    it("fails over on rate limits", async function () {
+      createProvider(URLS.slice(0, 2));
+      const asked = stubConnections(provider, [
+        () => ({ error: { code: -32005, message: "request limit reached" } }),
+        () => "0x2",
+      ]);
+
+      expect((await provider._send(payload("eth_chainId")))[0].result).to.equal("0x2");
+      expect(asked).to.have.lengthOf(2);
+      expect(provider.getEndpointStats()[0].lastError).to.equal("request limit reached");
+    });
+
+    it("returns reverts and other node errors without failing over", async function () {
+      createProvider(URLS.slice(0, 2));
+      const revert = { code: 3, message: "execution reverted", data: "0x" };
+      const asked = stubConnections(provider, [() => ({ error: revert }), () => "0x"]);
+
+      const [response] = await provider._send(payload("eth_call", [{}, "latest"]));
+      expect(response.error).to.deep.equal(revert);
+      expect(asked).to.deep.equal(["https://rpc-a.example"]);
+      expect(provider.getEndpointStats()[0].healthy).to.equal(true);
+    });
+
+    it("returns eth_getLogs range errors for the caller to shrink the range", async function () {
+      createProvider(URLS.slice(0, 2));
+      const rangeError = { code: -32005, message: "query returned more than 10000 results" };
+      const asked = stubConnections(provider, [() => ({ error: rangeError }), () => []]);
+
+      const [response] = await provider._send(payload("eth_getLogs", [{ fromBlock: "0x0" }]));
+      expect(response.error).to.deep.equal(rangeError);
+      expect(asked).to.deep.equal(["https://rpc-a.example"]);
+      expect(provider.getEndpointStats()[0].healthy).to.equal(true);
+    });
+
+    it("lets scanLogs shrink a rejected range without putting endpoints in cooldown", async function () {
+      createProvider(URLS.slice(0, 2));
+      const ranges = [];
+      const rangeLimited = ({ params: [filter] }) => {
+        const size = Number(filter.toBlock) - Number(filter.fromBlock) + 1;
+        ranges.push(size);
+        return size > 500 ? { error: { code: -32005, message: "block range limit exceeded" } } : [];
+      };
+      stubConnections(provider, [rangeLimited, rangeLimited]);
+
+      await scanLogs(provider, { fromBlock: 0, toBlock: 999, chunkSize: 1000 });
+      expect(ranges).to.deep.equal([1000, 500, 500]);
+      expect(provider.getEndpointStats().every(({ healthy }) => healthy)).to.equal(true);
+    });
+
+    it("still fails over on eth_getLogs rate limits", async function () {
+      createProvider(URLS.slice(0, 2));
+      stubConnections(provider, [
+        () => ({ error: { code: 429, message: "too many requests" } }),
+        () => [],
+      ]);
+
+      const [response] = await provider._send(payload("eth_getLogs", [{ fromBlock: "0x0" }]));
+      expect(response.result).to.deep.equal([]);
+    });
+
+    it("returns the last node error when every endpoint is rate limited", async function () {
+      createProvider(URLS.slice(0, 2));
+      stubConnections(provider, [
+        () => ({ error: { code: 429, message: "too many requests" } }),
+        () => ({ error: { code: -32005, message: "rate limited" } }),
+      ]);
+
+      const [response] = await provider._send(payload("eth_chainId"));
+      expect(response.error.message).to.equal("rate limited");
+    });
+
+    it("throws every endpoint's error when all of them are down", async function () {
+      createProvider(URLS.slice(0, 2));
+      stubConnections(provider, [transportError, transportError]);
+
+      let error;
+      try {
+        await provider._send(payload("eth_chainId"));
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.equal(
+        "All 2 RPC endpoints of Localhost failed for eth_chainId: " +
+          "https://rpc-a.example: connect ECONNREFUSED; https://rpc-b.example: connect ECONNREFUSED"
+      );
+    });
+
+    it("reports every request to onRequest", async function () {
+      const requests = [];
+      createProvider(URLS.slice(0, 2), { onRequest: (request) => requests.push(request) });
+      stubConnections(provider, [transportError, () => "0x2"]);
+
+      await provider._send(payload("eth_chainId"));
+      expect(requests.map(({ endpoint, method, error }) => [endpoint, method, !!error])).to.deep.equal([
+        ["https://rpc-a.example", "eth_chainId", true],
+        ["https://rpc-b.example", "eth_chainId", false],
+      ]);
+    });
+  });
+
+  describe("sendWithQuorum", function () {
+    const getBlock10 = payload("eth_getBlockByNumber", ["0xa", false]);
+
+    it("stops asking once a quorum agrees", async function () {
+      createProvider(URLS, { quorum: 2 });
+      const asked = stubConnections(provider, [() => BLOCK_10, () => BLOCK_10, () => BLOCK_10]);
+
+      const [response] = await provider._send(getBlock10);
+      expect(response.result).to.deep.equal(BLOCK_10);
+      expect(asked).to.have.members(["https://rpc-a.example", "https://rpc-b.example"]);
+    });
+
+    it("asks further endpoints to break a disagreement", async function () {
+      createProvider(URLS, { quorum: 2 });
+      const forked = { number: "0xa", hash: ethers.id("forked-block-10") };
+      const asked = stubConnections(provider, [() => BLOCK_10, () => forked, () => BLOCK_10]);
+
+      const [response] = await provider._send(getBlock10);
+      expect(response.result).to.deep.equal(BLOCK_10);
+      expect(asked).to.have.lengthOf(3);
+    });
+
+    it("counts failed endpoints as no vote", async function () {
+      createProvider(URLS, { quorum: 2 });
+      stubConnections(provider, [transportError, () => BLOCK_10, () => BLOCK_10]);
+
+      const [response] = await provider._send(getBlock10);
+      expect(response.result).to.deep.equal(BLOCK_10);
+    });
+
+    it("throws when the endpoints do not agree", async function () {
+      createProvider(URLS, { quorum: 2 });
+      stubConnections(provider, [
+        () => BLOCK_10,
+        () => ({ number: "0xa", hash: ethers.id("fork-1") }),
+        transportError,
+      ]);
+
+      let error;
+      try {
+        await provider._send(getBlock10);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.equal(
+        "No quorum of 2 RPC endpoints of Localhost for eth_getBlockByNumber: " +
+          "2 different answer(s), 1 failed endpoint(s)"
+      );
+    });
+
+    it("asks one endpoint for block tags and other methods", async function () {
+      createProvider(URLS, { quorum: 2 });
+      const asked = stubConnections(provider, [() => BLOCK_10, () => BLOCK_10, () => BLOCK_10]);
+
+      await provider._send(payload("eth_getBlockByNumber", ["latest", false]));
+      await provider._send(payload("eth_blockNumber"));
+      expect(asked).to.deep.equal(["https://rpc-a.example", "https://rpc-a.example"]);
+    });
+  });
+
+  describe("checkHealth", function () {
+    it("records block numbers and tries lagging endpoints last", async function () {
+      createProvider(URLS);
+      const asked = stubConnections(provider, [() => "0x5a", () => "0x64", () => "0x62"]);
+
+      const stats = await provider.checkHealth({ maxBlockLag: 5 });
+      expect(stats.map(({ blockNumber, healthy }) => [blockNumber, healthy])).to.deep.equal([
+        [90, false],
+        [100, true],
+        [98, true],
+      ]);
+      expect(stats[0].lastError).to.equal("10 blocks behind");
+
+      asked.length = 0;
+      await provider._send(payload("eth_chainId"));
+      expect(asked).to.deep.equal(["https://rpc-b.example"]);
+      expect(provider.orderedEndpoints().map((endpoint) => endpoint.name)).to.deep.equal([
+        "https://rpc-b.example",
+        "https://rpc-c.example",
+        "https://rpc-a.example",
+      ]);
+    });
+
+    it("marks endpoints that fail the check", async function () {
+      createProvider(URLS.slice(0, 2));
+      stubConnections(provider, [
+        transportError,
+        () => ({ error: { code: -32603, message: "internal error" } }),
+      ]);
+
+      const stats = await provider.checkHealth({ maxBlockLag: 5 });
+      expect(stats.map(({ healthy, lastError }) => [healthy, lastError])).to.deep.equal([
+        [false, "connect ECONNREFUSED"],
+        [false, "internal error"],
+      ]);
+      expect(stats.every(({ checkedAt }) => checkedAt !== undefined)).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { TransactionSender } = require("../lib/transactionSender");
+const { TransactionStore } = require("../lib/transactionStore");
+const { logger } = require("../lib/logger");
+
+const ADDRESS = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const TARGET = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+function gwei(value) {
+  return ethers.parseUnits(String(value), "gwei");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// A chain a test drives: its fees, the wallet's mined and pending nonce counts, which sent
+// transactions are mined (mined(tx)), and which sends the node rejects (reject(tx) throws)
+function fakeChain() {
+  const fake = {
+    baseFee: gwei(10),
+    gasPrice: gwei(12),
+    priorityFee: gwei(1),
+    minedNonce: 0,
+    pendingNonce: 0,
+    sent: [],
+    mined: () => false,
+    reject: async () => {},
+  };
+  fake.provider = {
+    getBlock: async () => ({ baseFeePerGas: fake.baseFee }),
+    getFeeData: async () => ({ gasPrice: fake.gasPrice, maxPriorityFeePerGas: fake.priorityFee }),
+    estimateGas: async () => BigInt(100000),
+    getTransactionCount: async (address, blockTag) =>
+      blockTag === "pending" ? fake.pendingNonce : fake.minedNonce,
+    getTransactionReceipt: async (hash) => {
+      const tx = fake.sent.find((sent) => sent.hash === hash);
+      if (!tx || !fake.mined(tx)) return null;
+      return { hash, status: 1, blockNumber: 7, gasUsed: BigInt(21000), gasPrice: gwei(11) };
+    },
+  };
+  fake.wallet = {
+    address: ADDRESS,
+    provider: fake.provider,
+    sendTransaction: async (transaction) => {
+      await fake.reject(transaction);
+      const nonce = transaction.nonce ?? fake.pendingNonce;
+      fake.pendingNonce = Math.max(fake.pendingNonce, nonce + 1);
+      const tx = {
+        data: "0x",
+        ...transaction,
+        nonce,
+        from: ADDRESS,
+        hash: ethers.id(`tx-${fake.sent.length}`),
+        index: fake.sent.length,
+      };
+      fake.sent.push(tx);
+      return tx;
+    },
+  };
+  return fake;
+}
+
+describe("TransactionSender", function () {
+  let level;
+  let dir;
+  let chainId = 1000;
+  let fake;
+  let chain;
+
+  function createSender(options = {}) {
+    return new TransactionSender(fake.wallet, chain, {
+      store: new TransactionStore(path.join(dir, "transactions.json")),
+      replaceAfterMs: 60000,
+      maxReplacements: 3,
+      feeBumpPercent: 15,
+      pollIntervalMs: 2,
+      ...options,
+    });
+  }
+
+  before(function () {
+    // Replacements and caps warn; keep the test output clean
+    level = logger.level;
+    logger.configure({ level: "error" });
+  });
+
+  after(function () {
+    logger.configure({ level });
+  });
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tx-sender-"));
+    fake = fakeChain();
+    // Nonce managers are shared per chain and wallet; a new chain ID keeps tests apart
+    chain = { chainId: chainId++, name: "Localhost" };
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("getFees", function () {
+    it("pays twice the base fee plus the priority fee", async function () {
+      const { fees, expectedGasPrice } = await createSender().getFees();
+      expect(fees).to.deep.equal({ type: 2, maxFeePerGas: gwei(21), maxPriorityFeePerGas: gwei(1) });
+      expect(expectedGasPrice).to.equal(gwei(11));
+    });
+
+    it("caps the max fee at the chain's maxFeePerGas", async function () {
+      chain.maxFeePerGas = gwei(15);
+      const { fees } = await createSender().getFees();
+      expect(fees.maxFeePerGas).to.equal(gwei(15));
+      expect(fees.maxPriorityFeePerGas).to.equal(gwei(1));
+    });
+
+    it("caps the legacy gas price on chains without a base fee", async function () {
+      fake.baseFee = null;
+      fake.gasPrice = gwei(30);
+      chain.maxFeePerGas = gwei(20);
+      const { fees, expectedGasPrice } = await createSender().getFees();
+      expect(fees).to.deep.equal({ gasPrice: gwei(20) });
+      expect(expectedGasPrice).to.equal(gwei(20));
+    });
+  });
+
+  describe("getReplacementFees", function () {
+    const previous = { type: 2, maxFeePerGas: gwei(21), maxPriorityFeePerGas: gwei(1) };
+
+    it("raises both fees by the configured bump when current fees are not higher", async function () {
+      const fees = await createSender().getReplacementFees(previous);
+      expect(fees).to.deep.equal({
+        type: 2,
+        maxFeePerGas: gwei("24.15"),
+        maxPriorityFeePerGas: gwei("1.15"),
+      });
+    });
+
+    it("follows current fees when they rose by more than the bump", async function () {
+      fake.baseFee = gwei(20);
+      const fees = await createSender().getReplacementFees(previous);
+      expect(fees.maxFeePerGas).to.equal(gwei(41));
+    });
+
+    it("gives up when the cap leaves less than the 10% nodes require", async function () {
+      chain.maxFeePerGas = gwei(23);
+      expect(await createSender().getReplacementFees(previous)).to.equal(undefined);
+
+      chain.maxFeePerGas = gwei("23.1");
+      const fees = await createSender().getReplacementFees(previous);
+      expect(fees.maxFeePerGas).to.equal(gwei("23.1"));
+    });
+  });
+
+  describe("send", function () {
+    const request = { to: TARGET, data: "0x1234" };
+
+    it("records a mined transaction as confirmed", async function () {
+      fake.mined = () => true;
+      const sender = createSender();
+      const receipt = await sender.send(request, { label: "openOrder" });
+
+      expect(receipt.hash).to.equal(fake.sent[0].hash);
+      expect(fake.sent[0].gasLimit).to.equal(BigInt(120000));
+      const record = sender.store.get(fake.sent[0].hash);
+      expect(record).to.include({ status: "confirmed", label: "openOrder", blockNumber: 7 });
+    });
+
+    it("replaces a transaction with higher fees once replaceAfterMs has passed", async function () {
+      fake.mined = (tx) => tx.index === 1;
+      const sender = createSender({ replaceAfterMs: 10 });
+      const hashes = [];
+      const receipt = await sender.send(request, { onSent: (hash) => hashes.push(hash) });
+
+      const [first, replacement] = fake.sent;
+      expect(receipt.hash).to.equal(replacement.hash);
+      expect(hashes).to.deep.equal([first.hash, replacement.hash]);
+      expect(replacement).to.include({ nonce: first.nonce, to: TARGET, data: "0x1234" });
+      expect(replacement.maxFeePerGas).to.equal(gwei("24.15"));
+
+      const record = sender.store.get(first.hash);
+      expect(record.status).to.equal("confirmed");
+      expect(record.minedHash).to.equal(replacement.hash);
+      expect(record.attempts.map((attempt) => attempt.kind)).to.deep.equal(["send", "speed-up"]);
+    });
+
+    it("marks a transaction stuck once it has used up its replacements", async function () {
+      const sender = createSender({ replaceAfterMs: 10, maxReplacements: 1 });
+      const error = await sender.send(request).catch((caught) => caught);
+
+      expect(error.message).to.include("is still pending after 1 replacement(s)");
+      expect(fake.sent).to.have.lengthOf(2);
+      expect(sender.store.get(fake.sent[0].hash).status).to.equal("stuck");
+    });
+
+    it("marks a transaction dropped when another one used its nonce", async function () {
+      fake.minedNonce = 1;
+      const sender = createSender();
+      const error = await sender.send(request).catch((caught) => caught);
+
+      expect(error.message).to.include("Nonce 0 on Localhost was used by another transaction");
+      expect(sender.store.get(fake.sent[0].hash).status).to.equal("dropped");
+    });
+  });
+
+  describe("cancel", function () {
+    it("replaces a pending transaction with a 0-value transfer to ourselves", async function () {
+      const sender = createSender();
+      const fees = { type: 2, maxFeePerGas: gwei(21), maxPriorityFeePerGas: gwei(1) };
+      const tx = await fake.wallet.sendTransaction({
+        to: TARGET,
+        data: "0x1234",
+        value: BigInt(5),
+        nonce: 4,
+        gasLimit: BigInt(120000),
+        ...fees,
+      });
+      const record = sender.createRecord(tx, "openOrder", fees);
+      fake.mined = (sent) => sent.index === 1;
+
+      const { record: settled } = await sender.cancel(record);
+      const cancel = fake.sent[1];
+      expect(cancel).to.include({ to: ADDRESS, data: "0x", value: BigInt(0), nonce: 4 });
+      expect(cancel.gasLimit).to.equal(BigInt(21000));
+      expect(settled.status).to.equal("cancelled");
+      expect(settled.attempts.map((attempt) => attempt.kind)).to.deep.equal(["send", "cancel"]);
+    });
+  });
+
+  describe("broadcast", function () {
+    const transaction = { to: TARGET, data: "0x1234", value: BigInt(0), gasLimit: BigInt(120000) };
+
+    it("resyncs the nonce and retries when the node rejects it as used", async function () {
+      let rejected = false;
+      fake.reject = async () => {
+        if (rejected) return;
+        rejected = true;
+        // Sent from elsewhere meanwhile
+        fake.pendingNonce = 3;
+        throw ethers.makeError("nonce too low", "NONCE_EXPIRED");
+      };
+      const sender = createSender();
+
+      const tx = await sender.broadcast(transaction);
+      expect(tx.nonce).to.equal(3);
+      sender.nonces.complete();
+    });
+
+    it("fills a nonce left unused by a failed send behind which later ones are out", async function () {
+      fake.reject = async (tx) => {
+        if (tx.nonce !== 0 || tx.to === ADDRESS) return;
+        // Fail only after the second send has taken nonce 1
+        await sleep(10);
+        throw new Error("insufficient funds");
+      };
+      fake.mined = (tx) => tx.to === ADDRESS;
+      const sender = createSender();
+
+      const [failed, sent] = await Promise.allSettled([
+        sender.broadcast(transaction),
+        sender.broadcast(transaction),
+      ]);
+      expect(failed.reason.message).to.equal("insufficient funds");
+      expect(sent.value.nonce).to.equal(1);
+
+      const filler = fake.sent.find((tx) => tx.to === ADDRESS);
+      expect(filler).to.include({ nonce: 0, value: BigInt(0), gasLimit: BigInt(21000) });
+      while (sender.store.get(filler.hash).status === "pending") await sleep(2);
+      expect(sender.store.get(filler.hash).label).to.equal("nonce gap filler");
+      sender.nonces.complete();
+    });
+
+    it("gives the nonce back when nothing was sent after it", async function () {
+      fake.reject = async () => {
+        throw new Error("insufficient funds");
+      };
+      const sender = createSender();
+
+      const error = await sender.broadcast(transaction).catch((caught) => caught);
+      expect(error.message).to.equal("insufficient funds");
+      expect(fake.sent).to.deep.equal([]);
+      expect(sender.nonces.inFlight).to.equal(0);
+    });
+  });
+});